@@ -3,7 +3,9 @@ import Deck from './components/Deck';
 import Mixer from './components/Mixer';
 import TrackBrowser from './components/TrackBrowser';
 import { useDeckAudio } from './hooks/useDeckAudio';
+import { usePhaseSync } from './hooks/usePhaseSync';
 import { useLocalStorage, clearAppStorage } from './hooks/useLocalStorage';
+import { setMasterVolume as applyMasterVolume } from './services/audioEngine';
 import './App.css';
 
 /**
@@ -11,7 +13,9 @@ import './App.css';
  * 
  * Gestisce:
  * - Due deck indipendenti (Deck A e Deck B)
- * - Sincronizzazione BPM tra i deck
+ * - Sincronizzazione del tempo tra i deck (deck master e deck slave)
+ * - Quantize globale di hot cue, loop, seek e play
+ * - Volume del master bus condiviso
  * - Stato globale dell'applicazione
  * - Persistenza automatica dello stato
  */
@@ -22,41 +26,65 @@ function App() {
   // Stato per il crossfader - condiviso tra Mixer e Deck
   const [crossfader, setCrossfader] = useLocalStorage('fratemix_crossfader', 0.5); // 0 = solo A, 1 = solo B, 0.5 = mix 50/50
   
+  // Phase sync a livello di battuta: allinea anche i downbeat, non solo i beat
+  const [barSyncEnabled, setBarSyncEnabled] = useLocalStorage('fratemix_bar_sync', false);
+  
+  // Quantize globale: hot cue, loop, seek e play si agganciano ai beat
+  const [quantizeEnabled, setQuantizeEnabled] = useLocalStorage('fratemix_quantize', false);
+  
+  // Deck scelto come master del tempo ('A' o 'B')
+  const [masterDeckId, setMasterDeckId] = useLocalStorage('fratemix_master_deck', 'A');
+  
+  // Volume del master bus (somma dei deck, prima del limiter)
+  const [masterVolume, setMasterVolume] = useLocalStorage('fratemix_master_volume', 1); // Range: 0 a 2
+  
   // Inizializza i due deck con gli hook personalizzati
   const deckA = useDeckAudio({
     deckId: 'A',
     initialBPM: 128,
-    syncEnabled: syncEnabled
+    syncEnabled: syncEnabled,
+    alignBars: barSyncEnabled,
+    quantize: quantizeEnabled
   });
   
   const deckB = useDeckAudio({
     deckId: 'B',
     initialBPM: 128,
-    syncEnabled: syncEnabled
+    syncEnabled: syncEnabled,
+    alignBars: barSyncEnabled,
+    quantize: quantizeEnabled
   });
   
-  // Gestisce la sincronizzazione BPM: quando sync è attivo,
-  // il deck che non è master segue il BPM del master
-  React.useEffect(() => {
-    if (syncEnabled) {
-      // Se A sta suonando, B segue A. Altrimenti A segue B
-      if (deckA.isPlaying && !deckB.isPlaying) {
-        if (deckB.bpm !== deckA.bpm) {
-          deckB.setBPM(deckA.bpm);
-        }
-      } else if (deckB.isPlaying && !deckA.isPlaying) {
-        if (deckA.bpm !== deckB.bpm) {
-          deckA.setBPM(deckB.bpm);
-        }
-      } else if (deckA.isPlaying && deckB.isPlaying) {
-        // Se entrambi stanno suonando, usa il BPM del primo che ha iniziato
-        // Per semplicità, usa il BPM di A
-        if (deckB.bpm !== deckA.bpm) {
-          deckB.setBPM(deckA.bpm);
-        }
-      }
+  // Deck master effettivo: quello scelto con MASTER se sta suonando,
+  // altrimenti l'altro deck se è l'unico in riproduzione
+  const effectiveMasterId = masterDeckId === 'A'
+    ? (!deckA.isPlaying && deckB.isPlaying ? 'B' : 'A')
+    : (!deckB.isPlaying && deckA.isPlaying ? 'A' : 'B');
+  const masterDeck = effectiveMasterId === 'A' ? deckA : deckB;
+  const slaveDeck = effectiveMasterId === 'A' ? deckB : deckA;
+  
+  // Corregge continuamente la deriva di fase dello slave mentre entrambi i deck suonano
+  usePhaseSync(masterDeck, slaveDeck, syncEnabled);
+  
+  // Gestisce la sincronizzazione del tempo: quando sync è attivo,
+  // il deck slave segue il tempo effettivo del master (BPM × velocità)
+  useEffect(() => {
+    if (!syncEnabled || !masterDeck.isLoaded) {
+      deckA.setSyncTempo(null);
+      deckB.setSyncTempo(null);
+      return;
     }
-  }, [syncEnabled, deckA.isPlaying, deckB.isPlaying, deckA.bpm, deckB.bpm, deckA.setBPM, deckB.setBPM]);
+    
+    const setMasterSyncTempo = effectiveMasterId === 'A' ? deckA.setSyncTempo : deckB.setSyncTempo;
+    const setSlaveSyncTempo = effectiveMasterId === 'A' ? deckB.setSyncTempo : deckA.setSyncTempo;
+    setMasterSyncTempo(null);
+    setSlaveSyncTempo(masterDeck.effectiveBPM);
+  }, [syncEnabled, effectiveMasterId, masterDeck.isLoaded, masterDeck.effectiveBPM, deckA.setSyncTempo, deckB.setSyncTempo]);
+  
+  // Applica il volume master al master bus condiviso
+  useEffect(() => {
+    applyMasterVolume(masterVolume);
+  }, [masterVolume]);
   
   // Gestione toggle sync
   const handleSyncToggle = useCallback(() => {
@@ -109,10 +137,7 @@ function App() {
           <div className="master-tempo">
             <div className="master-tempo-label">MASTER TEMPO</div>
             <div className="master-tempo-value">
-              {syncEnabled && deckA.isPlaying ? deckA.bpm.toFixed(2) : 
-               syncEnabled && deckB.isPlaying ? deckB.bpm.toFixed(2) : 
-               deckA.isPlaying ? deckA.bpm.toFixed(2) :
-               deckB.isPlaying ? deckB.bpm.toFixed(2) : '128.00'}
+              {masterDeck.isLoaded ? masterDeck.effectiveBPM.toFixed(2) : '128.00'}
             </div>
             <div className="master-tempo-controls">
               <button 
@@ -122,8 +147,37 @@ function App() {
               >
                 SYNC
               </button>
+              <button 
+                className={`master-btn-small ${barSyncEnabled ? 'active' : ''}`}
+                onClick={() => setBarSyncEnabled(!barSyncEnabled)}
+                title="Phase sync sulla battuta (allinea anche i downbeat)"
+              >
+                BAR
+              </button>
+              <button 
+                className={`master-btn-small ${quantizeEnabled ? 'active' : ''}`}
+                onClick={() => setQuantizeEnabled(!quantizeEnabled)}
+                title="Quantize: hot cue, loop, seek e play agganciati ai beat"
+              >
+                QUANT
+              </button>
             </div>
           </div>
+          
+          <div className="master-volume">
+            <div className="master-tempo-label">MASTER VOL</div>
+            <input
+              type="range"
+              min="0"
+              max="2"
+              step="0.01"
+              value={masterVolume}
+              onChange={(e) => setMasterVolume(parseFloat(e.target.value))}
+              className="master-volume-slider"
+              title="Volume master"
+            />
+            <div className="master-volume-value">{(masterVolume * 100).toFixed(0)}%</div>
+          </div>
         </div>
         
         <div className="header-right">
@@ -145,6 +199,8 @@ function App() {
             deckAudio={deckA}
             otherDeck={deckB}
             syncEnabled={syncEnabled}
+            isMaster={effectiveMasterId === 'A'}
+            onSetMaster={() => setMasterDeckId('A')}
             crossfader={crossfader}
           />
           
@@ -160,6 +216,8 @@ function App() {
             deckAudio={deckB}
             otherDeck={deckA}
             syncEnabled={syncEnabled}
+            isMaster={effectiveMasterId === 'B'}
+            onSetMaster={() => setMasterDeckId('B')}
             crossfader={crossfader}
           />
         </main>
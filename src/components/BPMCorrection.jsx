@@ -1,12 +1,72 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './BPMCorrection.css';
 
+// Limiti del BPM accettato
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+// Sensibilità dello stretch trascinando (BPM per pixel; con Shift è 10 volte più fine)
+const STRETCH_BPM_PER_PIXEL = 0.01;
+// Passi del nudge della griglia (in millisecondi)
+const NUDGE_STEPS = [10, 1];
+
 /**
  * Componente per correggere manualmente il BPM se l'algoritmo sbaglia
+ * e per modificare la beatgrid (ancora, nudge, stretch, x2 e /2, blocco)
  */
-function BPMCorrection({ detectedBPM, currentBPM, onCorrect, suggestions = [] }) {
+function BPMCorrection({
+  detectedBPM,
+  currentBPM,
+  onCorrect,
+  suggestions = [],
+  beatgrid = null,
+  isGridLocked = false,
+  onSetGridMarker,
+  onNudgeGrid,
+  onToggleGridLock
+}) {
   const [showDialog, setShowDialog] = useState(false);
   const [customBPM, setCustomBPM] = useState(currentBPM.toFixed(1));
+  const [isStretching, setIsStretching] = useState(false);
+  const stretchStartRef = useRef({ x: 0, bpm: 0 });
+  
+  /**
+   * Inizio dello stretch: memorizza posizione del mouse e BPM di partenza
+   */
+  const handleStretchStart = (e) => {
+    if (isGridLocked) return;
+    stretchStartRef.current = { x: e.clientX, bpm: currentBPM };
+    setIsStretching(true);
+    e.preventDefault();
+  };
+  
+  /**
+   * Stretch in corso: trascinare a destra aumenta il BPM (griglia più stretta),
+   * a sinistra lo diminuisce
+   */
+  const handleStretchMove = useCallback((e) => {
+    const { x, bpm } = stretchStartRef.current;
+    const sensitivity = e.shiftKey ? STRETCH_BPM_PER_PIXEL / 10 : STRETCH_BPM_PER_PIXEL;
+    const newBPM = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm + (e.clientX - x) * sensitivity));
+    onCorrect(Math.round(newBPM * 1000) / 1000);
+  }, [onCorrect]);
+  
+  const handleStretchEnd = useCallback(() => {
+    setIsStretching(false);
+  }, []);
+  
+  /**
+   * Event listeners globali per lo stretch (continua anche fuori dalla barra)
+   */
+  useEffect(() => {
+    if (!isStretching) return;
+    
+    window.addEventListener('mousemove', handleStretchMove);
+    window.addEventListener('mouseup', handleStretchEnd);
+    return () => {
+      window.removeEventListener('mousemove', handleStretchMove);
+      window.removeEventListener('mouseup', handleStretchEnd);
+    };
+  }, [isStretching, handleStretchMove, handleStretchEnd]);
   
   const handleQuickFix = (newBPM) => {
     onCorrect(newBPM);
@@ -15,7 +75,7 @@ function BPMCorrection({ detectedBPM, currentBPM, onCorrect, suggestions = [] })
   
   const handleCustom = () => {
     const bpm = parseFloat(customBPM);
-    if (bpm >= 60 && bpm <= 200) {
+    if (bpm >= MIN_BPM && bpm <= MAX_BPM) {
       onCorrect(bpm);
       setShowDialog(false);
     }
@@ -28,7 +88,7 @@ function BPMCorrection({ detectedBPM, currentBPM, onCorrect, suggestions = [] })
     detectedBPM / 2,
     120, 125, 128, 130, 140, 150, 160, 174
   ].filter((bpm, index, self) => 
-    bpm >= 60 && bpm <= 200 && self.indexOf(bpm) === index
+    bpm >= MIN_BPM && bpm <= MAX_BPM && self.indexOf(bpm) === index
   ).slice(0, 8);
   
   if (!showDialog) {
@@ -67,6 +127,7 @@ function BPMCorrection({ detectedBPM, currentBPM, onCorrect, suggestions = [] })
                   key={bpm}
                   className={`bpm-btn ${bpm === currentBPM ? 'active' : ''}`}
                   onClick={() => handleQuickFix(bpm)}
+                  disabled={isGridLocked}
                 >
                   {bpm.toFixed(0)}
                 </button>
@@ -86,12 +147,93 @@ function BPMCorrection({ detectedBPM, currentBPM, onCorrect, suggestions = [] })
                 onChange={(e) => setCustomBPM(e.target.value)}
                 className="custom-bpm-input"
               />
-              <button className="apply-btn" onClick={handleCustom}>
+              <button className="apply-btn" onClick={handleCustom} disabled={isGridLocked}>
                 Applica
               </button>
             </div>
           </div>
           
+          {beatgrid && (
+            <div className="grid-editor">
+              <div className="grid-editor-header">
+                <h4>Beatgrid</h4>
+                <button
+                  className={`grid-lock-btn ${isGridLocked ? 'locked' : ''}`}
+                  onClick={onToggleGridLock}
+                  title={isGridLocked ? 'Sblocca la griglia' : 'Blocca la griglia'}
+                >
+                  {isGridLocked ? '🔒 LOCKED' : '🔓 LOCK'}
+                </button>
+              </div>
+              
+              <p className="grid-editor-info">
+                Ancora: <strong>{beatgrid.firstBeat.toFixed(3)}s</strong> · Tempo: <strong>{beatgrid.bpm.toFixed(3)} BPM</strong>
+              </p>
+              
+              <div className="grid-editor-row">
+                <button
+                  className="grid-btn grid-marker-btn"
+                  onClick={onSetGridMarker}
+                  disabled={isGridLocked}
+                  title="Imposta il primo downbeat alla posizione corrente"
+                >
+                  ⊕ Marker al playhead
+                </button>
+              </div>
+              
+              <div className="grid-editor-row">
+                {NUDGE_STEPS.map(step => (
+                  <button
+                    key={`left-${step}`}
+                    className="grid-btn"
+                    onClick={() => onNudgeGrid(-step)}
+                    disabled={isGridLocked}
+                    title={`Sposta la griglia a sinistra di ${step}ms`}
+                  >
+                    ◀ {step}ms
+                  </button>
+                ))}
+                {[...NUDGE_STEPS].reverse().map(step => (
+                  <button
+                    key={`right-${step}`}
+                    className="grid-btn"
+                    onClick={() => onNudgeGrid(step)}
+                    disabled={isGridLocked}
+                    title={`Sposta la griglia a destra di ${step}ms`}
+                  >
+                    {step}ms ▶
+                  </button>
+                ))}
+              </div>
+              
+              <div className="grid-editor-row">
+                <button
+                  className="grid-btn"
+                  onClick={() => onCorrect(currentBPM / 2)}
+                  disabled={isGridLocked || currentBPM / 2 < MIN_BPM}
+                  title="Dimezza il tempo della griglia"
+                >
+                  /2
+                </button>
+                <div
+                  className={`grid-stretch-bar ${isStretching ? 'stretching' : ''} ${isGridLocked ? 'disabled' : ''}`}
+                  onMouseDown={handleStretchStart}
+                  title="Trascina per stretch/compress del tempo (Shift = fine)"
+                >
+                  ◀ STRETCH ▶
+                </div>
+                <button
+                  className="grid-btn"
+                  onClick={() => onCorrect(currentBPM * 2)}
+                  disabled={isGridLocked || currentBPM * 2 > MAX_BPM}
+                  title="Raddoppia il tempo della griglia"
+                >
+                  x2
+                </button>
+              </div>
+            </div>
+          )}
+          
           <div className="bpm-tips">
             <p><strong>💡 Suggerimenti:</strong></p>
             <ul>
@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from 'react';
+import './CoverArt.css';
+
+/**
+ * CoverArt - Copertina di una traccia (Blob letto dai tag, vedi utils/audioTags)
+ * Senza copertina mostra un segnaposto
+ */
+function CoverArt({ cover, size = 40, title = '' }) {
+  const [url, setUrl] = useState(null);
+  
+  /**
+   * Crea l'URL dell'immagine e lo rilascia quando cambia la copertina
+   */
+  useEffect(() => {
+    if (!cover) {
+      setUrl(null);
+      return;
+    }
+    
+    const objectUrl = URL.createObjectURL(cover);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [cover]);
+  
+  return (
+    <div className="cover-art" style={{ width: size, height: size }} title={title}>
+      {url ? <img src={url} alt={title} /> : <span className="cover-art-placeholder">♪</span>}
+    </div>
+  );
+}
+
+export default CoverArt;
@@ -3,15 +3,35 @@ import WaveformOverview from './WaveformOverview';
 import WaveformDetail from './WaveformDetail';
 import BPMCorrection from './BPMCorrection';
 import TapTempo from './TapTempo';
+import LoopControls from './LoopControls';
+import KeyControls from './KeyControls';
+import HotCues from './HotCues';
+import PhaseMeter from './PhaseMeter';
+import CoverArt from './CoverArt';
 import './Deck.css';
 
+// Etichette delle fasi dell'analisi della traccia (vedi utils/trackAnalyzer)
+const ANALYSIS_STAGE_LABELS = {
+  waveform: 'Waveform',
+  tempo: 'BPM',
+  key: 'Key',
+  loudness: 'Loudness',
+  peaks: 'Picchi',
+  done: 'Fine'
+};
+
 /**
  * Componente Deck - Rappresenta un singolo deck DJ
  * 
  * Questo componente gestisce:
  * - Caricamento file audio
  * - Controlli play/pause
- * - Visualizzazione stato (tempo, BPM, loop)
+ * - Titolo, artista e copertina della traccia (dai tag del file)
+ * - Visualizzazione stato (tempo, BPM, tonalità, loudness, loop)
+ * - Avanzamento dell'analisi della traccia
+ * - Sezione loop (auto loop, loop in/out, halve/double, move)
+ * - Hot cue (8 per deck, salvati per traccia)
+ * - Phase meter rispetto all'altro deck
  * - Input per file audio
  */
 function Deck({ 
@@ -19,7 +39,9 @@ function Deck({
   deckAudio, 
   otherDeck,
   syncEnabled,
-  crossfader
+  crossfader,
+  isMaster,
+  onSetMaster
 }) {
   
   // Calcola l'opacità del deck in base al crossfader
@@ -37,7 +59,10 @@ function Deck({
       : Math.max(MIN_OPACITY, 1 - ((0.5 - crossfader) * 2 * (1 - MIN_OPACITY)));
   
   const handlePlayPause = () => {
-    if (deckAudio.isPlaying) {
+    if (deckAudio.isCuePreviewing) {
+      // PLAY durante l'anteprima CUE: la traccia continua a suonare al rilascio di CUE
+      deckAudio.latchCuePreview();
+    } else if (deckAudio.isPlaying) {
       deckAudio.pause();
     } else {
       // Passa l'altro deck per la sincronizzazione con i picchi
@@ -61,16 +86,29 @@ function Deck({
               🔄 Ripristino traccia...
             </span>
           ) : deckAudio.fileName ? (
-            <span className="track-name">{deckAudio.fileName}</span>
+            <div className="deck-track-info" title={deckAudio.fileName}>
+              <CoverArt cover={deckAudio.trackTags?.cover} size={36} title={deckAudio.trackTags?.album || ''} />
+              <div className="deck-track-text">
+                <span className="track-name">{deckAudio.trackTags?.title || deckAudio.fileName}</span>
+                {deckAudio.trackTags?.artist && (
+                  <span className="track-artist">
+                    {deckAudio.trackTags.artist}
+                    {deckAudio.trackTags.album && ` — ${deckAudio.trackTags.album}`}
+                  </span>
+                )}
+              </div>
+            </div>
           ) : (
             <span className="load-placeholder">Nessun file caricato</span>
           )}
         </div>
         
         <div className="deck-traktor-controls-top">
+          <PhaseMeter deckAudio={deckAudio} otherDeck={otherDeck} />
           <button 
-            className="deck-btn master-btn"
-            title="Master"
+            className={`deck-btn master-btn ${isMaster ? 'active' : ''}`}
+            onClick={onSetMaster}
+            title="Imposta questo deck come master del tempo"
           >
             MASTER
           </button>
@@ -80,20 +118,26 @@ function Deck({
       {/* Waveform Overview - compatto, mostra tutta la traccia */}
       {deckAudio.isLoaded && (
         <WaveformOverview
-          audioBuffer={deckAudio.audioBuffer}
+          waveformData={deckAudio.waveformData?.overview ?? null}
           currentTime={deckAudio.currentTime}
           duration={deckAudio.duration}
-          onSeek={deckAudio.seek}
+          onSeek={deckAudio.seekQuantized}
+          loopRegion={deckAudio.loopRegion}
+          hotCues={deckAudio.hotCues}
         />
       )}
       
       {/* Waveform Detail - zoomabile, mostra sezione corrente */}
       {deckAudio.isLoaded && (
         <WaveformDetail
-          audioBuffer={deckAudio.audioBuffer}
+          waveformData={deckAudio.waveformData?.detail ?? null}
           currentTime={deckAudio.currentTime}
           duration={deckAudio.duration}
           onSeek={deckAudio.seek}
+          onClickSeek={deckAudio.seekQuantized}
+          loopRegion={deckAudio.loopRegion}
+          hotCues={deckAudio.hotCues}
+          beatgrid={deckAudio.beatgrid}
         />
       )}
       
@@ -108,6 +152,31 @@ function Deck({
                 ⚡ {deckAudio.detectedBPM}
               </span>
             )}
+            {deckAudio.musicalKey && (
+              <span
+                className={`key-badge ${deckAudio.effectiveKey.tonic !== deckAudio.musicalKey.tonic ? 'shifted' : ''}`}
+                title={`Tonalità: ${deckAudio.musicalKey.name} (confidenza ${Math.round((deckAudio.musicalKey.confidence ?? 0) * 100)}%)`}
+              >
+                🎼 {deckAudio.musicalKey.camelot} {deckAudio.musicalKey.name}
+                {deckAudio.effectiveKey.tonic !== deckAudio.musicalKey.tonic && (
+                  <> → {deckAudio.effectiveKey.camelot} {deckAudio.effectiveKey.name}</>
+                )}
+              </span>
+            )}
+            {deckAudio.loudness && (
+              <span
+                className="loudness-badge"
+                title={`Loudness integrata: ${deckAudio.loudness.integrated} LUFS, picco ${deckAudio.loudness.peak} dBFS`}
+              >
+                🔊 {deckAudio.loudness.integrated} LUFS
+              </span>
+            )}
+            {deckAudio.analysisProgress && (
+              <span className="analysis-badge" title="Analisi della traccia in corso (la traccia è già suonabile)">
+                🔬 {ANALYSIS_STAGE_LABELS[deckAudio.analysisProgress.stage] || deckAudio.analysisProgress.stage}
+                {' '}{Math.round(deckAudio.analysisProgress.progress * 100)}%
+              </span>
+            )}
             {deckAudio.isLoaded && (
               <>
                 <TapTempo
@@ -119,6 +188,11 @@ function Deck({
                   detectedBPM={deckAudio.detectedBPM || deckAudio.bpm}
                   currentBPM={deckAudio.bpm}
                   onCorrect={(newBPM) => deckAudio.setBPM(newBPM)}
+                  beatgrid={deckAudio.beatgrid}
+                  isGridLocked={deckAudio.beatgridLocked}
+                  onSetGridMarker={deckAudio.setGridMarker}
+                  onNudgeGrid={deckAudio.nudgeGrid}
+                  onToggleGridLock={deckAudio.toggleGridLock}
                 />
               </>
             )}
@@ -134,13 +208,49 @@ function Deck({
           >
             {deckAudio.isPlaying ? '⏸' : '▶'}
           </button>
-          <button className="deck-btn cue-btn" title="Cue">CUE</button>
-          <button className="deck-btn" title="Cup">CUP</button>
+          <button
+            className={`deck-btn cue-btn ${deckAudio.isCuePreviewing ? 'previewing' : ''}`}
+            onMouseDown={deckAudio.cueDown}
+            onMouseUp={deckAudio.cueUp}
+            onMouseLeave={deckAudio.cueUp}
+            onTouchStart={(e) => {
+              e.preventDefault();
+              deckAudio.cueDown();
+            }}
+            onTouchEnd={deckAudio.cueUp}
+            disabled={!deckAudio.isLoaded}
+            title={`Cue (${deckAudio.formatTime(deckAudio.cuePoint)}) - in pausa imposta il cue, tieni premuto per l'anteprima`}
+          >
+            CUE
+          </button>
+          <button
+            className="deck-btn"
+            onClick={deckAudio.cuePlay}
+            disabled={!deckAudio.isLoaded}
+            title="Cue Play - salta al cue e suona"
+          >
+            CUP
+          </button>
           <button className="deck-btn" title="Flex">FLX</button>
           <button className="deck-btn" title="Reverse">REV</button>
         </div>
       </div>
       
+      {/* Hot Cue */}
+      {deckAudio.isLoaded && (
+        <HotCues deckAudio={deckAudio} />
+      )}
+      
+      {/* Loop Controls */}
+      {deckAudio.isLoaded && (
+        <LoopControls deckAudio={deckAudio} />
+      )}
+      
+      {/* Key Shift */}
+      {deckAudio.isLoaded && (
+        <KeyControls deckAudio={deckAudio} otherDeck={otherDeck} />
+      )}
+      
       {/* BPM Controls */}
       {deckAudio.isLoaded && (
         <div className="deck-bpm-controls">
@@ -149,7 +259,8 @@ function Deck({
             <span className="pitch-value">
               {deckAudio.pitchValue > 0 ? '+' : ''}{deckAudio.pitchValue.toFixed(1)}%
             </span>
-            {syncEnabled && <span className="sync-indicator">🔗 SYNC</span>}
+            {deckAudio.isSyncSlave && <span className="sync-indicator">🔗 SYNC</span>}
+            {syncEnabled && isMaster && <span className="sync-indicator">👑 MASTER</span>}
           </div>
           <div className="bpm-slider-container">
             <span className="bpm-range-label">-8%</span>
@@ -160,8 +271,8 @@ function Deck({
               max="8"
               step="0.1"
               value={deckAudio.pitchValue}
-              onChange={(e) => !syncEnabled && deckAudio.setPitchValue(parseFloat(e.target.value))}
-              disabled={syncEnabled}
+              onChange={(e) => !deckAudio.isSyncSlave && deckAudio.setPitchValue(parseFloat(e.target.value))}
+              disabled={deckAudio.isSyncSlave}
               className="bpm-slider pitch-slider slider-traktor"
             />
               <div className="bpm-center-marker pitch-center" title="0% (velocità originale)"></div>
@@ -170,12 +281,19 @@ function Deck({
           </div>
           <div className="bpm-info-row">
             <span className="bpm-reference">
-              BPM: {deckAudio.bpm.toFixed(1)} → {(deckAudio.bpm * (1 + deckAudio.pitchValue / 100)).toFixed(1)}
+              BPM: {deckAudio.bpm.toFixed(1)} → {deckAudio.effectiveBPM.toFixed(1)}
             </span>
+            <button
+              className={`key-lock-btn ${deckAudio.keyLock ? 'active' : ''}`}
+              onClick={() => deckAudio.setKeyLock(!deckAudio.keyLock)}
+              title="KEY LOCK: cambia il tempo senza cambiare l'intonazione"
+            >
+              🔑 KEY
+            </button>
             <button 
               className="pitch-reset-btn"
               onClick={() => deckAudio.setPitchValue(0)}
-              disabled={deckAudio.pitchValue === 0 || syncEnabled}
+              disabled={deckAudio.pitchValue === 0 || deckAudio.isSyncSlave}
               title="Reset pitch a 0%"
             >
               0%
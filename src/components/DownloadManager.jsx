@@ -0,0 +1,118 @@
+import React from 'react';
+import { DOWNLOAD_STATUS } from '../hooks/useDownloadManager';
+import { CACHE_LIMIT_OPTIONS } from '../services/remoteCache';
+import './DownloadManager.css';
+
+/**
+ * Formatta una dimensione in MB o GB
+ */
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+    : `${Math.round(bytes / 1024 / 1024)} MB`
+);
+
+/**
+ * Componente DownloadManager - Pannello dei download delle tracce remote
+ *
+ * Mostra ogni download con il suo avanzamento (annullabile, o ripetibile se fallito
+ * o annullato) e lo spazio usato dalla cache offline, con il suo limite.
+ */
+function DownloadManager({
+  downloads,
+  cacheSize,
+  cacheLimit,
+  cachedCount,
+  onCancel,
+  onRetry,
+  onClearFinished,
+  onClearCache,
+  onCacheLimitChange,
+  onClose
+}) {
+  const hasFinished = downloads.some(download => (
+    download.status !== DOWNLOAD_STATUS.QUEUED && download.status !== DOWNLOAD_STATUS.DOWNLOADING
+  ));
+
+  const renderStatus = (download) => {
+    switch (download.status) {
+      case DOWNLOAD_STATUS.QUEUED:
+        return 'In coda';
+      case DOWNLOAD_STATUS.DOWNLOADING:
+        return download.total
+          ? `${Math.round((download.loaded / download.total) * 100)}% · ${formatSize(download.loaded)} / ${formatSize(download.total)}`
+          : formatSize(download.loaded);
+      case DOWNLOAD_STATUS.DONE:
+        return `✅ ${formatSize(download.total)}`;
+      case DOWNLOAD_STATUS.CANCELLED:
+        return 'Annullato';
+      default:
+        return `❌ ${download.error}`;
+    }
+  };
+
+  return (
+    <div className="download-manager" onClick={(e) => e.stopPropagation()}>
+      <div className="download-manager-header">
+        <span>Download</span>
+        {hasFinished && (
+          <button className="download-manager-link" onClick={onClearFinished}>Pulisci elenco</button>
+        )}
+        <button className="download-manager-close" onClick={onClose} title="Chiudi">×</button>
+      </div>
+
+      <div className="download-list">
+        {downloads.length === 0 && (
+          <p className="download-empty">Nessun download: le tracce remote si scaricano quando vengono caricate o con "Scarica offline"</p>
+        )}
+        {[...downloads].reverse().map(download => {
+          const isActive = download.status === DOWNLOAD_STATUS.QUEUED || download.status === DOWNLOAD_STATUS.DOWNLOADING;
+          const canRetry = download.status === DOWNLOAD_STATUS.ERROR || download.status === DOWNLOAD_STATUS.CANCELLED;
+          return (
+            <div key={download.id} className={`download-item ${download.status}`}>
+              <div className="download-info">
+                <span className="download-name" title={download.track.name}>{download.track.name}</span>
+                <span className="download-status" title={download.error || undefined}>{renderStatus(download)}</span>
+              </div>
+              <div className="download-progress">
+                <div
+                  className="download-progress-bar"
+                  style={{ width: `${download.total ? Math.min(100, (download.loaded / download.total) * 100) : 0}%` }}
+                />
+              </div>
+              {isActive && (
+                <button className="download-action" onClick={() => onCancel(download.id)} title="Annulla">✕</button>
+              )}
+              {canRetry && (
+                <button className="download-action" onClick={() => onRetry(download.id)} title="Riprova">⟳</button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="download-manager-footer">
+        <span className={`download-cache-usage ${cacheSize > cacheLimit * 0.9 ? 'warning' : ''}`}>
+          Cache offline: {cachedCount} tracce · {formatSize(cacheSize)} di
+        </span>
+        <select value={cacheLimit} onChange={(e) => onCacheLimitChange(Number(e.target.value))} title="Limite della cache: oltre si eliminano le tracce usate meno di recente">
+          {!CACHE_LIMIT_OPTIONS.includes(cacheLimit) && <option value={cacheLimit}>{formatSize(cacheLimit)}</option>}
+          {CACHE_LIMIT_OPTIONS.map(limit => (
+            <option key={limit} value={limit}>{formatSize(limit)}</option>
+          ))}
+        </select>
+        <button
+          className="download-manager-link"
+          onClick={() => {
+            if (window.confirm('Svuotare la cache offline? Le tracce remote andranno scaricate di nuovo.')) onClearCache();
+          }}
+          disabled={cachedCount === 0}
+        >
+          Svuota
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DownloadManager;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { HOT_CUE_COLORS } from '../hooks/useHotCues';
+import './HotCues.css';
+
+/**
+ * Componente HotCues - 8 pad hot cue di un deck
+ * 
+ * - Click su uno slot vuoto: imposta il cue alla posizione corrente
+ * - Click su un cue: salta al cue
+ * - Shift+click: elimina il cue
+ * - Click destro: modifica nome e colore del cue
+ */
+function HotCues({ deckAudio }) {
+  const { isLoaded, hotCues, triggerHotCue, deleteHotCue, updateHotCue, formatTime } = deckAudio;
+  const [editingIndex, setEditingIndex] = useState(null);
+  
+  const editingCue = editingIndex !== null ? hotCues[editingIndex] : null;
+  
+  const handlePadClick = (index, e) => {
+    if (e.shiftKey) {
+      deleteHotCue(index);
+      if (editingIndex === index) setEditingIndex(null);
+      return;
+    }
+    triggerHotCue(index);
+  };
+  
+  const handlePadContextMenu = (index, e) => {
+    e.preventDefault();
+    if (!hotCues[index]) return;
+    setEditingIndex(editingIndex === index ? null : index);
+  };
+  
+  const handleDelete = () => {
+    deleteHotCue(editingIndex);
+    setEditingIndex(null);
+  };
+  
+  return (
+    <div className="deck-hotcues">
+      <div className="hotcue-pads">
+        {hotCues.map((cue, index) => (
+          <button
+            key={index}
+            className={`hotcue-pad ${cue ? 'set' : ''} ${editingIndex === index ? 'editing' : ''}`}
+            style={cue ? { borderColor: cue.color, color: cue.color } : undefined}
+            onClick={(e) => handlePadClick(index, e)}
+            onContextMenu={(e) => handlePadContextMenu(index, e)}
+            disabled={!isLoaded}
+            title={cue
+              ? `${cue.name} (${formatTime(cue.time)}) - Click: salta, Shift+click: elimina, Click destro: modifica`
+              : `Imposta hot cue ${index + 1}`}
+          >
+            <span className="hotcue-number">{index + 1}</span>
+            {cue && <span className="hotcue-name">{cue.name}</span>}
+          </button>
+        ))}
+      </div>
+      
+      {editingCue && (
+        <div className="hotcue-editor">
+          <input
+            type="text"
+            value={editingCue.name}
+            onChange={(e) => updateHotCue(editingIndex, { name: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === 'Escape') setEditingIndex(null);
+            }}
+            className="hotcue-name-input"
+            maxLength={24}
+            autoFocus
+          />
+          <div className="hotcue-colors">
+            {HOT_CUE_COLORS.map(color => (
+              <button
+                key={color}
+                className={`hotcue-color ${editingCue.color === color ? 'active' : ''}`}
+                style={{ background: color }}
+                onClick={() => updateHotCue(editingIndex, { color })}
+                title={color}
+              />
+            ))}
+          </div>
+          <button className="hotcue-delete-btn" onClick={handleDelete} title="Elimina cue">
+            🗑
+          </button>
+          <button className="hotcue-close-btn" onClick={() => setEditingIndex(null)} title="Chiudi">
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HotCues;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { getHarmonicMatch } from '../utils/musicalKey';
+import './KeyControls.css';
+
+// Etichette dell'indicatore di compatibilità armonica
+const MATCH_LABELS = {
+  perfect: '✓ MATCH',
+  compatible: '✓ COMPAT'
+};
+
+/**
+ * Componente KeyControls - Sezione KEY SHIFT di un deck
+ * 
+ * Permette di:
+ * - Trasporre la traccia di ±12 semitoni, indipendentemente dal tempo
+ * - Regolare finemente l'intonazione in centesimi (±50)
+ * - Vedere la tonalità risultante e se è compatibile (ruota Camelot) con l'altro deck
+ */
+function KeyControls({ deckAudio, otherDeck }) {
+  const { musicalKey, effectiveKey, keyShift, setKeyShift } = deckAudio;
+  
+  // Il key shift è in semitoni frazionari: parte intera = semitoni, resto = centesimi
+  const semitones = Math.round(keyShift);
+  const cents = Math.round((keyShift - semitones) * 100);
+  
+  const otherKey = otherDeck?.isLoaded ? otherDeck.effectiveKey : null;
+  const match = getHarmonicMatch(effectiveKey, otherKey);
+  
+  const formatSigned = (value) => `${value > 0 ? '+' : ''}${value}`;
+  
+  return (
+    <div className="deck-key-controls">
+      <div className="key-control-header">
+        <label>KEY</label>
+        <span className="key-result" title={musicalKey ? `Originale: ${musicalKey.camelot} ${musicalKey.name}` : 'Tonalità non rilevata'}>
+          {effectiveKey ? `${effectiveKey.camelot} ${effectiveKey.name}` : '--'}
+        </span>
+        {otherKey && (
+          <span
+            className={`key-match-indicator ${match || 'clash'}`}
+            title={`Altro deck: ${otherKey.camelot} ${otherKey.name}`}
+          >
+            {match ? MATCH_LABELS[match] : '✗ CLASH'}
+          </span>
+        )}
+      </div>
+      
+      <div className="key-shift-row">
+        <button
+          className="key-shift-btn"
+          onClick={() => setKeyShift(semitones - 1 + cents / 100)}
+          disabled={semitones <= -12}
+          title="Abbassa di un semitono"
+        >
+          ♭
+        </button>
+        <span className="key-shift-value">
+          {formatSigned(semitones)} st {cents !== 0 && `${formatSigned(cents)} ct`}
+        </span>
+        <button
+          className="key-shift-btn"
+          onClick={() => setKeyShift(semitones + 1 + cents / 100)}
+          disabled={semitones >= 12}
+          title="Alza di un semitono"
+        >
+          ♯
+        </button>
+        <input
+          type="range"
+          min="-50"
+          max="50"
+          step="1"
+          value={cents}
+          onChange={(e) => setKeyShift(semitones + parseInt(e.target.value, 10) / 100)}
+          className="key-cents-slider"
+          title="Regolazione fine (centesimi)"
+        />
+        <button
+          className="key-shift-btn"
+          onClick={() => setKeyShift(0)}
+          disabled={keyShift === 0}
+          title="Reset key shift"
+        >
+          0
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default KeyControls;
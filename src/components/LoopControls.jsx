@@ -0,0 +1,127 @@
+import React from 'react';
+import './LoopControls.css';
+
+// Lunghezze disponibili per l'auto-loop (in beat)
+const AUTO_LOOP_SIZES = [1 / 8, 1 / 4, 1 / 2, 1, 2, 4, 8, 16, 32];
+
+/**
+ * Formatta una lunghezza in beat (es. 0.25 → "1/4", 4 → "4")
+ */
+function formatBeats(beats) {
+  if (beats >= 1) {
+    return Number.isInteger(beats) ? `${beats}` : beats.toFixed(2);
+  }
+  const denominator = Math.round(1 / beats);
+  return Math.abs(1 / denominator - beats) < 1e-6 ? `1/${denominator}` : beats.toFixed(2);
+}
+
+/**
+ * Componente LoopControls - Sezione loop di un deck
+ * 
+ * Permette di:
+ * - Attivare auto-loop da 1/8 a 32 beat
+ * - Impostare un loop manuale con LOOP IN / LOOP OUT
+ * - Dimezzare/raddoppiare il loop attivo
+ * - Spostare il loop avanti/indietro della sua lunghezza
+ */
+function LoopControls({ deckAudio }) {
+  const {
+    isLoaded,
+    loopEnabled,
+    loopLength,
+    loopInPoint,
+    setAutoLoop,
+    setLoopIn,
+    setLoopOut,
+    setLoopEnabled,
+    halveLoop,
+    doubleLoop,
+    moveLoop
+  } = deckAudio;
+  
+  return (
+    <div className="deck-loop-controls">
+      <div className="loop-control-header">
+        <label>LOOP</label>
+        <span className={`loop-length-display ${loopEnabled ? 'active' : ''}`}>
+          {loopEnabled ? `${formatBeats(loopLength)} beat` : 'OFF'}
+        </span>
+      </div>
+      
+      <div className="loop-auto-buttons">
+        {AUTO_LOOP_SIZES.map(size => (
+          <button
+            key={size}
+            className={`loop-btn ${loopEnabled && Math.abs(loopLength - size) < 1e-9 ? 'active' : ''}`}
+            onClick={() => setAutoLoop(size)}
+            disabled={!isLoaded}
+            title={`Auto loop ${formatBeats(size)} beat`}
+          >
+            {formatBeats(size)}
+          </button>
+        ))}
+      </div>
+      
+      <div className="loop-manual-buttons">
+        <button
+          className={`loop-btn ${loopInPoint !== null ? 'pending' : ''}`}
+          onClick={setLoopIn}
+          disabled={!isLoaded}
+          title="Loop In"
+        >
+          IN
+        </button>
+        <button
+          className="loop-btn"
+          onClick={setLoopOut}
+          disabled={!isLoaded}
+          title="Loop Out"
+        >
+          OUT
+        </button>
+        <button
+          className={`loop-btn ${loopEnabled ? 'active' : ''}`}
+          onClick={() => setLoopEnabled(!loopEnabled)}
+          disabled={!isLoaded}
+          title="Attiva/disattiva loop"
+        >
+          {loopEnabled ? 'EXIT' : 'RELOOP'}
+        </button>
+        <button
+          className="loop-btn"
+          onClick={halveLoop}
+          disabled={!isLoaded}
+          title="Dimezza loop"
+        >
+          /2
+        </button>
+        <button
+          className="loop-btn"
+          onClick={doubleLoop}
+          disabled={!isLoaded}
+          title="Raddoppia loop"
+        >
+          x2
+        </button>
+        <button
+          className="loop-btn"
+          onClick={() => moveLoop(-1)}
+          disabled={!isLoaded}
+          title="Sposta loop indietro"
+        >
+          ◀
+        </button>
+        <button
+          className="loop-btn"
+          onClick={() => moveLoop(1)}
+          disabled={!isLoaded}
+          title="Sposta loop avanti"
+        >
+          ▶
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LoopControls;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { getDeckPhaseOffset } from '../hooks/usePhaseSync';
+import './PhaseMeter.css';
+
+/**
+ * Componente PhaseMeter - Mostra la differenza di fase rispetto all'altro deck
+ * 
+ * L'indicatore è al centro quando i beat dei due deck coincidono;
+ * si sposta a destra se questo deck è avanti, a sinistra se è indietro
+ * (scala: ±1/2 beat).
+ */
+function PhaseMeter({ deckAudio, otherDeck }) {
+  const offset = getDeckPhaseOffset(deckAudio, otherDeck, deckAudio.currentTime, otherDeck.currentTime);
+  const isActive = offset !== null && deckAudio.isPlaying && otherDeck.isPlaying;
+  const isInPhase = isActive && Math.abs(offset) < 0.02;
+  
+  return (
+    <div
+      className={`phase-meter ${isActive ? 'active' : ''} ${isInPhase ? 'in-phase' : ''}`}
+      title={isActive
+        ? `Differenza di fase: ${offset > 0 ? '+' : ''}${offset.toFixed(2)} beat`
+        : 'Phase meter (attivo quando entrambi i deck suonano)'}
+    >
+      <div className="phase-meter-track">
+        <div className="phase-meter-center" />
+        {isActive && (
+          <div
+            className="phase-meter-indicator"
+            style={{ left: `${50 + offset * 100}%` }}
+          />
+        )}
+      </div>
+      <span className="phase-meter-value">
+        {isActive ? `${offset > 0 ? '+' : ''}${offset.toFixed(2)}` : '--'}
+      </span>
+    </div>
+  );
+}
+
+export default PhaseMeter;
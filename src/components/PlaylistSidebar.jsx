@@ -0,0 +1,319 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { PLAYLIST_TYPES } from '../services/playlistLibrary';
+import { DRAG_TYPES, hasDragType } from '../utils/dragTypes';
+import './PlaylistSidebar.css';
+
+/**
+ * Componente PlaylistSidebar - Albero di playlist e crate del browser
+ *
+ * - "Collezione" mostra tutta la libreria
+ * - le crate si aprono/chiudono e contengono playlist e altre crate
+ * - le tracce trascinate dalla tabella su un nodo vengono aggiunte al nodo
+ *   (non sulle smart playlist, che si calcolano dalle regole)
+ * - un nodo trascinato su una crate (o sulla collezione) viene spostato lì
+ * - doppio click sul nome per rinominare
+ * - sotto le playlist, l'albero delle cartelle delle sorgenti remote
+ *   (vedi services/remoteSources): una cartella mostra le sue tracce e quelle delle sottocartelle;
+ *   se non è configurata nessuna sorgente, un invito ad aggiungerne una
+ */
+function PlaylistSidebar({
+  playlists,
+  activeId,
+  collectionCount,
+  nodeCounts,
+  onSelect,
+  onCreate,
+  onCreateSmart,
+  onEditSmart,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onDropTracks,
+  onMovePlaylist,
+  remoteFolders = [],
+  activeRemoteFolder = null,
+  loadingSourceIds = [],
+  onSelectRemoteFolder,
+  onRefreshRemote,
+  hasRemoteSources = true,
+  onAddRemoteSource
+}) {
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [dropTargetId, setDropTargetId] = useState(null);
+  // Cartelle remote aperte (chiave: sourceId/percorso), chiuse di default perché possono essere molte
+  const [expandedFolders, setExpandedFolders] = useState(() => new Set());
+
+  // Figli di ogni nodo, ordinati per posizione
+  const childrenByParent = useMemo(() => {
+    const map = new Map();
+    [...playlists]
+      .sort((a, b) => a.position - b.position || a.createdAt - b.createdAt)
+      .forEach(node => {
+        const siblings = map.get(node.parentId) || [];
+        siblings.push(node);
+        map.set(node.parentId, siblings);
+      });
+    return map;
+  }, [playlists]);
+
+  const toggleCollapsed = useCallback((id) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  }, []);
+
+  const toggleFolder = useCallback((key) => {
+    setExpandedFolders(prev => {
+      const next = new Set(prev);
+      next.has(key) ? next.delete(key) : next.add(key);
+      return next;
+    });
+  }, []);
+
+  const startRename = useCallback((node) => {
+    setEditingId(node.id);
+    setEditingName(node.name);
+  }, []);
+
+  const commitRename = useCallback(() => {
+    const name = editingName.trim();
+    if (editingId && name) onRename(editingId, name);
+    setEditingId(null);
+  }, [editingId, editingName, onRename]);
+
+  /**
+   * Crea un nodo e apre subito la modifica del nome
+   */
+  const handleCreate = useCallback(async (type) => {
+    const node = await onCreate(type);
+    if (node) startRename(node);
+  }, [onCreate, startRename]);
+
+  /**
+   * Drag: le tracce si possono lasciare su playlist e crate, i nodi solo su crate e collezione
+   */
+  const handleDragOver = useCallback((e, node) => {
+    const acceptsTracks = node && node.type !== PLAYLIST_TYPES.SMART && hasDragType(e, DRAG_TYPES.TRACKS);
+    const acceptsPlaylist = (!node || node.type === PLAYLIST_TYPES.CRATE) && hasDragType(e, DRAG_TYPES.PLAYLIST);
+    if (!acceptsTracks && !acceptsPlaylist) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = acceptsTracks ? 'copy' : 'move';
+    setDropTargetId(node ? node.id : 'collection');
+  }, []);
+
+  const handleDrop = useCallback((e, node) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTargetId(null);
+
+    const trackData = e.dataTransfer.getData(DRAG_TYPES.TRACKS);
+    if (trackData && node && node.type !== PLAYLIST_TYPES.SMART) {
+      onDropTracks(node.id, JSON.parse(trackData));
+      return;
+    }
+
+    const playlistId = e.dataTransfer.getData(DRAG_TYPES.PLAYLIST);
+    if (playlistId && playlistId !== node?.id) {
+      onMovePlaylist(playlistId, node ? node.id : null);
+    }
+  }, [onDropTracks, onMovePlaylist]);
+
+  const renderNodes = (parentId, depth) => (childrenByParent.get(parentId) || []).map(node => {
+    const isCrate = node.type === PLAYLIST_TYPES.CRATE;
+    const isSmart = node.type === PLAYLIST_TYPES.SMART;
+    const isCollapsed = collapsedIds.has(node.id);
+    const hasChildren = childrenByParent.has(node.id);
+
+    return (
+      <React.Fragment key={node.id}>
+        <div
+          className={`playlist-node ${activeId === node.id ? 'active' : ''} ${dropTargetId === node.id ? 'drop-target' : ''}`}
+          style={{ paddingLeft: `${0.5 + depth * 0.9}rem` }}
+          onClick={() => onSelect(node.id)}
+          draggable={editingId !== node.id}
+          onDragStart={(e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData(DRAG_TYPES.PLAYLIST, node.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
+          onDragOver={(e) => handleDragOver(e, node)}
+          onDragLeave={() => setDropTargetId(prev => prev === node.id ? null : prev)}
+          onDrop={(e) => handleDrop(e, node)}
+        >
+          <span
+            className="playlist-node-toggle"
+            onClick={(e) => {
+              if (!isCrate) return;
+              e.stopPropagation();
+              toggleCollapsed(node.id);
+            }}
+          >
+            {isCrate ? (hasChildren ? (isCollapsed ? '▸' : '▾') : '') : ''}
+          </span>
+          <span className="playlist-node-icon">{isCrate ? '📁' : isSmart ? '⚡' : '🎵'}</span>
+
+          {editingId === node.id ? (
+            <input
+              className="playlist-node-input"
+              value={editingName}
+              autoFocus
+              onChange={(e) => setEditingName(e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitRename();
+                if (e.key === 'Escape') setEditingId(null);
+              }}
+            />
+          ) : (
+            <span
+              className="playlist-node-name"
+              onDoubleClick={(e) => {
+                e.stopPropagation();
+                startRename(node);
+              }}
+              title={`${node.name} (doppio click per rinominare)`}
+            >
+              {node.name}
+            </span>
+          )}
+
+          <span className="playlist-node-count">{nodeCounts.get(node.id) ?? node.trackIds.length}</span>
+          <span className="playlist-node-actions">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                isSmart ? onEditSmart(node) : startRename(node);
+              }}
+              title={isSmart ? 'Modifica regole' : 'Rinomina'}
+            >
+              ✎
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDuplicate(node.id);
+              }}
+              title="Duplica"
+            >
+              ⧉
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete(node);
+              }}
+              title="Elimina"
+            >
+              ✕
+            </button>
+          </span>
+        </div>
+        {isCrate && !isCollapsed && renderNodes(node.id, depth + 1)}
+      </React.Fragment>
+    );
+  });
+
+  const renderRemoteFolders = (folders, depth) => folders.map(folder => {
+    const key = `${folder.sourceId}/${folder.path}`;
+    const isRoot = !folder.path;
+    const isExpanded = expandedFolders.has(key);
+    const isActive = activeRemoteFolder?.sourceId === folder.sourceId && activeRemoteFolder.path === folder.path;
+    const isLoading = isRoot && loadingSourceIds.includes(folder.sourceId);
+
+    return (
+      <React.Fragment key={key}>
+        <div
+          className={`playlist-node remote-folder ${isActive ? 'active' : ''}`}
+          style={{ paddingLeft: `${0.5 + depth * 0.9}rem` }}
+          onClick={() => onSelectRemoteFolder(folder.sourceId, folder.path)}
+          title={folder.path || folder.name}
+        >
+          <span
+            className="playlist-node-toggle"
+            onClick={(e) => {
+              if (folder.children.length === 0) return;
+              e.stopPropagation();
+              toggleFolder(key);
+            }}
+          >
+            {folder.children.length > 0 ? (isExpanded ? '▾' : '▸') : ''}
+          </span>
+          <span className="playlist-node-icon">{isRoot ? '☁️' : '📂'}</span>
+          <span className="playlist-node-name">{folder.name}</span>
+          <span className="playlist-node-count">{isLoading ? '…' : folder.count}</span>
+          {isRoot && (
+            <span className="playlist-node-actions">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onRefreshRemote(folder.sourceId);
+                }}
+                disabled={isLoading}
+                title="Aggiorna l'elenco dalla sorgente"
+              >
+                ⟳
+              </button>
+            </span>
+          )}
+        </div>
+        {isExpanded && renderRemoteFolders(folder.children, depth + 1)}
+      </React.Fragment>
+    );
+  });
+
+  return (
+    <div className="playlist-sidebar">
+      <div className="playlist-sidebar-actions">
+        <button onClick={() => handleCreate(PLAYLIST_TYPES.PLAYLIST)} title="Nuova playlist">+ Playlist</button>
+        <button onClick={() => handleCreate(PLAYLIST_TYPES.CRATE)} title="Nuova crate (cartella)">+ Crate</button>
+        <button onClick={onCreateSmart} title="Nuova smart playlist (da regole)">+ Smart</button>
+      </div>
+
+      <div className="playlist-tree">
+        <div
+          className={`playlist-node ${activeId === null && !activeRemoteFolder ? 'active' : ''} ${dropTargetId === 'collection' ? 'drop-target' : ''}`}
+          onClick={() => onSelect(null)}
+          onDragOver={(e) => handleDragOver(e, null)}
+          onDragLeave={() => setDropTargetId(prev => prev === 'collection' ? null : prev)}
+          onDrop={(e) => handleDrop(e, null)}
+        >
+          <span className="playlist-node-toggle" />
+          <span className="playlist-node-icon">📚</span>
+          <span className="playlist-node-name">Collezione</span>
+          <span className="playlist-node-count">{collectionCount}</span>
+        </div>
+        {renderNodes(null, 0)}
+
+        {remoteFolders.length > 0 && (
+          <>
+            <div className="playlist-section-title">Sorgenti remote</div>
+            {renderRemoteFolders(remoteFolders, 0)}
+          </>
+        )}
+        {!hasRemoteSources && onAddRemoteSource && (
+          <>
+            <div className="playlist-section-title">Sorgenti remote</div>
+            <div
+              className="playlist-node remote-source-prompt"
+              onClick={onAddRemoteSource}
+              title="La cartella Google Drive integrata non c'è più: aggiungi le tue cartelle (Drive, indice HTTP o WebDAV)"
+            >
+              <span className="playlist-node-toggle" />
+              <span className="playlist-node-icon">☁️</span>
+              <span className="playlist-node-name">Aggiungi una sorgente...</span>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PlaylistSidebar;
@@ -0,0 +1,177 @@
+import React, { useState, useCallback } from 'react';
+import { REMOTE_PROVIDERS, getProvider, createRemoteSource, isSourceConfigured, listSourceTracks } from '../services/remoteSources';
+import './RemoteSourcesSettings.css';
+
+/**
+ * Componente RemoteSourcesSettings - Dialog di configurazione delle sorgenti remote
+ *
+ * Le modifiche restano in una bozza fino al salvataggio; "Prova" legge subito
+ * la sorgente con la configurazione della bozza e mostra quante tracce trova;
+ * senza prova, ogni sorgente mostra l'esito dell'ultima lettura (tracce o errore) e la sua data:
+ * gli elenchi salvati si rileggono dalla rete solo con "Aggiorna".
+ */
+function RemoteSourcesSettings({ sources, errors, tracksBySource, loadingIds, fetchedAt, onSave, onRefresh, onClose }) {
+  const [draft, setDraft] = useState(sources);
+  const [newType, setNewType] = useState(Object.keys(REMOTE_PROVIDERS)[0]);
+  // Esito delle prove: sourceId → { testing } | { count, errors } | { error }
+  const [tests, setTests] = useState({});
+
+  const updateSource = useCallback((id, changes) => {
+    setDraft(prev => prev.map(source => (source.id === id ? { ...source, ...changes } : source)));
+    setTests(prev => ({ ...prev, [id]: null }));
+  }, []);
+
+  const addSource = useCallback(() => {
+    setDraft(prev => [...prev, createRemoteSource(newType)]);
+  }, [newType]);
+
+  const removeSource = useCallback((source) => {
+    if (!window.confirm(`Eliminare la sorgente "${source.name}"? Le sue tracce in libreria restano, ma non si potranno scaricare.`)) return;
+    setDraft(prev => prev.filter(s => s.id !== source.id));
+  }, []);
+
+  const testSource = useCallback(async (source) => {
+    setTests(prev => ({ ...prev, [source.id]: { testing: true } }));
+    try {
+      const { tracks, errors } = await listSourceTracks(source);
+      setTests(prev => ({ ...prev, [source.id]: { count: tracks.length, errors } }));
+    } catch (error) {
+      setTests(prev => ({ ...prev, [source.id]: { error: error.message || 'Sorgente non raggiungibile' } }));
+    }
+  }, []);
+
+  /**
+   * Stato di una sorgente: prova in corso o appena fatta, altrimenti l'ultima lettura salvata
+   */
+  const renderStatus = (source) => {
+    const test = tests[source.id];
+    if (test?.testing) return <span className="remote-source-status">Prova in corso...</span>;
+    if (test?.error) return <span className="remote-source-status error">❌ {test.error}</span>;
+    if (test?.errors?.length > 0) {
+      return <span className="remote-source-status warning">⚠️ {test.count} tracce trovate · {test.errors.join(' · ')}</span>;
+    }
+    if (test) return <span className="remote-source-status ok">✅ {test.count} tracce trovate</span>;
+    if (!isSourceConfigured(source)) return <span className="remote-source-status warning">Compila i campi obbligatori</span>;
+    if (loadingIds.includes(source.id)) return <span className="remote-source-status">Caricamento...</span>;
+    // Lettura parziale: le tracce lette restano, con l'errore delle parti mancanti
+    if (tracksBySource[source.id]) {
+      return (
+        <span className={`remote-source-status ${errors[source.id] ? 'warning' : 'ok'}`}>
+          {errors[source.id] && '⚠️ '}
+          {tracksBySource[source.id].length} tracce
+          {fetchedAt[source.id] && ` · elenco del ${new Date(fetchedAt[source.id]).toLocaleString('it-IT', { dateStyle: 'short', timeStyle: 'short' })}`}
+          {errors[source.id] && ` · ${errors[source.id]}`}
+        </span>
+      );
+    }
+    if (errors[source.id]) return <span className="remote-source-status error">❌ {errors[source.id]}</span>;
+    return null;
+  };
+
+  return (
+    <div className="remote-sources-overlay" onClick={onClose}>
+      <div className="remote-sources-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="remote-sources-header">
+          <h3>Sorgenti remote</h3>
+          <button className="remote-sources-close" onClick={onClose} title="Chiudi">×</button>
+        </div>
+
+        <div className="remote-sources-content">
+          {draft.length === 0 && (
+            <p className="remote-sources-empty">
+              Nessuna sorgente configurata: aggiungi una cartella Google Drive, un indice JSON o una cartella WebDAV.
+            </p>
+          )}
+
+          {draft.map(source => {
+            const provider = getProvider(source.type);
+            const isSaved = sources.some(s => s.id === source.id);
+            return (
+              <div key={source.id} className={`remote-source ${source.enabled ? '' : 'disabled'}`}>
+                <div className="remote-source-header">
+                  <input
+                    type="checkbox"
+                    checked={source.enabled}
+                    onChange={(e) => updateSource(source.id, { enabled: e.target.checked })}
+                    title="Attiva"
+                  />
+                  <input
+                    className="remote-source-name"
+                    value={source.name}
+                    onChange={(e) => updateSource(source.id, { name: e.target.value })}
+                    placeholder="Nome"
+                  />
+                  <span className="remote-source-type">{provider?.label || source.type}</span>
+                  <button className="remote-source-remove" onClick={() => removeSource(source)} title="Elimina sorgente">✕</button>
+                </div>
+
+                {provider?.fields.map(field => (
+                  <label key={field.name} className="remote-source-field">
+                    <span>{field.label}{field.required && ' *'}</span>
+                    {field.type === 'list' ? (
+                      <textarea
+                        rows={2}
+                        value={source[field.name] || ''}
+                        placeholder={field.placeholder}
+                        spellCheck={false}
+                        onChange={(e) => updateSource(source.id, { [field.name]: e.target.value })}
+                      />
+                    ) : (
+                      <input
+                        type={field.type}
+                        value={source[field.name] || ''}
+                        placeholder={field.placeholder}
+                        autoComplete="off"
+                        onChange={(e) => updateSource(source.id, { [field.name]: e.target.value })}
+                      />
+                    )}
+                  </label>
+                ))}
+
+                <div className="remote-source-footer">
+                  {renderStatus(source)}
+                  <button
+                    onClick={() => testSource(source)}
+                    disabled={!isSourceConfigured(source) || tests[source.id]?.testing}
+                  >
+                    Prova
+                  </button>
+                  {isSaved && source.enabled && (
+                    <button
+                      onClick={() => onRefresh(source.id)}
+                      disabled={!isSourceConfigured(source) || loadingIds.includes(source.id)}
+                      title="Rileggi l'elenco delle tracce dalla sorgente"
+                    >
+                      ⟳ Aggiorna
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="remote-sources-add">
+            <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+              {Object.values(REMOTE_PROVIDERS).map(provider => (
+                <option key={provider.type} value={provider.type}>{provider.label}</option>
+              ))}
+            </select>
+            <button onClick={addSource}>+ Aggiungi sorgente</button>
+          </div>
+        </div>
+
+        <div className="remote-sources-footer">
+          <button className="remote-sources-cancel" onClick={onClose}>Annulla</button>
+          <button
+            className="remote-sources-save"
+            onClick={() => onSave(draft.map(source => ({ ...source, name: source.name.trim() || getProvider(source.type)?.label })))}
+          >
+            Salva
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RemoteSourcesSettings;
@@ -0,0 +1,173 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  createCondition,
+  createSmartRules,
+  operatorNeedsValue,
+  getSmartPlaylistTracks
+} from '../utils/smartPlaylist';
+import { REMOTE_PROVIDERS } from '../services/remoteSources';
+import './SmartPlaylistEditor.css';
+
+/**
+ * Componente SmartPlaylistEditor - Dialog per creare o modificare una smart playlist
+ *
+ * Ogni riga è una condizione (campo, operatore, valore); le condizioni si combinano
+ * con AND ("tutte") o OR ("almeno una"). L'anteprima conta le tracce della libreria
+ * che soddisfano le regole mentre si scrivono.
+ */
+function SmartPlaylistEditor({ playlist, tracks, onSave, onClose }) {
+  const [name, setName] = useState(playlist?.name || 'Nuova smart playlist');
+  const [rules, setRules] = useState(() => playlist?.rules || createSmartRules());
+
+  const matchCount = useMemo(() => getSmartPlaylistTracks(tracks, rules).length, [tracks, rules]);
+
+  const updateCondition = useCallback((index, fields) => {
+    setRules(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...fields } : condition))
+    }));
+  }, []);
+
+  /**
+   * Cambiando campo si riparte dall'operatore e dal valore di default del nuovo tipo
+   */
+  const changeField = useCallback((index, field) => {
+    setRules(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (
+        i === index
+          ? (RULE_FIELDS[field].type === RULE_FIELDS[condition.field].type ? { ...condition, field } : createCondition(field))
+          : condition
+      ))
+    }));
+  }, []);
+
+  const addCondition = useCallback(() => {
+    setRules(prev => ({ ...prev, conditions: [...prev.conditions, createCondition()] }));
+  }, []);
+
+  const removeCondition = useCallback((index) => {
+    setRules(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+  }, []);
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave({ name: name.trim(), rules });
+  };
+
+  /**
+   * Campo del valore in base al tipo di condizione
+   */
+  const renderValue = (condition, index) => {
+    if (!operatorNeedsValue(condition.operator)) return null;
+    const type = RULE_FIELDS[condition.field].type;
+
+    if (type === 'source') {
+      return (
+        <select value={condition.value} onChange={(e) => updateCondition(index, { value: e.target.value })}>
+          <option value="local">Locale</option>
+          <option value="remote">Remota (tutte le sorgenti)</option>
+          {Object.values(REMOTE_PROVIDERS).map(provider => (
+            <option key={provider.type} value={provider.type}>{provider.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (type === 'number') {
+      return (
+        <>
+          <input
+            type="number"
+            value={condition.value}
+            onChange={(e) => updateCondition(index, { value: e.target.value })}
+          />
+          {condition.operator === 'between' && (
+            <>
+              <span className="smart-rule-and">e</span>
+              <input
+                type="number"
+                value={condition.value2 ?? ''}
+                onChange={(e) => updateCondition(index, { value2: e.target.value })}
+              />
+            </>
+          )}
+        </>
+      );
+    }
+
+    return (
+      <input
+        type={type === 'date' ? 'number' : 'text'}
+        min={type === 'date' ? 1 : undefined}
+        value={condition.value}
+        placeholder={type === 'key' ? 'es. 8A 9A 8B' : ''}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+      />
+    );
+  };
+
+  return (
+    <div className="smart-editor-overlay" onClick={onClose}>
+      <div className="smart-editor-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="smart-editor-header">
+          <h3>⚡ {playlist ? 'Modifica smart playlist' : 'Nuova smart playlist'}</h3>
+          <button className="smart-editor-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="smart-editor-content">
+          <input
+            className="smart-editor-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Nome"
+            autoFocus
+          />
+
+          <div className="smart-editor-match">
+            Tracce che soddisfano
+            <select value={rules.match} onChange={(e) => setRules(prev => ({ ...prev, match: e.target.value }))}>
+              <option value="all">tutte le condizioni (AND)</option>
+              <option value="any">almeno una condizione (OR)</option>
+            </select>
+          </div>
+
+          <div className="smart-rules">
+            {rules.conditions.map((condition, index) => (
+              <div key={index} className="smart-rule">
+                <select value={condition.field} onChange={(e) => changeField(index, e.target.value)}>
+                  {Object.entries(RULE_FIELDS).map(([field, definition]) => (
+                    <option key={field} value={field}>{definition.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                >
+                  {Object.entries(RULE_OPERATORS[RULE_FIELDS[condition.field].type]).map(([operator, label]) => (
+                    <option key={operator} value={operator}>{label}</option>
+                  ))}
+                </select>
+                {renderValue(condition, index)}
+                <button className="smart-rule-remove" onClick={() => removeCondition(index)} title="Rimuovi condizione">
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button className="smart-rule-add" onClick={addCondition}>+ Condizione</button>
+          </div>
+        </div>
+
+        <div className="smart-editor-footer">
+          <span className="smart-editor-preview">{matchCount} tracce</span>
+          <button className="smart-editor-cancel" onClick={onClose}>Annulla</button>
+          <button className="smart-editor-save" onClick={handleSave} disabled={!name.trim()}>Salva</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SmartPlaylistEditor;
@@ -1,97 +1,294 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
-import { fetchAudioFilesFromDrive, convertDriveFileToTrack, downloadAudioFile } from '../services/googleDriveService';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { buildRemoteFolderTree, isTrackInFolder } from '../services/remoteSources';
+import { useTrackLibrary } from '../hooks/useTrackLibrary';
+import { useRemoteSources } from '../hooks/useRemoteSources';
+import { useDownloadManager, DOWNLOAD_STATUS } from '../hooks/useDownloadManager';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { usePlaylists } from '../hooks/usePlaylists';
+import { PLAYLIST_TYPES, getDescendantIds } from '../services/playlistLibrary';
+import { getSmartPlaylistTracks } from '../utils/smartPlaylist';
+import { EXCHANGE_FORMATS, IMPORT_ACCEPT, parseExchangeFile, matchImportedTracks, getImportedPrep, saveImportedPrep, buildExchangePlaylists, exportLibrary, downloadTextFile } from '../services/libraryExchange';
+import { isAudioFile, getSelectedFiles, getDroppedFiles } from '../utils/folderScan';
+import { sortTracks, getSearchText, matchesSearch, getTrackBPM, isTempoCompatible, isKeyCompatible, TEMPO_TOLERANCE } from '../utils/trackFilters';
+import TrackTable from './TrackTable';
+import PlaylistSidebar from './PlaylistSidebar';
+import SmartPlaylistEditor from './SmartPlaylistEditor';
+import RemoteSourcesSettings from './RemoteSourcesSettings';
+import DownloadManager from './DownloadManager';
 import './TrackBrowser.css';
 
+// Soglia di spazio usato oltre la quale l'indicatore diventa di avviso
+const STORAGE_WARNING_RATIO = 0.8;
+
+/**
+ * Formatta la dimensione del file
+ */
+const formatFileSize = (bytes) => {
+  if (!bytes || bytes === 0) return 'N/A';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Campi di una traccia remota da salvare quando entra in libreria
+ * (le tracce remote entrano in libreria al primo caricamento o voto)
+ */
+const getRemoteFields = (track) => (track.isRemote ? {
+  name: track.name,
+  size: track.size,
+  type: track.type,
+  source: track.source,
+  isRemote: true,
+  fileId: track.fileId,
+  sourceId: track.sourceId
+} : {});
+
 /**
  * Componente TrackBrowser - Browser per la selezione e caricamento tracce
  * 
  * Permette di:
- * - Caricare automaticamente file audio da Google Drive
- * - Caricare file audio dal file system locale
+ * - Elencare le tracce delle sorgenti remote configurate (Google Drive, indice HTTP,
+ *   WebDAV: vedi services/remoteSources) e scaricarle quando vengono caricate;
+ *   le cartelle delle sorgenti si sfogliano dalla barra laterale
+ * - Scaricare le tracce remote con avanzamento, anche in anticipo per tutta la vista,
+ *   e tenerle in una cache offline (vedi hooks/useDownloadManager)
+ * - Caricare file audio dal file system locale, anche intere cartelle
+ *   (le sottocartelle possono diventare crate)
  * - Visualizzare le tracce caricate
  * - Selezionare e caricare tracce nei deck
- * - Gestire una libreria di tracce
+ * - Gestire una libreria di tracce persistente (vedi hooks/useTrackLibrary):
+ *   file locali, riepilogo dell'analisi, riproduzioni, spazio occupato,
+ *   rimozione dell'audio mantenendo i metadati
+ * - Ordinare la tabella per colonna, cercare su tutti i campi e filtrare
+ *   le tracce compatibili (tempo del deck A, tonalità del deck B)
+ * - Organizzare le tracce (locali e remote) in playlist e crate (vedi hooks/usePlaylists)
+ *   e in smart playlist calcolate da regole (vedi utils/smartPlaylist)
+ * - Importare ed esportare playlist M3U8/PLS e collezioni Traktor/Rekordbox
+ *   (vedi services/libraryExchange)
  */
 function TrackBrowser({ onLoadTrack, deckA, deckB }) {
-  const [tracks, setTracks] = useState([]);
+  const library = useTrackLibrary();
+  const { recordPlay } = library;
+  const playlists = usePlaylists();
+  const [activePlaylistId, setActivePlaylistId] = useState(null);
+  // Dialog delle smart playlist: null = chiuso, { playlist: null } = nuova
+  const [smartEditor, setSmartEditor] = useState(null);
+  const remote = useRemoteSources();
+  const remoteTracks = remote.tracks;
+  const [isSourcesOpen, setIsSourcesOpen] = useState(false);
+  const downloader = useDownloadManager(remote.sources);
+  const [isDownloadsOpen, setIsDownloadsOpen] = useState(false);
+  // Cartella remota mostrata ({ sourceId, path }), in alternativa a una playlist
+  const [remoteFolder, setRemoteFolder] = useState(null);
   const [selectedTrack, setSelectedTrack] = useState(null);
   const [browserHeight, setBrowserHeight] = useState(20); // Percentuale di altezza
   const [isResizing, setIsResizing] = useState(false);
-  const [isLoadingRemote, setIsLoadingRemote] = useState(false);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  // Avanzamento dell'aggiunta di file: null = nessuna aggiunta in corso
+  const [importProgress, setImportProgress] = useState(null);
+  const [foldersAsCrates, setFoldersAsCrates] = useLocalStorage('fratemix_folders_as_crates', false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [tempoFilter, setTempoFilter] = useState(false);
+  const [keyFilter, setKeyFilter] = useState(false);
+  const [sort, setSort] = useLocalStorage('fratemix_browser_sort', { column: 'addedAt', direction: 'desc' });
+  // Le playlist hanno un ordinamento separato: di default il loro ordine
+  const [playlistSort, setPlaylistSort] = useLocalStorage('fratemix_playlist_sort', { column: 'position', direction: 'asc' });
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const importInputRef = useRef(null);
   const browserRef = useRef(null);
   const resizeStartYRef = useRef(0);
   const resizeStartHeightRef = useRef(0);
-  const hasLoadedRemoteTracks = useRef(false);
+  // Ultima traccia conteggiata come riprodotta per ogni deck
+  const countedTrackIdsRef = useRef({});
+  
+  /**
+   * Tracce mostrate: la libreria più le tracce remote non ancora in libreria
+   * (le tracce remote in libreria prendono i dati aggiornati dall'elenco remoto)
+   */
+  const tracks = useMemo(() => {
+    const remoteById = new Map(remoteTracks.map(track => [track.id, track]));
+    const libraryTracks = library.tracks.map(track => {
+      const remote = remoteById.get(track.id);
+      return remote
+        ? { ...track, name: remote.name, size: remote.size, sourceId: remote.sourceId, folder: remote.folder }
+        : track;
+    });
+    const libraryIds = new Set(library.tracks.map(track => track.id));
+    return [...libraryTracks, ...remoteTracks.filter(track => !libraryIds.has(track.id))];
+  }, [library.tracks, remoteTracks]);
+  
+  const tracksById = useMemo(() => new Map(tracks.map(track => [track.id, track])), [tracks]);
+  
+  // Playlist o crate mostrata (null = tutta la collezione)
+  const activePlaylist = playlists.playlists.find(node => node.id === activePlaylistId) || null;
+  const isSmartView = activePlaylist?.type === PLAYLIST_TYPES.SMART;
+  // Le smart playlist non hanno un ordine proprio: usano l'ordinamento della collezione
+  const isOrderedView = Boolean(activePlaylist) && !isSmartView;
+  const currentSort = isOrderedView ? playlistSort : sort;
   
   /**
-   * Carica automaticamente le tracce da Google Drive all'avvio
+   * Tracce di ogni smart playlist (ricalcolate quando cambia la libreria)
    */
+  const smartTracks = useMemo(() => new Map(
+    playlists.playlists
+      .filter(node => node.type === PLAYLIST_TYPES.SMART)
+      .map(node => [node.id, getSmartPlaylistTracks(tracks, node.rules)])
+  ), [playlists.playlists, tracks]);
+  
+  // Albero delle cartelle delle sorgenti remote (barra laterale)
+  const remoteFolders = useMemo(() => (
+    buildRemoteFolderTree(remote.sources, remote.tracksBySource)
+  ), [remote.sources, remote.tracksBySource]);
+  
+  // La cartella mostrata sparisce se la sua sorgente viene eliminata o disattivata
   useEffect(() => {
-    const loadRemoteTracks = async () => {
-      // Carica solo una volta
-      if (hasLoadedRemoteTracks.current) return;
-      
-      setIsLoadingRemote(true);
-      console.log('🎵 Caricamento tracce da Google Drive...');
+    if (remoteFolder && !remote.sources.some(source => source.id === remoteFolder.sourceId && source.enabled)) {
+      setRemoteFolder(null);
+    }
+  }, [remoteFolder, remote.sources]);
+  
+  const remoteFolderName = remoteFolder && (remoteFolder.path
+    ? remoteFolder.path.split('/').pop()
+    : remote.sources.find(source => source.id === remoteFolder.sourceId)?.name);
+  
+  const nodeCounts = useMemo(() => new Map(
+    Array.from(smartTracks, ([id, matches]) => [id, matches.length])
+  ), [smartTracks]);
+  
+  /**
+   * Tracce della vista corrente: la collezione, una cartella remota, o le tracce della playlist
+   * con la loro posizione (le tracce non più in libreria vengono saltate)
+   */
+  const sourceTracks = useMemo(() => {
+    if (remoteFolder) return tracks.filter(track => isTrackInFolder(track, remoteFolder));
+    if (!activePlaylist) return tracks;
+    if (isSmartView) return smartTracks.get(activePlaylist.id) || [];
+    return activePlaylist.trackIds
+      .map((id, index) => tracksById.has(id) && { ...tracksById.get(id), position: index + 1 })
+      .filter(Boolean);
+  }, [remoteFolder, activePlaylist, isSmartView, smartTracks, tracks, tracksById]);
+  
+  // Testo di ricerca di ogni traccia (ricalcolato solo quando cambia la libreria)
+  const searchTexts = useMemo(() => (
+    new Map(tracks.map(track => [track.id, getSearchText(track)]))
+  ), [tracks]);
+  
+  const libraryIds = useMemo(() => new Set(library.tracks.map(track => track.id)), [library.tracks]);
+  
+  // Riferimenti dei filtri rapidi: attivi solo se il deck ha un tempo / una tonalità
+  const tempoReference = deckA?.isLoaded && deckA.effectiveBPM > 0 ? deckA.effectiveBPM : null;
+  const keyReference = deckB?.isLoaded ? deckB.effectiveKey : null;
+  
+  /**
+   * Tracce mostrate nella tabella: ricerca, filtri rapidi e ordinamento
+   */
+  const visibleTracks = useMemo(() => {
+    const filtered = sourceTracks.filter(track => {
+      if (searchQuery && !matchesSearch(searchTexts.get(track.id), searchQuery)) return false;
+      if (tempoFilter && tempoReference && !isTempoCompatible(getTrackBPM(track), tempoReference)) return false;
+      if (keyFilter && keyReference && !isKeyCompatible(track.key, keyReference)) return false;
+      return true;
+    });
+    return sortTracks(filtered, currentSort);
+  }, [sourceTracks, searchTexts, searchQuery, tempoFilter, tempoReference, keyFilter, keyReference, currentSort]);
+  
+  // Il riordino trascinando le righe ha senso solo con la playlist completa e nel suo ordine
+  const canReorder = isOrderedView
+    && currentSort.column === 'position' && currentSort.direction === 'asc'
+    && visibleTracks.length === sourceTracks.length;
+  
+  /**
+   * Crea una crate per ogni cartella importata, annidate come le cartelle,
+   * con le tracce contenute direttamente in ognuna
+   * (le crate con lo stesso nome già presenti nello stesso punto vengono riusate)
+   * @param {Map<string, string[]>} trackIdsByFolder - Percorso della cartella → id delle tracce
+   */
+  const createFolderCrates = useCallback(async (trackIdsByFolder) => {
+    const paths = new Set();
+    trackIdsByFolder.forEach((_, folder) => {
+      const parts = folder.split('/');
+      parts.forEach((_, i) => paths.add(parts.slice(0, i + 1).join('/')));
+    });
+    
+    const crateIds = new Map();
+    const sortedPaths = Array.from(paths).sort((a, b) => a.split('/').length - b.split('/').length);
+    for (const path of sortedPaths) {
+      const parentPath = path.split('/').slice(0, -1).join('/');
+      const parentId = parentPath ? crateIds.get(parentPath) ?? null : null;
+      const name = path.split('/').pop();
+      const trackIds = [...new Set(trackIdsByFolder.get(path) || [])];
       
-      try {
-        // Recupera i file dalla cartella Google Drive
-        const driveFiles = await fetchAudioFilesFromDrive();
-        
-        if (driveFiles.length > 0) {
-          // Converti i file in oggetti Track
-          const remoteTracks = driveFiles.map(convertDriveFileToTrack);
-          
-          setTracks(remoteTracks);
-          setSelectedTrack(remoteTracks[0]);
-          
-          console.log(`✅ ${remoteTracks.length} tracce caricate da Google Drive`);
-        } else {
-          console.log('⚠️ Nessuna traccia trovata su Google Drive');
-        }
-        
-        hasLoadedRemoteTracks.current = true;
-      } catch (error) {
-        console.error('❌ Errore caricamento tracce remote:', error);
-      } finally {
-        setIsLoadingRemote(false);
+      const existing = playlists.playlists.find(node => (
+        node.type === PLAYLIST_TYPES.CRATE && node.parentId === parentId && node.name === name
+      ));
+      if (existing) {
+        if (trackIds.length > 0) await playlists.addTracks(existing.id, trackIds);
+        crateIds.set(path, existing.id);
+      } else {
+        const crate = await playlists.createPlaylist(PLAYLIST_TYPES.CRATE, parentId, name, { trackIds });
+        if (crate) crateIds.set(path, crate.id);
       }
-    };
-    
-    loadRemoteTracks();
-  }, []);
+    }
+  }, [playlists.playlists, playlists.addTracks, playlists.createPlaylist]);
   
   /**
-   * Carica un file audio e lo aggiunge alla libreria
+   * Aggiunge dei file audio alla libreria, mostrando l'avanzamento
+   * (i duplicati vengono riconosciuti dal contenuto e saltati)
+   * @param {Array<{file: File, folder: string}>} items - File con la loro cartella (vedi utils/folderScan)
    */
-  const handleFileLoad = useCallback(async (file) => {
-    if (!file) return;
+  const handleFilesLoad = useCallback(async (items) => {
+    const audioItems = items.filter(item => isAudioFile(item.file));
+    if (audioItems.length === 0) return;
     
-    // Controlla se la traccia è già presente
-    const isDuplicate = tracks.some(t => 
-      t.name === file.name && t.size === file.size
-    );
+    const folderByFile = new Map(audioItems.map(item => [item.file, item.folder]));
+    setImportProgress({ done: 0, total: audioItems.length, added: 0, skipped: 0, failed: 0 });
     
-    if (isDuplicate) {
-      console.log('⚠️ Traccia già presente nella libreria:', file.name);
-      return;
+    try {
+      let summary = null;
+      const results = await library.addFiles(audioItems.map(item => item.file), progress => {
+        summary = progress;
+        setImportProgress(progress);
+      });
+      if (results.length > 0) {
+        setSelectedTrack(results[results.length - 1].track);
+      }
+      
+      if (foldersAsCrates) {
+        const trackIdsByFolder = new Map();
+        results.forEach(({ file, track }) => {
+          const folder = folderByFile.get(file);
+          if (!folder) return;
+          trackIdsByFolder.set(folder, [...(trackIdsByFolder.get(folder) || []), track.id]);
+        });
+        await createFolderCrates(trackIdsByFolder);
+      }
+      
+      if (audioItems.length > 1) {
+        console.log(`📂 Import completato: ${summary.added} nuove, ${summary.skipped} già in libreria, ${summary.failed} non leggibili`);
+      }
+      if (summary.failed > 0) {
+        alert(`${summary.failed} file su ${summary.total} non sono stati aggiunti alla libreria.`);
+      }
+    } finally {
+      setImportProgress(null);
     }
-    
-    // Crea un oggetto traccia con metadati
-    const track = {
-      id: `local_${Date.now()}_${Math.random()}`,
-      name: file.name,
-      file: file,
-      size: file.size,
-      type: file.type,
-      addedAt: new Date(),
-      isRemote: false
-    };
-    
-    setTracks(prev => [...prev, track]);
-    setSelectedTrack(track);
-  }, [tracks]);
+  }, [library.addFiles, foldersAsCrates, createFolderCrates]);
+  
+  /**
+   * Conta una riproduzione quando un deck inizia a suonare una traccia
+   * (una volta per caricamento)
+   */
+  useEffect(() => {
+    [deckA, deckB].forEach(deck => {
+      if (!deck?.isPlaying || !deck.trackId) return;
+      if (countedTrackIdsRef.current[deck.deckId] === deck.trackId) return;
+      countedTrackIdsRef.current[deck.deckId] = deck.trackId;
+      recordPlay(deck.trackId);
+    });
+  }, [deckA?.isPlaying, deckA?.trackId, deckB?.isPlaying, deckB?.trackId, recordPlay]);
   
   /**
    * Gestisce il click sul pulsante di caricamento
@@ -104,12 +301,8 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
    * Gestisce la selezione di un file
    */
   const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files || []);
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        handleFileLoad(file);
-      }
-    });
+    handleFilesLoad(getSelectedFiles(e.target.files));
+    e.target.value = '';
   };
   
   /**
@@ -119,27 +312,296 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
     if (!track || !deck) return;
     
     try {
+      let file;
       if (track.isRemote && track.fileId) {
-        // Scarica il file da Google Drive
-        console.log(`⬇️ Download traccia remota: ${track.name}`);
-        const file = await downloadAudioFile(track.fileId, track.name);
-        await deck.loadAudioFile(file);
-      } else if (track.file) {
-        // File locale già disponibile
-        await deck.loadAudioFile(track.file);
+        // Dalla cache offline, o scaricato dalla sua sorgente remota
+        file = await downloader.loadTrackFile(track);
+      } else {
+        // File locale salvato nella libreria
+        file = await library.loadFile(track.id);
+        if (!file) {
+          alert(`L'audio di "${track.name}" è stato rimosso dalla libreria: aggiungi di nuovo il file per suonarlo.`);
+          return;
+        }
       }
+      
+      // Preparazione importata prima del download: viene salvata appena la traccia ha un'identità,
+      // prima che il deck legga correzioni e hot cue
+      const analysis = await deck.loadAudioFile(file, track.importedPrep ? {
+        onTrackId: (trackId) => saveImportedPrep(trackId, track.importedPrep)
+      } : {});
+      if (!analysis) return;
+      
+      // Salva in libreria i risultati dell'analisi (le tracce remote entrano in libreria qui)
+      await library.updateTrack({
+        id: track.id,
+        ...getRemoteFields(track),
+        ...analysis,
+        ...(track.importedPrep && { importedPrep: null })
+      });
     } catch (error) {
+      // Download annullato dal pannello dei download
+      if (error.name === 'AbortError') return;
       console.error('❌ Errore caricamento traccia nel deck:', error);
       alert(error.message || `Errore nel caricamento di ${track.name}`);
     }
+  }, [downloader.loadTrackFile, library.loadFile, library.updateTrack]);
+  
+  /**
+   * Carica una traccia nel deck A o B (dalla tabella)
+   */
+  const handleLoadToDeck = useCallback((track, deckKey) => {
+    loadTrackToDeck(track, deckKey === 'A' ? deckA : deckB);
+  }, [loadTrackToDeck, deckA, deckB]);
+  
+  /**
+   * Assegna un voto (0-5) a una traccia
+   */
+  const handleRateTrack = useCallback((track, rating) => {
+    library.updateTrack({ id: track.id, ...getRemoteFields(track), rating });
+  }, [library.updateTrack]);
+  
+  const isInLibrary = useCallback((track) => libraryIds.has(track.id), [libraryIds]);
+  
+  /**
+   * Rimuove l'audio di una traccia locale (i metadati restano in libreria)
+   * o toglie una traccia remota dalla cache offline
+   */
+  const handleEvictAudio = useCallback((track) => {
+    if (track.isRemote) {
+      downloader.removeFromCache(track.id);
+      return;
+    }
+    if (!window.confirm(`Rimuovere l'audio di "${track.name}"? I metadati restano in libreria.`)) return;
+    library.evictAudio(track.id);
+  }, [downloader.removeFromCache, library.evictAudio]);
+  
+  /**
+   * Elimina una traccia dalla libreria
+   */
+  const handleRemoveTrack = useCallback((track) => {
+    if (!window.confirm(`Eliminare "${track.name}" dalla libreria?`)) return;
+    library.removeTrack(track.id);
+    playlists.removeTrackEverywhere(track.id);
+    setSelectedTrack(prev => prev?.id === track.id ? null : prev);
+  }, [library.removeTrack, playlists.removeTrackEverywhere]);
+  
+  /**
+   * Toglie una traccia dalla playlist mostrata (resta in libreria)
+   */
+  const handleRemoveFromPlaylist = useCallback((track) => {
+    if (activePlaylist) playlists.removeTracks(activePlaylist.id, [track.id]);
+  }, [activePlaylist, playlists.removeTracks]);
+  
+  /**
+   * Mostra una playlist (null = la collezione) o una cartella remota
+   */
+  const handleSelectPlaylist = useCallback((id) => {
+    setActivePlaylistId(id);
+    setRemoteFolder(null);
+  }, []);
+  
+  const handleSelectRemoteFolder = useCallback((sourceId, path) => {
+    setActivePlaylistId(null);
+    setRemoteFolder({ sourceId, path });
   }, []);
   
   /**
-   * Gestisce il doppio click su una traccia per caricarla nel deck A
+   * Crea una playlist o una crate dentro la crate mostrata
+   * (o accanto alla playlist mostrata)
    */
-  const handleTrackDoubleClick = (track) => {
-    loadTrackToDeck(track, deckA);
-  };
+  const handleCreatePlaylist = useCallback((type) => {
+    const parentId = activePlaylist
+      ? (activePlaylist.type === PLAYLIST_TYPES.CRATE ? activePlaylist.id : activePlaylist.parentId)
+      : null;
+    return playlists.createPlaylist(type, parentId);
+  }, [activePlaylist, playlists.createPlaylist]);
+  
+  /**
+   * Salva la smart playlist del dialog (nuova: viene creata e mostrata)
+   */
+  const handleSaveSmartPlaylist = useCallback(async ({ name, rules }) => {
+    if (smartEditor?.playlist) {
+      await playlists.updateSmartPlaylist(smartEditor.playlist.id, { name, rules });
+    } else {
+      const parentId = activePlaylist
+        ? (activePlaylist.type === PLAYLIST_TYPES.CRATE ? activePlaylist.id : activePlaylist.parentId)
+        : null;
+      const node = await playlists.createPlaylist(PLAYLIST_TYPES.SMART, parentId, name, { rules });
+      if (node) setActivePlaylistId(node.id);
+    }
+    setSmartEditor(null);
+  }, [smartEditor, activePlaylist, playlists.updateSmartPlaylist, playlists.createPlaylist]);
+  
+  /**
+   * Elimina una playlist o una crate (con il suo contenuto)
+   */
+  const handleDeletePlaylist = useCallback((node) => {
+    const message = node.type === PLAYLIST_TYPES.CRATE
+      ? `Eliminare la crate "${node.name}" e tutto il suo contenuto? Le tracce restano in libreria.`
+      : node.type === PLAYLIST_TYPES.SMART
+        ? `Eliminare la smart playlist "${node.name}"?`
+        : `Eliminare la playlist "${node.name}"? Le tracce restano in libreria.`;
+    if (!window.confirm(message)) return;
+    
+    if (activePlaylistId && getDescendantIds(playlists.playlists, node.id).includes(activePlaylistId)) {
+      setActivePlaylistId(null);
+    }
+    playlists.removePlaylist(node.id);
+  }, [activePlaylistId, playlists.playlists, playlists.removePlaylist]);
+  
+  /**
+   * Aggiunge a una playlist le tracce trascinate dalla tabella
+   * (le tracce remote entrano in libreria, così la playlist le ritrova al prossimo avvio)
+   */
+  const handleDropTracks = useCallback(async (playlistId, trackIds) => {
+    for (const id of trackIds) {
+      const track = tracksById.get(id);
+      if (track?.isRemote && !libraryIds.has(id)) {
+        await library.updateTrack({ id, ...getRemoteFields(track) });
+      }
+    }
+    playlists.addTracks(playlistId, trackIds);
+  }, [tracksById, libraryIds, library.updateTrack, playlists.addTracks]);
+  
+  /**
+   * Sposta una traccia nella playlist mostrata
+   * @param {string} trackId - Traccia trascinata
+   * @param {number} index - Posizione di inserimento nella tabella
+   */
+  const handleReorder = useCallback((trackId, index) => {
+    if (!activePlaylist) return;
+    const target = index < visibleTracks.length
+      ? activePlaylist.trackIds.indexOf(visibleTracks[index].id)
+      : activePlaylist.trackIds.length;
+    playlists.moveTrack(activePlaylist.id, trackId, target);
+  }, [activePlaylist, visibleTracks, playlists.moveTrack]);
+  
+  /**
+   * Importa un file M3U8/PLS o una collezione Traktor/Rekordbox:
+   * le tracce trovate in libreria ricevono BPM, tonalità, beatgrid e cue,
+   * e le playlist del file vengono ricreate (in una crate, per le collezioni)
+   */
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const imported = parseExchangeFile(file.name, await file.text());
+      const matches = matchImportedTracks(imported.tracks, tracks);
+      
+      let preparedCount = 0;
+      for (const importedTrack of imported.tracks) {
+        const track = matches.get(importedTrack.ref);
+        if (!track) continue;
+        
+        const prep = getImportedPrep(importedTrack);
+        const fields = {};
+        if (prep?.corrections.bpm) fields.bpm = prep.corrections.bpm;
+        if (importedTrack.key) fields.key = importedTrack.key;
+        if (prep) {
+          preparedCount++;
+          if (track.trackId) {
+            await saveImportedPrep(track.trackId, prep);
+          } else {
+            fields.importedPrep = prep;
+          }
+        }
+        // Le tracce remote entrano in libreria, così le playlist importate le ritrovano
+        if (Object.keys(fields).length > 0 || !libraryIds.has(track.id)) {
+          await library.updateTrack({ id: track.id, ...getRemoteFields(track), ...fields });
+        }
+      }
+      
+      const createNodes = async (nodes, parentId) => {
+        for (const node of nodes) {
+          if (node.type === 'folder') {
+            const crate = await playlists.createPlaylist(PLAYLIST_TYPES.CRATE, parentId, node.name);
+            if (crate) await createNodes(node.children, crate.id);
+          } else {
+            const trackIds = [...new Set(node.refs.map(ref => matches.get(ref)?.id).filter(Boolean))];
+            await playlists.createPlaylist(PLAYLIST_TYPES.PLAYLIST, parentId, node.name, { trackIds });
+          }
+        }
+      };
+      const isCollection = imported.format === EXCHANGE_FORMATS.NML || imported.format === EXCHANGE_FORMATS.REKORDBOX;
+      if (isCollection && imported.playlists.length > 0) {
+        const crate = await playlists.createPlaylist(PLAYLIST_TYPES.CRATE, null, `Import ${file.name}`);
+        if (crate) await createNodes(imported.playlists, crate.id);
+      } else {
+        await createNodes(imported.playlists, null);
+      }
+      
+      const missing = imported.tracks.filter(track => !matches.has(track.ref));
+      console.log(`📂 Import ${imported.format.label}: ${matches.size}/${imported.tracks.length} tracce trovate in libreria`);
+      alert([
+        `${imported.format.label} "${file.name}": ${matches.size} di ${imported.tracks.length} tracce trovate in libreria`
+          + (preparedCount > 0 ? `, ${preparedCount} con beatgrid e cue importati` : '') + '.',
+        ...(missing.length > 0 ? [
+          '',
+          'Tracce non trovate (aggiungi i file e ripeti l\'import):',
+          ...missing.slice(0, 10).map(track => `• ${track.fileName}`),
+          ...(missing.length > 10 ? [`... e altre ${missing.length - 10}`] : [])
+        ] : [])
+      ].join('\n'));
+    } catch (error) {
+      console.error('❌ Errore nell\'import:', error);
+      alert(error.message || `Impossibile importare ${file.name}`);
+    }
+  }, [tracks, libraryIds, library.updateTrack, playlists.createPlaylist]);
+  
+  /**
+   * Esporta la vista corrente (M3U8/PLS) o tutta la collezione con le playlist (NML/Rekordbox)
+   */
+  const handleExport = useCallback(async (format) => {
+    setIsExportMenuOpen(false);
+    const isCollection = format === EXCHANGE_FORMATS.NML || format === EXCHANGE_FORMATS.REKORDBOX;
+    
+    try {
+      const { fileName, text } = await exportLibrary(format, isCollection
+        ? { name: 'Fratemix', tracks, playlists: buildExchangePlaylists(playlists.playlists, smartTracks) }
+        : { name: activePlaylist?.name || 'Fratemix', tracks: visibleTracks, sources: remote.sources });
+      downloadTextFile(fileName, text, format.mimeType);
+      console.log(`💾 Export ${format.label}: ${fileName}`);
+    } catch (error) {
+      console.error('❌ Errore nell\'export:', error);
+      alert(`Impossibile esportare in formato ${format.label}`);
+    }
+  }, [tracks, visibleTracks, activePlaylist, playlists.playlists, smartTracks, remote.sources]);
+  
+  /**
+   * Scarica in anticipo nella cache offline le tracce remote della vista corrente
+   * (es. la playlist da suonare), avvisando se non ci stanno
+   */
+  const handlePrefetch = useCallback(() => {
+    const missing = visibleTracks.filter(track => track.isRemote && track.fileId && !downloader.cachedIds.has(track.id));
+    if (missing.length === 0) {
+      alert('Le tracce remote di questa vista sono già tutte offline.');
+      return;
+    }
+    
+    const totalSize = missing.reduce((sum, track) => sum + (track.size || 0), 0);
+    if (downloader.cacheSize + totalSize > downloader.cacheLimit && !window.confirm(
+      `Le ${missing.length} tracce da scaricare (${formatFileSize(totalSize)}) superano il limite della cache offline: `
+      + 'le tracce usate meno di recente verranno eliminate. Continuare?'
+    )) return;
+    
+    downloader.prefetch(missing);
+    setIsDownloadsOpen(true);
+  }, [visibleTracks, downloader.cachedIds, downloader.cacheSize, downloader.cacheLimit, downloader.prefetch]);
+  
+  // Download in coda o in corso, per l'avanzamento nella tabella
+  const activeDownloads = useMemo(() => new Map(
+    downloader.downloads
+      .filter(download => download.status === DOWNLOAD_STATUS.QUEUED || download.status === DOWNLOAD_STATUS.DOWNLOADING)
+      .map(download => [download.id, download])
+  ), [downloader.downloads]);
+  
+  // La cache offline occupa spazio: aggiorna l'indicatore quando cambia
+  useEffect(() => {
+    library.refreshStorage();
+  }, [downloader.cacheSize, library.refreshStorage]);
   
   /**
    * Gestisce il drag and drop
@@ -149,16 +611,12 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
     e.stopPropagation();
   };
   
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     
-    const files = Array.from(e.dataTransfer.files || []);
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        handleFileLoad(file);
-      }
-    });
+    // Le cartelle trascinate vengono visitate ricorsivamente
+    handleFilesLoad(await getDroppedFiles(e.dataTransfer));
   };
   
   /**
@@ -204,30 +662,6 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
     }
   }, [isResizing, handleResizeMove, handleResizeEnd]);
   
-  /**
-   * Formatta la dimensione del file
-   */
-  const formatFileSize = (bytes) => {
-    if (!bytes || bytes === 0) return 'N/A';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-  };
-  
-  /**
-   * Formatta la data
-   */
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString('it-IT', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-  
   return (
     <div 
       className={`track-browser ${isResizing ? 'resizing' : ''}`}
@@ -249,12 +683,96 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
         <div className="browser-title">
           <h3>TRACK COLLECTION</h3>
           <span className="track-count">
-            {tracks.length} tracce
-            {isLoadingRemote && ' (caricamento...)'}
+            {activePlaylist && `${activePlaylist.name} — `}
+            {remoteFolderName && `${remoteFolderName} — `}
+            {visibleTracks.length === sourceTracks.length
+              ? `${sourceTracks.length} tracce`
+              : `${visibleTracks.length} / ${sourceTracks.length} tracce`}
+            {remote.isLoading && ' (caricamento...)'}
           </span>
+          {library.storage && (
+            <span
+              className={`storage-usage ${library.storage.quota && library.storage.usage / library.storage.quota > STORAGE_WARNING_RATIO ? 'warning' : ''}`}
+              title={library.storage.persisted
+                ? 'Spazio usato dalla libreria (storage persistente)'
+                : 'Spazio usato dalla libreria (il browser può liberarlo se lo spazio scarseggia)'}
+            >
+              💾 {formatFileSize(library.storage.usage)} / {formatFileSize(library.storage.quota)}
+            </span>
+          )}
         </div>
         
         <div className="browser-actions">
+          <button
+            className={`load-track-btn ${Object.values(remote.errors).some(Boolean) ? 'has-error' : ''}`}
+            onClick={() => setIsSourcesOpen(true)}
+            title="Configura le sorgenti remote (Google Drive, indice HTTP, WebDAV)"
+          >
+            ☁️ Sorgenti
+          </button>
+          <button
+            className="load-track-btn"
+            onClick={handlePrefetch}
+            title="Scarica nella cache offline le tracce remote della vista corrente (playlist, crate o cartella)"
+          >
+            ⬇ Scarica offline
+          </button>
+          <div className="export-menu-container">
+            <button
+              className={`load-track-btn ${downloader.downloads.some(d => d.status === DOWNLOAD_STATUS.ERROR) ? 'has-error' : ''}`}
+              onClick={() => setIsDownloadsOpen(prev => !prev)}
+              title="Download in corso e cache offline"
+            >
+              ⇣ Download{downloader.activeCount > 0 && ` (${downloader.activeCount})`}
+            </button>
+            {isDownloadsOpen && (
+              <DownloadManager
+                downloads={downloader.downloads}
+                cacheSize={downloader.cacheSize}
+                cacheLimit={downloader.cacheLimit}
+                cachedCount={downloader.cachedIds.size}
+                onCancel={downloader.cancel}
+                onRetry={downloader.retry}
+                onClearFinished={downloader.clearFinished}
+                onClearCache={downloader.clearCache}
+                onCacheLimitChange={downloader.setCacheLimit}
+                onClose={() => setIsDownloadsOpen(false)}
+              />
+            )}
+          </div>
+          <button
+            className="load-track-btn"
+            onClick={() => importInputRef.current?.click()}
+            title="Importa playlist M3U8/PLS o collezione Traktor (NML) / Rekordbox (XML)"
+          >
+            ⇩ Importa
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={IMPORT_ACCEPT}
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+          />
+          <div className="export-menu-container">
+            <button
+              className="load-track-btn"
+              onClick={() => setIsExportMenuOpen(prev => !prev)}
+              title="Esporta la vista corrente o tutta la collezione"
+            >
+              ⇧ Esporta
+            </button>
+            {isExportMenuOpen && (
+              <div className="export-menu" onMouseLeave={() => setIsExportMenuOpen(false)}>
+                <span className="export-menu-label">{activePlaylist ? activePlaylist.name : 'Vista corrente'}</span>
+                <button onClick={() => handleExport(EXCHANGE_FORMATS.M3U)}>M3U8</button>
+                <button onClick={() => handleExport(EXCHANGE_FORMATS.PLS)}>PLS</button>
+                <span className="export-menu-label">Collezione e playlist</span>
+                <button onClick={() => handleExport(EXCHANGE_FORMATS.NML)}>Traktor NML</button>
+                <button onClick={() => handleExport(EXCHANGE_FORMATS.REKORDBOX)}>Rekordbox XML</button>
+              </div>
+            )}
+          </div>
           <button 
             className="load-track-btn"
             onClick={handleLoadClick}
@@ -270,73 +788,189 @@ function TrackBrowser({ onLoadTrack, deckA, deckB }) {
             onChange={handleFileSelect}
             style={{ display: 'none' }}
           />
+          <button
+            className="load-track-btn"
+            onClick={() => folderInputRef.current?.click()}
+            disabled={Boolean(importProgress)}
+            title="Carica tutti i file audio di una cartella (sottocartelle comprese)"
+          >
+            + Cartella
+          </button>
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            directory=""
+            multiple
+            onChange={handleFileSelect}
+            style={{ display: 'none' }}
+          />
+          <label className="folder-crates-option" title="Crea una crate per ogni cartella importata">
+            <input
+              type="checkbox"
+              checked={foldersAsCrates}
+              onChange={(e) => setFoldersAsCrates(e.target.checked)}
+            />
+            Cartelle → crate
+          </label>
         </div>
       </div>
       
-      {/* Lista tracce */}
-      <div className="browser-content">
-        {tracks.length === 0 ? (
-          <div className="browser-empty">
-            <p>
-              {isLoadingRemote 
-                ? '🔄 Caricamento tracce da Google Drive...' 
-                : 'Nessuna traccia disponibile'}
-            </p>
-            <p className="browser-empty-hint">
-              {isLoadingRemote 
-                ? 'Attendi qualche secondo...'
-                : 'Trascina file audio qui o clicca su "Carica File Locale"'}
-            </p>
-          </div>
-        ) : (
-          <div className="tracks-list">
-            {tracks.map(track => (
-              <div
-                key={track.id}
-                className={`track-item ${selectedTrack?.id === track.id ? 'selected' : ''}`}
-                onClick={() => setSelectedTrack(track)}
-                onDoubleClick={() => handleTrackDoubleClick(track)}
-                title="Doppio click per caricare nel Deck A"
-              >
-                <div className="track-info">
-                  <div className="track-name">
-                    {track.isRemote && <span className="remote-badge" title="File su Google Drive">☁️ </span>}
-                    {track.name}
-                  </div>
-                  <div className="track-meta">
-                    <span>{formatFileSize(track.size)}</span>
-                    <span>•</span>
-                    <span>{formatDate(track.addedAt)}</span>
-                  </div>
-                </div>
-                
-                <div className="track-actions">
-                  <button
-                    className="track-load-btn"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      loadTrackToDeck(track, deckA);
-                    }}
-                    title="Carica nel Deck A"
-                  >
-                    → A
-                  </button>
-                  <button
-                    className="track-load-btn"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      loadTrackToDeck(track, deckB);
-                    }}
-                    title="Carica nel Deck B"
-                  >
-                    → B
+      {/* Avanzamento dell'aggiunta di file */}
+      {importProgress && (
+        <div className="import-progress">
+          <div
+            className="import-progress-bar"
+            style={{ width: `${(importProgress.done / importProgress.total) * 100}%` }}
+          />
+          <span className="import-progress-text">
+            📂 Aggiunta alla libreria: {importProgress.done} / {importProgress.total}
+            {importProgress.skipped > 0 && ` (${importProgress.skipped} già presenti)`}
+          </span>
+        </div>
+      )}
+      
+      {/* Ricerca e filtri rapidi */}
+      <div className="browser-toolbar">
+        <input
+          className="browser-search"
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="🔍 Cerca titolo, artista, album, genere, key..."
+        />
+        <button
+          className={`filter-toggle ${tempoFilter && tempoReference ? 'active' : ''}`}
+          onClick={() => setTempoFilter(prev => !prev)}
+          disabled={!tempoReference}
+          title={tempoReference
+            ? `Solo tracce entro ±${Math.round(TEMPO_TOLERANCE * 100)}% da ${tempoReference.toFixed(1)} BPM (Deck A)`
+            : 'Carica una traccia nel Deck A'}
+        >
+          BPM ±{Math.round(TEMPO_TOLERANCE * 100)}% A
+        </button>
+        <button
+          className={`filter-toggle ${keyFilter && keyReference ? 'active' : ''}`}
+          onClick={() => setKeyFilter(prev => !prev)}
+          disabled={!keyReference}
+          title={keyReference
+            ? `Solo tracce compatibili con ${keyReference.camelot} ${keyReference.name} (Deck B)`
+            : 'Carica una traccia analizzata nel Deck B'}
+        >
+          KEY ↔ B
+        </button>
+      </div>
+      
+      <div className="browser-body">
+        <PlaylistSidebar
+          playlists={playlists.playlists}
+          activeId={activePlaylist?.id ?? null}
+          collectionCount={tracks.length}
+          nodeCounts={nodeCounts}
+          onSelect={handleSelectPlaylist}
+          onCreate={handleCreatePlaylist}
+          onCreateSmart={() => setSmartEditor({ playlist: null })}
+          onEditSmart={(node) => setSmartEditor({ playlist: node })}
+          onRename={playlists.renamePlaylist}
+          onDuplicate={playlists.copyPlaylist}
+          onDelete={handleDeletePlaylist}
+          onDropTracks={handleDropTracks}
+          onMovePlaylist={playlists.movePlaylist}
+          remoteFolders={remoteFolders}
+          activeRemoteFolder={remoteFolder}
+          loadingSourceIds={remote.loadingIds}
+          onSelectRemoteFolder={handleSelectRemoteFolder}
+          onRefreshRemote={remote.refresh}
+          hasRemoteSources={remote.sources.length > 0}
+          onAddRemoteSource={() => setIsSourcesOpen(true)}
+        />
+        
+        {/* Tabella tracce */}
+        <div className="browser-content">
+          {isSmartView && sourceTracks.length === 0 ? (
+            <div className="browser-empty">
+              <p>Nessuna traccia soddisfa le regole di "{activePlaylist.name}"</p>
+              <p className="browser-empty-hint">La playlist si aggiorna da sola quando le tracce vengono aggiunte o analizzate</p>
+            </div>
+          ) : activePlaylist && sourceTracks.length === 0 ? (
+            <div className="browser-empty">
+              <p>{activePlaylist.type === PLAYLIST_TYPES.CRATE ? 'Crate vuota' : 'Playlist vuota'}</p>
+              <p className="browser-empty-hint">Trascina le tracce dalla Collezione sul nome di "{activePlaylist.name}"</p>
+            </div>
+          ) : tracks.length === 0 ? (
+            <div className="browser-empty">
+              <p>
+                {remote.isLoading 
+                  ? '🔄 Caricamento tracce dalle sorgenti remote...' 
+                  : 'Nessuna traccia disponibile'}
+              </p>
+              <p className="browser-empty-hint">
+                {remote.isLoading 
+                  ? 'Attendi qualche secondo...'
+                  : 'Trascina file audio o cartelle qui, clicca su "Carica File Locale" o configura una sorgente remota'}
+              </p>
+              {!remote.isLoading && remote.sources.length === 0 && (
+                <>
+                  <p className="browser-empty-hint">
+                    La cartella Google Drive integrata non è più disponibile: aggiungi le tue cartelle come sorgenti remote
+                  </p>
+                  <button className="load-track-btn" onClick={() => setIsSourcesOpen(true)}>
+                    ☁️ Aggiungi una sorgente remota
                   </button>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
+                </>
+              )}
+            </div>
+          ) : visibleTracks.length === 0 ? (
+            <div className="browser-empty">
+              <p>Nessuna traccia corrisponde alla ricerca</p>
+              <p className="browser-empty-hint">Modifica il testo cercato o disattiva i filtri rapidi</p>
+            </div>
+          ) : (
+            <TrackTable
+              tracks={visibleTracks}
+              sort={currentSort}
+              onSortChange={isOrderedView ? setPlaylistSort : setSort}
+              selectedTrackId={selectedTrack?.id}
+              onSelect={setSelectedTrack}
+              onLoad={handleLoadToDeck}
+              onRate={handleRateTrack}
+              onEvict={handleEvictAudio}
+              onRemove={isOrderedView ? handleRemoveFromPlaylist : handleRemoveTrack}
+              isInLibrary={isOrderedView ? () => true : isInLibrary}
+              removeTitle={isOrderedView ? 'Togli dalla playlist' : 'Elimina dalla libreria'}
+              showPosition={isOrderedView}
+              onReorder={canReorder ? handleReorder : null}
+              cachedIds={downloader.cachedIds}
+              activeDownloads={activeDownloads}
+            />
+          )}
+        </div>
       </div>
+      
+      {isSourcesOpen && (
+        <RemoteSourcesSettings
+          sources={remote.sources}
+          errors={remote.errors}
+          tracksBySource={remote.tracksBySource}
+          loadingIds={remote.loadingIds}
+          fetchedAt={remote.fetchedAt}
+          onSave={(sources) => {
+            remote.saveSources(sources);
+            setIsSourcesOpen(false);
+          }}
+          onRefresh={remote.refresh}
+          onClose={() => setIsSourcesOpen(false)}
+        />
+      )}
+      
+      {smartEditor && (
+        <SmartPlaylistEditor
+          playlist={smartEditor.playlist}
+          tracks={tracks}
+          onSave={handleSaveSmartPlaylist}
+          onClose={() => setSmartEditor(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,311 @@
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { getTrackTitle, getTrackArtist, getTrackBPM, getEnergyLevel } from '../utils/trackFilters';
+import { DRAG_TYPES, hasDragType } from '../utils/dragTypes';
+import { getProvider } from '../services/remoteSources';
+import CoverArt from './CoverArt';
+import './TrackTable.css';
+
+// Altezza fissa delle righe (px): serve alla virtualizzazione
+const ROW_HEIGHT = 36;
+// Righe renderizzate in più sopra e sotto l'area visibile
+const OVERSCAN = 8;
+const MAX_RATING = 5;
+
+// Colonne ordinabili della tabella
+const COLUMNS = [
+  { key: 'title', label: 'Titolo' },
+  { key: 'artist', label: 'Artista' },
+  { key: 'bpm', label: 'BPM' },
+  { key: 'key', label: 'Key' },
+  { key: 'duration', label: 'Durata' },
+  { key: 'energy', label: 'Energia' },
+  { key: 'rating', label: 'Voto' },
+  { key: 'addedAt', label: 'Aggiunta' },
+  { key: 'source', label: 'Origine' }
+];
+
+/**
+ * Formatta una durata in secondi come m:ss
+ */
+const formatDuration = (seconds) => {
+  if (!seconds) return '--';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * Formatta la data di aggiunta
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('it-IT', {
+    day: '2-digit',
+    month: '2-digit',
+    year: '2-digit'
+  });
+};
+
+/**
+ * Componente TrackTable - Tabella virtualizzata delle tracce
+ *
+ * Renderizza solo le righe visibili (più un margine di OVERSCAN righe):
+ * le righe hanno altezza fissa, quindi la finestra da mostrare si ricava
+ * direttamente dallo scroll e dall'altezza del contenitore.
+ * Il click su un'intestazione ordina per quella colonna (un secondo click inverte il verso).
+ *
+ * Le righe si trascinano sulle playlist della sidebar; dentro una playlist
+ * (showPosition, con onReorder) si possono anche riordinare trascinandole nella tabella.
+ *
+ * Le tracce remote nella cache offline (cachedIds) hanno il badge Offline;
+ * quelle in download (activeDownloads) mostrano l'avanzamento nella colonna Origine.
+ */
+function TrackTable({
+  tracks,
+  sort,
+  onSortChange,
+  selectedTrackId,
+  onSelect,
+  onLoad,
+  onRate,
+  onEvict,
+  onRemove,
+  isInLibrary,
+  removeTitle = 'Elimina dalla libreria',
+  showPosition = false,
+  onReorder = null,
+  cachedIds = null,
+  activeDownloads = null
+}) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  // Posizione in cui verrebbe inserita la riga trascinata (riordino)
+  const [dropIndex, setDropIndex] = useState(null);
+  const bodyRef = useRef(null);
+
+  /**
+   * Misura l'altezza visibile (il browser è ridimensionabile)
+   */
+  useEffect(() => {
+    const body = bodyRef.current;
+    if (!body) return;
+
+    setViewportHeight(body.clientHeight);
+    const observer = new ResizeObserver(() => setViewportHeight(body.clientHeight));
+    observer.observe(body);
+    return () => observer.disconnect();
+  }, []);
+
+  const handleScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const handleSortClick = useCallback((column) => {
+    onSortChange(prev => ({
+      column,
+      direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  }, [onSortChange]);
+
+  /**
+   * Riordino: la riga trascinata va prima o dopo la riga sotto il mouse
+   */
+  const handleRowDragOver = useCallback((e, rowIndex) => {
+    if (!onReorder || !hasDragType(e, DRAG_TYPES.TRACKS)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? rowIndex : rowIndex + 1);
+  }, [onReorder]);
+
+  const handleRowDrop = useCallback((e) => {
+    if (!onReorder || dropIndex === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const trackIds = JSON.parse(e.dataTransfer.getData(DRAG_TYPES.TRACKS) || '[]');
+    if (trackIds.length === 1) onReorder(trackIds[0], dropIndex);
+    setDropIndex(null);
+  }, [onReorder, dropIndex]);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(tracks.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+  return (
+    <div className={`track-table ${showPosition ? 'with-position' : ''}`}>
+      <div className="track-table-header">
+        {showPosition && (
+          <button
+            className={`track-table-sort ${sort.column === 'position' ? 'active' : ''}`}
+            onClick={() => handleSortClick('position')}
+            title="Ordine della playlist (trascina le righe per riordinarle)"
+          >
+            #{sort.column === 'position' && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+          </button>
+        )}
+        <span />
+        {COLUMNS.map(column => (
+          <button
+            key={column.key}
+            className={`track-table-sort ${sort.column === column.key ? 'active' : ''}`}
+            onClick={() => handleSortClick(column.key)}
+            title={`Ordina per ${column.label.toLowerCase()}`}
+          >
+            {column.label}
+            {sort.column === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+          </button>
+        ))}
+        <span />
+      </div>
+
+      <div
+        className="track-table-body"
+        ref={bodyRef}
+        onScroll={handleScroll}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropIndex(null);
+        }}
+      >
+        <div className="track-table-rows" style={{ height: tracks.length * ROW_HEIGHT }}>
+          {tracks.slice(firstRow, lastRow).map((track, index) => {
+            const bpm = getTrackBPM(track);
+            const energy = getEnergyLevel(track);
+            const rating = track.rating || 0;
+            const download = track.isRemote ? activeDownloads?.get(track.id) : null;
+            const rowIndex = firstRow + index;
+            const dropClass = dropIndex === rowIndex ? 'drop-before' : dropIndex === rowIndex + 1 ? 'drop-after' : '';
+
+            return (
+              <div
+                key={track.id}
+                className={`track-row ${selectedTrackId === track.id ? 'selected' : ''} ${dropClass}`}
+                style={{ top: rowIndex * ROW_HEIGHT, height: ROW_HEIGHT }}
+                onClick={() => onSelect(track)}
+                onDoubleClick={() => onLoad(track, 'A')}
+                title={`${track.name}${track.playCount ? ` — ▶ ${track.playCount}` : ''}\nDoppio click per caricare nel Deck A`}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(DRAG_TYPES.TRACKS, JSON.stringify([track.id]));
+                  e.dataTransfer.setData('text/plain', track.name);
+                  e.dataTransfer.effectAllowed = 'copyMove';
+                }}
+                onDragEnd={() => setDropIndex(null)}
+                onDragOver={(e) => handleRowDragOver(e, rowIndex)}
+                onDrop={handleRowDrop}
+              >
+                {showPosition && <span className="track-cell track-number">{track.position}</span>}
+                <CoverArt cover={track.tags?.cover} size={28} title={track.tags?.album || ''} />
+                <span className="track-cell track-title">{getTrackTitle(track)}</span>
+                <span className="track-cell track-artist">{getTrackArtist(track)}</span>
+                <span className="track-cell track-bpm" title={track.bpm ? 'BPM rilevato' : 'BPM dichiarato nei tag'}>
+                  {track.bpm ? bpm.toFixed(1) : bpm ? `${bpm}*` : '--'}
+                </span>
+                <span
+                  className="track-cell track-key"
+                  title={track.key ? `Tonalità: ${track.key.name}` : track.tags?.key ? 'Tonalità dichiarata nei tag' : 'Tonalità non ancora analizzata'}
+                >
+                  {track.key ? `${track.key.camelot} ${track.key.name}` : track.tags?.key ? `${track.tags.key}*` : '--'}
+                </span>
+                <span className="track-cell track-number">{formatDuration(track.duration)}</span>
+                <span className="track-cell track-energy" title={track.loudness ? `${track.loudness.integrated.toFixed(1)} LUFS` : 'Non analizzata'}>
+                  {energy ? (
+                    <span className="energy-bar">
+                      <span className="energy-fill" style={{ width: `${energy * 10}%` }} />
+                    </span>
+                  ) : '--'}
+                </span>
+                <span className="track-cell track-rating">
+                  {Array.from({ length: MAX_RATING }, (_, i) => (
+                    <button
+                      key={i}
+                      className={`rating-star ${i < rating ? 'filled' : ''}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        // Un click sul voto attuale lo azzera
+                        onRate(track, rating === i + 1 ? 0 : i + 1);
+                      }}
+                      title={`${i + 1} su ${MAX_RATING}`}
+                    >
+                      ★
+                    </button>
+                  ))}
+                </span>
+                <span className="track-cell track-number">{formatDate(track.addedAt)}</span>
+                <span className="track-cell track-source">
+                  {download ? (
+                    <span className="download-cell" title={download.total ? `Download: ${Math.round((download.loaded / download.total) * 100)}%` : 'Download in coda'}>
+                      <span className="download-cell-bar">
+                        <span
+                          className="download-cell-fill"
+                          style={{ width: `${download.total ? (download.loaded / download.total) * 100 : 0}%` }}
+                        />
+                      </span>
+                    </span>
+                  ) : track.isRemote && cachedIds?.has(track.id) ? (
+                    <span className="offline-badge" title={`Nella cache offline: si carica subito (${getProvider(track.source)?.label || track.source})`}>
+                      ⚡ Offline
+                    </span>
+                  ) : track.isRemote ? (
+                    <span className="remote-badge" title={`File remoto (${getProvider(track.source)?.label || track.source})`}>
+                      {getProvider(track.source)?.badge || '☁️ Remoto'}
+                    </span>
+                  ) : track.hasAudio === false ? (
+                    <span className="evicted-badge" title="Audio rimosso: aggiungi di nuovo il file per suonarlo">⊘ Locale</span>
+                  ) : 'Locale'}
+                </span>
+
+                <span className="track-actions">
+                  <button
+                    className="track-load-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onLoad(track, 'A');
+                    }}
+                    title="Carica nel Deck A"
+                  >
+                    → A
+                  </button>
+                  <button
+                    className="track-load-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onLoad(track, 'B');
+                    }}
+                    title="Carica nel Deck B"
+                  >
+                    → B
+                  </button>
+                  {(track.isRemote ? cachedIds?.has(track.id) : track.hasAudio) && (
+                    <button
+                      className="track-manage-btn"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onEvict(track);
+                      }}
+                      title={track.isRemote
+                        ? 'Togli dalla cache offline (la traccia resta scaricabile)'
+                        : 'Rimuovi l\'audio per liberare spazio (i metadati restano)'}
+                    >
+                      ⏏
+                    </button>
+                  )}
+                  {isInLibrary(track) && (
+                    <button
+                      className="track-manage-btn"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onRemove(track);
+                      }}
+                      title={removeTitle}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrackTable;
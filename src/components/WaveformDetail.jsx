@@ -1,11 +1,18 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { getBeatPosition, getTimeAtBeat } from '../utils/beatgrid';
 import './WaveformDetail.css';
 
 /**
  * WaveformDetail - Waveform zoomabile che mostra la sezione corrente in dettaglio
  * Simile alla vista dettaglio di Traktor
+ * 
+ * onSeek viene usato durante il drag (scrubbing continuo), onClickSeek (se presente)
+ * per il click singolo, così il click può essere quantizzato senza bloccare lo scrubbing
+ * 
+ * waveformData è il riassunto ad alta risoluzione ({max, min, rms} per punto),
+ * null finché l'analisi non è pronta
  */
-function WaveformDetail({ audioBuffer, currentTime, duration, onSeek }) {
+function WaveformDetail({ waveformData, currentTime, duration, onSeek, onClickSeek = null, loopRegion = null, hotCues = [], beatgrid = null }) {
   const canvasRef = useRef(null);
   const waveformDataRef = useRef(null);
   const hasDraggedRef = useRef(false); // Traccia se c'è stato un movimento significativo durante il drag
@@ -17,43 +24,19 @@ function WaveformDetail({ audioBuffer, currentTime, duration, onSeek }) {
   const [dragWindowCenterTime, setDragWindowCenterTime] = useState(0);
   
   /**
-   * Estrae i dati del waveform ad alta risoluzione
+   * Aggiorna i dati del waveform ad alta risoluzione (calcolati dall'analisi della traccia)
    */
   useEffect(() => {
-    if (!audioBuffer || !canvasRef.current) return;
-    
-    const canvas = canvasRef.current;
-    const channelData = audioBuffer.getChannelData(0);
-    const sampleRate = audioBuffer.sampleRate;
-    
-    // Alta risoluzione per il dettaglio
-    const samples = 3000;
-    const samplesPerPixel = Math.floor(channelData.length / samples);
-    const waveformData = [];
-    
-    for (let i = 0; i < samples; i++) {
-      const start = i * samplesPerPixel;
-      const end = Math.min(start + samplesPerPixel, channelData.length);
-      
-      let max = 0;
-      let min = 0;
-      let rms = 0;
-      
-      for (let j = start; j < end; j++) {
-        const value = channelData[j];
-        if (value > max) max = value;
-        if (value < min) min = value;
-        rms += value * value;
-      }
-      
-      rms = Math.sqrt(rms / (end - start));
-      
-      waveformData.push({ max, min, rms });
-    }
-    
     waveformDataRef.current = waveformData;
-    drawWaveform();
-  }, [audioBuffer]);
+    if (!canvasRef.current) return;
+    if (waveformData) {
+      drawWaveform();
+    } else {
+      // Nuova traccia in analisi: niente waveform della traccia precedente
+      const canvas = canvasRef.current;
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+  }, [waveformData]);
   
   /**
    * Calcola il centro della finestra visibile basandosi su currentTime
@@ -248,22 +231,80 @@ function WaveformDetail({ audioBuffer, currentTime, duration, onSeek }) {
       }
     }
     
-    // Grid verticali (ogni secondo)
-    // Disegna le linee solo per i secondi che sono dentro la traccia
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.lineWidth = 1;
-    for (let t = Math.ceil(clampedStartTime); t < clampedEndTime; t++) {
-      // Calcola la posizione X della linea usando il metodo dedicato
-      const x = calculateBarPosition(t, startTime, endTime, width);
-      // Disegna solo se la linea è dentro il canvas
-      if (x >= 0 && x <= width) {
+    if (beatgrid) {
+      // Griglia dei beat: linee sottili sui beat, linee marcate sui downbeat (inizio battuta)
+      const firstBeatIndex = Math.ceil(getBeatPosition(beatgrid, clampedStartTime));
+      for (let beat = firstBeatIndex; ; beat++) {
+        const t = getTimeAtBeat(beatgrid, beat);
+        if (t >= clampedEndTime) break;
+        const x = calculateBarPosition(t, startTime, endTime, width);
+        if (x < 0 || x > width) continue;
+        
+        const isDownbeat = ((beat % beatgrid.beatsPerBar) + beatgrid.beatsPerBar) % beatgrid.beatsPerBar === 0;
+        ctx.strokeStyle = isDownbeat ? 'rgba(255, 80, 80, 0.6)' : 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = isDownbeat ? 2 : 1;
         ctx.beginPath();
         ctx.moveTo(x, 0);
         ctx.lineTo(x, height);
         ctx.stroke();
       }
+    } else {
+      // Grid verticali (ogni secondo) se la beatgrid non è disponibile
+      // Disegna le linee solo per i secondi che sono dentro la traccia
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      ctx.lineWidth = 1;
+      for (let t = Math.ceil(clampedStartTime); t < clampedEndTime; t++) {
+        // Calcola la posizione X della linea usando il metodo dedicato
+        const x = calculateBarPosition(t, startTime, endTime, width);
+        // Disegna solo se la linea è dentro il canvas
+        if (x >= 0 && x <= width) {
+          ctx.beginPath();
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x, height);
+          ctx.stroke();
+        }
+      }
     }
     
+    // Regione del loop attivo
+    if (loopRegion && loopRegion.end > startTime && loopRegion.start < endTime) {
+      const loopStartX = Math.max(0, calculateBarPosition(loopRegion.start, startTime, endTime, width));
+      const loopEndX = Math.min(width, calculateBarPosition(loopRegion.end, startTime, endTime, width));
+      
+      ctx.fillStyle = 'rgba(74, 226, 74, 0.2)';
+      ctx.fillRect(loopStartX, 0, loopEndX - loopStartX, height);
+      
+      ctx.strokeStyle = '#4ae24a';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(loopStartX, 0);
+      ctx.lineTo(loopStartX, height);
+      ctx.moveTo(loopEndX, 0);
+      ctx.lineTo(loopEndX, height);
+      ctx.stroke();
+    }
+    
+    // Marker degli hot cue (linea colorata con etichetta numerata)
+    hotCues.forEach((cue, index) => {
+      if (!cue || cue.time < startTime || cue.time > endTime) return;
+      const x = calculateBarPosition(cue.time, startTime, endTime, width);
+      
+      ctx.strokeStyle = cue.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      
+      const label = `${index + 1} ${cue.name}`;
+      ctx.font = 'bold 10px sans-serif';
+      const labelWidth = ctx.measureText(label).width + 6;
+      ctx.fillStyle = cue.color;
+      ctx.fillRect(x, 0, labelWidth, 14);
+      ctx.fillStyle = '#000';
+      ctx.fillText(label, x + 3, 11);
+    });
+    
     // Linea centrale
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
     ctx.lineWidth = 2;
@@ -450,7 +491,7 @@ function WaveformDetail({ audioBuffer, currentTime, duration, onSeek }) {
     // Limita il tempo tra 0 e duration per evitare valori invalidi
     const clampedSeekTime = Math.max(0, Math.min(duration, seekTime));
     
-    onSeek(clampedSeekTime);
+    (onClickSeek || onSeek)(clampedSeekTime);
   };
   
   /**
@@ -474,7 +515,7 @@ function WaveformDetail({ audioBuffer, currentTime, duration, onSeek }) {
       // Forza il ridisegno quando cambia currentTime o durante il drag
       drawWaveform();
     }
-  }, [currentTime, duration, zoomLevel, isDragging, dragWindowCenterTime]);
+  }, [currentTime, duration, zoomLevel, isDragging, dragWindowCenterTime, loopRegion?.start, loopRegion?.end, hotCues, beatgrid]);
   
   /**
    * Ridisegna al resize
@@ -4,45 +4,28 @@ import './WaveformOverview.css';
 /**
  * WaveformOverview - Waveform compatto che mostra l'intera traccia
  * Usato per navigazione e overview generale
+ * 
+ * waveformData è il riassunto dell'intera traccia ({max, min} per punto),
+ * null finché l'analisi non è pronta
  */
-function WaveformOverview({ audioBuffer, currentTime, duration, onSeek }) {
+function WaveformOverview({ waveformData, currentTime, duration, onSeek, loopRegion = null, hotCues = [] }) {
   const canvasRef = useRef(null);
   const waveformDataRef = useRef(null);
   
   /**
-   * Estrae i dati del waveform dall'AudioBuffer
+   * Aggiorna i dati del waveform (calcolati dall'analisi della traccia, vedi utils/waveformSummary)
    */
   useEffect(() => {
-    if (!audioBuffer || !canvasRef.current) return;
-    
-    const canvas = canvasRef.current;
-    const channelData = audioBuffer.getChannelData(0);
-    const length = channelData.length;
-    
-    // Riduci la risoluzione per performance
-    const samples = 1500;
-    const step = Math.floor(length / samples);
-    const waveformData = [];
-    
-    for (let i = 0; i < samples; i++) {
-      const start = i * step;
-      const end = Math.min(start + step, length);
-      
-      let max = 0;
-      let min = 0;
-      
-      for (let j = start; j < end; j++) {
-        const value = channelData[j];
-        if (value > max) max = value;
-        if (value < min) min = value;
-      }
-      
-      waveformData.push({ max, min });
-    }
-    
     waveformDataRef.current = waveformData;
-    drawWaveform();
-  }, [audioBuffer]);
+    if (!canvasRef.current) return;
+    if (waveformData) {
+      drawWaveform();
+    } else {
+      // Nuova traccia in analisi: niente waveform della traccia precedente
+      const canvas = canvasRef.current;
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+  }, [waveformData]);
   
   /**
    * Disegna il waveform compatto
@@ -105,6 +88,12 @@ function WaveformOverview({ audioBuffer, currentTime, duration, onSeek }) {
       }
     }
     
+    // Regione del loop attivo
+    drawLoopRegion();
+    
+    // Marker degli hot cue
+    drawHotCues();
+    
     // Linea centrale
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
     ctx.lineWidth = 1;
@@ -117,6 +106,65 @@ function WaveformOverview({ audioBuffer, currentTime, duration, onSeek }) {
     drawPlayhead();
   };
   
+  /**
+   * Disegna la regione del loop attivo (area verde con bordi)
+   */
+  const drawLoopRegion = () => {
+    if (!canvasRef.current || !duration || !loopRegion) return;
+    
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    
+    const startX = (loopRegion.start / duration) * width;
+    const endX = Math.max(startX + 1, (loopRegion.end / duration) * width);
+    
+    ctx.fillStyle = 'rgba(74, 226, 74, 0.25)';
+    ctx.fillRect(startX, 0, endX - startX, height);
+    
+    ctx.strokeStyle = '#4ae24a';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(startX, 0);
+    ctx.lineTo(startX, height);
+    ctx.moveTo(endX, 0);
+    ctx.lineTo(endX, height);
+    ctx.stroke();
+  };
+  
+  /**
+   * Disegna i marker degli hot cue (linea colorata con triangolo in alto)
+   */
+  const drawHotCues = () => {
+    if (!canvasRef.current || !duration || !hotCues) return;
+    
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    
+    hotCues.forEach(cue => {
+      if (!cue) return;
+      const x = (cue.time / duration) * width;
+      
+      ctx.strokeStyle = cue.color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      
+      ctx.fillStyle = cue.color;
+      ctx.beginPath();
+      ctx.moveTo(x - 4, 0);
+      ctx.lineTo(x + 4, 0);
+      ctx.lineTo(x, 6);
+      ctx.closePath();
+      ctx.fill();
+    });
+  };
+  
   /**
    * Disegna il cursore di posizione
    */
@@ -159,13 +207,13 @@ function WaveformOverview({ audioBuffer, currentTime, duration, onSeek }) {
   };
   
   /**
-   * Aggiorna quando cambia il tempo
+   * Aggiorna quando cambia il tempo o il loop
    */
   useEffect(() => {
     if (waveformDataRef.current) {
       drawWaveform();
     }
-  }, [currentTime, duration]);
+  }, [currentTime, duration, loopRegion?.start, loopRegion?.end, hotCues]);
   
   /**
    * Ridisegna al resize
@@ -1,33 +1,73 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { detectBPMAsync } from '../utils/bpmDetector';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { usePersistedDeckState, useAudioFileStorage } from './usePersistedDeckState';
+import { useHotCues } from './useHotCues';
+import { getAudioContext, createChannelStrip, createKeyLockNode, resumeAudioContext } from '../services/audioEngine';
+import { computeTrackId } from '../utils/trackIdentity';
+import { readAudioTags } from '../utils/audioTags';
+import { transposeKey, getPlaybackRateSemitones } from '../utils/musicalKey';
+import {
+  loadTrackAnalysis,
+  saveTrackAnalysis,
+  saveTrackCorrections,
+  isAnalysisComplete,
+  ANALYSIS_VERSION
+} from '../services/trackAnalysisStore';
+import { analyzeTrack } from '../services/analysisService';
+import {
+  createBeatgrid,
+  getBeatDuration,
+  getBeatPosition,
+  getTimeAtBeat,
+  getNearestBeatTime,
+  getPhaseAlignedTime,
+  DEFAULT_BEATS_PER_BAR
+} from '../utils/beatgrid';
+
+// Lunghezze minima e massima del loop (in beat)
+const MIN_LOOP_BEATS = 1 / 32;
+const MAX_LOOP_BEATS = 32;
+
+// Escursione massima del key shift (in semitoni)
+const MAX_KEY_SHIFT = 12;
+
+// Escursione del pitch fader (in %): anche il SYNC resta in questo intervallo
+const MAX_PITCH = 8;
 
 /**
  * Hook personalizzato per gestire l'audio di un deck DJ
  * 
  * Questo hook gestisce:
  * - Caricamento e riproduzione di file audio
+ * - Analisi della traccia in un Web Worker (waveform, BPM e beatgrid, tonalità,
+ *   loudness, picchi): il deck è suonabile subito, i risultati arrivano man mano
+ * - Cache dell'analisi e delle correzioni manuali per traccia (IndexedDB, per hash del contenuto)
  * - EQ a 3 bande (Low, Mid, High) con kill switch
  * - Filtro passa-alto/passa-basso
  * - Controllo del gain
  * - Controllo del tempo/BPM (playbackRate)
+ * - KEY LOCK: tempo variabile senza cambiare l'intonazione (AudioWorklet)
+ * - KEY SHIFT: trasposizione di ±12 semitoni indipendente dal tempo
+ * - Rilevazione della tonalità (con codice Camelot)
  * - Sistema di loop con lunghezze configurabili
+ * - Hot cue salvati per traccia in IndexedDB
  * - Sincronizzazione con altri deck
+ * - Quantize di hot cue, loop, seek e play sulla beatgrid
+ * - Uscita sul master bus condiviso (vedi services/audioEngine)
  * - Persistenza dello stato nel localStorage
  * 
  * @param {Object} options - Opzioni di configurazione
  * @param {string} options.deckId - Identificatore del deck ('A' o 'B')
  * @param {number} options.initialBPM - BPM iniziale (default: 128)
- * @param {Function} options.onSyncRequest - Callback quando questo deck richiede sync
- * @param {number} options.syncBPM - BPM di riferimento per sync (da altro deck)
- * @param {boolean} options.syncEnabled - Se true, questo deck segue syncBPM
+ * @param {boolean} options.syncEnabled - Se true, questo deck segue il tempo impostato con setSyncTempo
+ * @param {boolean} options.alignBars - Se true, il phase sync allinea anche i downbeat (non solo i beat)
+ * @param {boolean} options.quantize - Se true, hot cue, loop, seek e play si agganciano ai beat
  */
 export function useDeckAudio({
   deckId = 'A',
   initialBPM = 128,
-  onSyncRequest = null,
-  syncBPM = null,
-  syncEnabled = false
+  syncEnabled = false,
+  alignBars = false,
+  quantize = false
 } = {}) {
   // Carica lo stato salvato dal localStorage
   const { loadDeckState } = usePersistedDeckState(deckId, {});
@@ -41,8 +81,15 @@ export function useDeckAudio({
   const [currentTime, setCurrentTime] = useState(savedState.current?.currentTime || 0);
   const [duration, setDuration] = useState(savedState.current?.duration || 0);
   const [fileName, setFileName] = useState(savedState.current?.fileName || '');
+  const [trackId, setTrackId] = useState(savedState.current?.trackId || null); // Identità della traccia (hash del contenuto)
+  const [trackTags, setTrackTags] = useState(null); // Tag del file: titolo, artista, copertina... (vedi utils/audioTags)
   const [bpm, setBPM] = useState(savedState.current?.bpm || initialBPM);
   const [detectedBPM, setDetectedBPM] = useState(savedState.current?.detectedBPM || null);
+  const [musicalKey, setMusicalKey] = useState(savedState.current?.musicalKey || null); // Tonalità rilevata (vedi utils/musicalKey)
+  const [loudness, setLoudness] = useState(null); // Loudness integrata (LUFS) e picco (dBFS)
+  const [waveformData, setWaveformData] = useState(null); // Riassunti del waveform per overview e dettaglio
+  const [peaks, setPeaks] = useState([]); // Picchi della traccia (dall'analisi)
+  const [analysisProgress, setAnalysisProgress] = useState(null); // Analisi in corso: { stage, progress }, null se ferma
   const [originalBPM, setOriginalBPM] = useState(savedState.current?.detectedBPM || initialBPM); // BPM originale della traccia caricata
   
   // Stato EQ (valori in dB, range tipico: -12 a +12) - ripristina valori salvati
@@ -62,16 +109,34 @@ export function useDeckAudio({
   // Stato pitch/tempo - separato dal BPM!
   // Questo è il valore che controlla realmente la velocità di riproduzione
   const [pitchValue, setPitchValue] = useState(savedState.current?.pitchValue ?? 0); // Range: -8% a +8% (0 = normale)
+  const [keyLock, setKeyLock] = useState(savedState.current?.keyLock || false); // KEY LOCK: il pitch cambia il tempo ma non l'intonazione
+  const [keyShift, setKeyShiftState] = useState(savedState.current?.keyShift || 0); // Trasposizione in semitoni (frazionaria: i centesimi sono la parte decimale)
+  const [isKeyLockReady, setIsKeyLockReady] = useState(false); // Il nodo del KEY LOCK è stato creato
+  
+  // Tempo effettivo del deck master da seguire quando sync è attivo (null = questo deck non segue nessuno)
+  const [syncTempo, setSyncTempo] = useState(null);
+  
+  // Ancora della beatgrid: posizione del primo downbeat (in secondi)
+  const [beatgridAnchor, setBeatgridAnchor] = useState(savedState.current?.beatgridAnchor ?? 0);
+  
+  // Beatgrid della traccia: segue il BPM corrente (anche dopo correzioni manuali)
+  const beatgrid = useMemo(() => createBeatgrid(bpm, beatgridAnchor), [bpm, beatgridAnchor]);
+  
+  // Griglia bloccata: impedisce modifiche accidentali a BPM e ancora
+  const [beatgridLocked, setBeatgridLocked] = useState(savedState.current?.beatgridLocked || false);
+  
+  // Indica che la griglia è stata modificata a mano e va salvata con l'analisi della traccia
+  const gridEditedRef = useRef(false);
   
   // Stato loop - ripristina valori salvati
   const [loopEnabled, setLoopEnabled] = useState(savedState.current?.loopEnabled || false);
   const [loopStart, setLoopStart] = useState(savedState.current?.loopStart || 0);
-  const [loopLength, setLoopLength] = useState(savedState.current?.loopLength || 1); // in beat (1, 2, 4, 8)
+  const [loopLength, setLoopLength] = useState(savedState.current?.loopLength || 1); // in beat (da 1/32 a 32)
+  const [loopInPoint, setLoopInPoint] = useState(null); // LOOP IN manuale in attesa del LOOP OUT (in secondi)
   
-  // Aggiorna il ref quando cambia loopEnabled
-  useEffect(() => {
-    loopEnabledRef.current = loopEnabled;
-  }, [loopEnabled]);
+  // Stato cue (floating cue point stile Traktor) - ripristina valore salvato
+  const [cuePoint, setCuePoint] = useState(savedState.current?.cuePoint || 0); // in secondi
+  const [isCuePreviewing, setIsCuePreviewing] = useState(false); // CUE tenuto premuto da fermo
   
   // Riferimenti Web Audio API
   const audioContextRef = useRef(null);
@@ -82,130 +147,89 @@ export function useDeckAudio({
   const eqMidNodeRef = useRef(null);
   const eqHighNodeRef = useRef(null);
   const filterNodeRef = useRef(null);
+  const keyLockNodeRef = useRef(null); // Pitch shift del KEY LOCK (in testa alla catena solo quando serve)
   const analyserNodeRef = useRef(null);
   const audioBufferRef = useRef(null);
   
   // Stato crossfader gain
   const [crossfaderGain, setCrossfaderGainState] = useState(1);
   
-  // Riferimenti per il loop
-  const loopStartTimeRef = useRef(0);
+  // Riferimenti per la posizione di riproduzione
+  // La posizione si calcola da un "ancoraggio": al tempo anchorTime (clock dell'AudioContext)
+  // la traccia era alla posizione startOffset e da lì avanza a velocità playbackRate
+  const anchorTimeRef = useRef(0);
   const animationFrameRef = useRef(null);
   const startOffsetRef = useRef(0);
+  const playbackRateRef = useRef(1);
+  // Primo nodo a cui è collegato il source corrente (KEY LOCK o EQ Low) e latenza
+  // della catena che ne deriva (in secondi): l'audio si sente con questo ritardo
+  const sourceInputRef = useRef(null);
+  const sourceLatencyRef = useRef(0);
+  
+  // Correzione di fase: piccolo fattore moltiplicativo sulla velocità usato dal phase sync
+  // per recuperare la deriva tra i deck (1 = nessuna correzione)
+  const phaseCorrectionRef = useRef(1);
+  const keyLockRef = useRef(keyLock);
+  const keyShiftRef = useRef(keyShift);
   const isPlayingRef = useRef(false);
-  const loopEnabledRef = useRef(false);
-  const loopTimeoutRef = useRef(null);
+  const isCuePreviewingRef = useRef(false);
+  
+  // Regione di loop attiva sul source (in secondi), null se nessun loop è attivo
+  const activeLoopRef = useRef(null);
+  
+  // Identifica l'analisi in corso: i risultati di una traccia non più caricata vengono ignorati
+  const analysisTokenRef = useRef(0);
   
-  // Riferimento per i picchi della traccia
-  const peaksRef = useRef([]);
+  // Hot cue della traccia caricata (salvati per traccia, non per deck)
+  const { hotCues, setHotCue, deleteHotCue, updateHotCue } = useHotCues(trackId);
   
   /**
-   * Funzione helper per media dei canali stereo
+   * Aggiorna il pitch shift del nodo KEY LOCK in base alla velocità corrente del source:
+   * con KEY LOCK attivo compensa esattamente il cambio di intonazione (1 / playbackRate),
+   * e in ogni caso applica il KEY SHIFT del deck (2^(semitoni/12))
    */
-  const averageChannels = useCallback((buffer) => {
-    const left = buffer.getChannelData(0);
-    const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
-    const averaged = new Float32Array(left.length);
-    for (let i = 0; i < left.length; i++) {
-      averaged[i] = (left[i] + right[i]) / 2;
-    }
-    return averaged;
+  const updateKeyLockRatio = useCallback(() => {
+    const node = keyLockNodeRef.current;
+    if (!node || !audioContextRef.current) return;
+    
+    const tempoCompensation = keyLockRef.current ? 1 / playbackRateRef.current : 1;
+    const ratio = tempoCompensation * Math.pow(2, keyShiftRef.current / 12);
+    node.parameters.get('pitchRatio').setValueAtTime(ratio, audioContextRef.current.currentTime);
   }, []);
-
+  
   /**
-   * Rileva i picchi nella traccia audio
-   * @param {AudioBuffer} audioBuffer - Il buffer audio da analizzare
-   * @returns {Array<number>} - Array di tempi (in secondi) dove si trovano i picchi
+   * Primo nodo della catena per un nuovo source: il KEY LOCK solo se è attivo
+   * o c'è un KEY SHIFT (il pitch shift ritarda l'audio), altrimenti direttamente l'EQ Low
    */
-  const detectPeaks = useCallback((audioBuffer) => {
-    if (!audioBuffer) return [];
-    
-    try {
-      const channelData = audioBuffer.numberOfChannels > 1 
-        ? averageChannels(audioBuffer) 
-        : audioBuffer.getChannelData(0);
-      const sampleRate = audioBuffer.sampleRate;
-      
-      // Calcola energia in finestre di 100ms
-      const windowSize = Math.floor(sampleRate * 0.1);
-      const hopSize = Math.floor(windowSize / 2);
-      const energyValues = [];
-      
-      for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
-        let energy = 0;
-        for (let j = i; j < i + windowSize && j < channelData.length; j++) {
-          energy += channelData[j] * channelData[j];
-        }
-        energyValues.push(energy / windowSize);
-      }
-      
-      // Trova picchi usando soglia adattiva
-      const sortedValues = [...energyValues].sort((a, b) => a - b);
-      const threshold = sortedValues[Math.floor(sortedValues.length * 0.7)];
-      const minPeakDistance = Math.floor(0.3 * sampleRate / hopSize); // Minimo 0.3s tra picchi
-      
-      const peaks = [];
-      let lastPeakIndex = -minPeakDistance;
-      
-      for (let i = 1; i < energyValues.length - 1; i++) {
-        if (energyValues[i] > threshold && 
-            energyValues[i] > energyValues[i - 1] && 
-            energyValues[i] > energyValues[i + 1] &&
-            (i - lastPeakIndex) >= minPeakDistance) {
-          // Converti indice in tempo (secondi)
-          const time = (i * hopSize) / sampleRate;
-          peaks.push(time);
-          lastPeakIndex = i;
-        }
-      }
-      
-      console.log(`🎵 Rilevati ${peaks.length} picchi per Deck ${deckId}`);
-      return peaks;
-    } catch (error) {
-      console.error('Errore nel rilevamento dei picchi:', error);
-      return [];
-    }
-  }, [averageChannels, deckId]);
-
+  const getChainInput = useCallback(() => {
+    const needsKeyLock = keyLockRef.current || keyShiftRef.current !== 0;
+    return (needsKeyLock && keyLockNodeRef.current) || eqLowNodeRef.current;
+  }, []);
+  
   /**
-   * Trova il picco più vicino a un tempo target
-   * @param {number} targetTime - Tempo target in secondi
-   * @param {Array<number>} peaks - Array di tempi dei picchi
-   * @returns {number|null} - Il picco più vicino o null se non ci sono picchi
+   * Latenza (in secondi) con cui si sentirebbe un nuovo source
    */
-  const findNearestPeak = useCallback((targetTime, peaks) => {
-    if (!peaks || peaks.length === 0) return null;
-    
-    let nearestPeak = peaks[0];
-    let minDistance = Math.abs(peaks[0] - targetTime);
-    
-    for (const peak of peaks) {
-      const distance = Math.abs(peak - targetTime);
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestPeak = peak;
-      }
-    }
-    
-    return nearestPeak;
-  }, []);
-
+  const getChainLatency = useCallback(() => {
+    const input = getChainInput();
+    return input && input === keyLockNodeRef.current ? input.latency : 0;
+  }, [getChainInput]);
+  
   /**
-   * Inizializza l'AudioContext se non esiste già
-   * L'AudioContext è il "motore" della Web Audio API
+   * Inizializza la catena audio del deck sull'AudioContext condiviso
+   * L'AudioContext è il "motore" della Web Audio API ed è unico per tutti i deck
    */
   const initAudioContext = useCallback(() => {
     if (!audioContextRef.current) {
-      // Crea un nuovo AudioContext (il contesto audio principale)
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+      // Usa l'AudioContext condiviso (stesso clock per tutti i deck)
+      audioContextRef.current = getAudioContext();
       
-      // Crea il nodo di gain per il crossfader (deve essere creato prima)
-      crossfaderGainNodeRef.current = audioContextRef.current.createGain();
-      crossfaderGainNodeRef.current.gain.value = 1;
-      
-      // Crea il nodo di gain principale (controllo volume)
-      gainNodeRef.current = audioContextRef.current.createGain();
+      // Crea il channel strip (gain -> crossfaderGain -> analyser -> master bus)
+      const channelStrip = createChannelStrip();
+      gainNodeRef.current = channelStrip.gain;
       gainNodeRef.current.gain.value = gain;
+      crossfaderGainNodeRef.current = channelStrip.crossfaderGain;
+      crossfaderGainNodeRef.current.gain.value = crossfaderGain;
+      analyserNodeRef.current = channelStrip.analyser;
       
       // Crea i nodi BiquadFilter per l'EQ a 3 bande
       // Low shelf: agisce sulle frequenze basse
@@ -233,19 +257,22 @@ export function useDeckAudio({
       filterNodeRef.current.frequency.value = 20000; // Nessun filtro inizialmente (20kHz = tutto passa)
       filterNodeRef.current.Q.value = 1;
       
-      // Analyser per visualizzazioni future (se necessario)
-      analyserNodeRef.current = audioContextRef.current.createAnalyser();
-      analyserNodeRef.current.fftSize = 256;
-      
       // Connessione della catena audio:
-      // source -> eqLow -> eqMid -> eqHigh -> filter -> gain -> crossfaderGain -> analyser -> destination
+      // source -> eqLow -> eqMid -> eqHigh -> filter -> channel strip -> master bus
       eqLowNodeRef.current.connect(eqMidNodeRef.current);
       eqMidNodeRef.current.connect(eqHighNodeRef.current);
       eqHighNodeRef.current.connect(filterNodeRef.current);
-      filterNodeRef.current.connect(gainNodeRef.current);
-      gainNodeRef.current.connect(crossfaderGainNodeRef.current);
-      crossfaderGainNodeRef.current.connect(analyserNodeRef.current);
-      analyserNodeRef.current.connect(audioContextRef.current.destination);
+      filterNodeRef.current.connect(channelStrip.input);
+      
+      // KEY LOCK: il nodo di pitch shift si carica in modo asincrono; i source vi si
+      // collegano (source -> keyLock -> eqLow -> ...) solo quando serve (vedi getChainInput)
+      createKeyLockNode().then(node => {
+        if (!node) return;
+        node.connect(eqLowNodeRef.current);
+        keyLockNodeRef.current = node;
+        updateKeyLockRatio();
+        setIsKeyLockReady(true);
+      });
       
       // Applica i valori iniziali degli EQ
       if (eqLowNodeRef.current) {
@@ -258,14 +285,90 @@ export function useDeckAudio({
         eqHighNodeRef.current.gain.value = eqHighKill ? -100 : eqHigh;
       }
     }
-  }, [gain, eqLow, eqMid, eqHigh, eqLowKill, eqMidKill, eqHighKill]);
+  }, [gain, crossfaderGain, eqLow, eqMid, eqHigh, eqLowKill, eqMidKill, eqHighKill, updateKeyLockRatio]);
+  
+  /**
+   * Ottiene l'analisi di una traccia: dalla cache se completa, altrimenti dal worker
+   * (e in quel caso la salva in cache)
+   * Waveform, loudness e picchi vengono applicati sempre, ogni fase passa anche a onPartial;
+   * se nel frattempo viene caricata un'altra traccia i risultati vengono ignorati
+   * @param {string} id - Identità della traccia
+   * @param {AudioBuffer} audioBuffer - La traccia decodificata
+   * @param {Object|null} savedAnalysis - Record salvato della traccia (vedi loadTrackAnalysis)
+   * @param {Function} onPartial - (stage, result) per le fasi specifiche del chiamante
+   * @returns {Promise<Object|null>} - Risultato completo ({} se l'analisi fallisce), null se è superata
+   */
+  const analyzeLoadedTrack = useCallback(async (id, audioBuffer, savedAnalysis, onPartial) => {
+    const token = ++analysisTokenRef.current;
+    const isCurrent = () => token === analysisTokenRef.current;
+    
+    const applyPartial = (stage, partial) => {
+      if (!isCurrent()) return;
+      if (stage === 'waveform') setWaveformData(partial.waveform);
+      if (stage === 'loudness') setLoudness(partial.loudness);
+      if (stage === 'peaks') setPeaks(partial.peaks);
+      onPartial(stage, partial);
+    };
+    
+    // Traccia già analizzata: tutte le fasi subito dalla cache
+    if (isAnalysisComplete(savedAnalysis)) {
+      console.log(`⚡ Analisi in cache per Deck ${deckId}: ${savedAnalysis.bpm} BPM, ${savedAnalysis.key?.name ?? 'tonalità ?'}`);
+      applyPartial('waveform', { waveform: savedAnalysis.waveform });
+      applyPartial('tempo', { bpm: savedAnalysis.bpm, beatgrid: savedAnalysis.beatgrid });
+      applyPartial('key', { key: savedAnalysis.key });
+      applyPartial('loudness', { loudness: savedAnalysis.loudness });
+      applyPartial('peaks', { peaks: savedAnalysis.peaks });
+      setAnalysisProgress(null);
+      return savedAnalysis;
+    }
+    
+    setWaveformData(null);
+    setLoudness(null);
+    setPeaks([]);
+    setAnalysisProgress({ stage: 'waveform', progress: 0 });
+    
+    try {
+      console.log(`🔬 Analisi della traccia del Deck ${deckId}...`);
+      const result = await analyzeTrack(audioBuffer, {
+        onProgress: (stage, progress) => {
+          if (isCurrent()) setAnalysisProgress({ stage, progress });
+        },
+        onPartial: applyPartial
+      });
+      
+      // Salva in cache anche se nel frattempo la traccia è stata sostituita
+      saveTrackAnalysis(id, {
+        bpm: result.bpm,
+        beatgrid: result.beatgrid,
+        key: result.key,
+        loudness: result.loudness,
+        waveform: result.waveform,
+        peaks: result.peaks,
+        analysisVersion: ANALYSIS_VERSION
+      });
+      
+      if (!isCurrent()) return null;
+      console.log(`✅ Analisi completata per Deck ${deckId}: ${result.bpm} BPM, ${result.key?.name ?? 'tonalità ?'}, ${result.loudness?.integrated ?? '?'} LUFS`);
+      return result;
+    } catch (error) {
+      // La traccia resta suonabile: senza analisi valgono BPM predefinito e tonalità sconosciuta
+      console.error(`❌ Errore nell'analisi della traccia del Deck ${deckId}:`, error);
+      return isCurrent() ? {} : null;
+    } finally {
+      if (isCurrent()) setAnalysisProgress(null);
+    }
+  }, [deckId]);
   
   /**
    * Carica un file audio dal file system
    * @param {File} file - Il file audio da caricare
+   * @param {{onTrackId?: Function}} [options] - onTrackId(trackId) viene atteso appena l'identità
+   *   è calcolata, prima di leggere correzioni e hot cue (es. per salvare una preparazione importata)
+   * @returns {Promise<{trackId: string, bpm: number, key: Object|null, loudness: Object|null, duration: number, tags: Object}|null>}
+   *   Risultato dell'analisi, null in caso di errore
    */
-  const loadAudioFile = useCallback(async (file) => {
-    if (!file) return;
+  const loadAudioFile = useCallback(async (file, { onTrackId } = {}) => {
+    if (!file) return null;
     
     try {
       // Inizializza l'AudioContext se necessario
@@ -274,30 +377,52 @@ export function useDeckAudio({
       // Leggi il file come ArrayBuffer
       const arrayBuffer = await file.arrayBuffer();
       
+      // Identità e tag della traccia vanno letti prima della decodifica (che svuota l'ArrayBuffer)
+      const newTrackId = await computeTrackId(arrayBuffer, file);
+      const tags = readAudioTags(arrayBuffer, file.name);
+      if (onTrackId) await onTrackId(newTrackId);
+      
       // Decodifica l'audio in un AudioBuffer (rappresentazione PCM del suono)
       const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
       audioBufferRef.current = audioBuffer;
       
+      // Analisi e correzioni manuali salvate per questa traccia (se già caricata in passato)
+      const savedAnalysis = await loadTrackAnalysis(newTrackId);
+      const corrections = savedAnalysis?.corrections || {};
+      
+      // La traccia è suonabile subito: l'analisi prosegue nel worker
+      startOffsetRef.current = 0;
       setIsLoaded(true);
       setFileName(file.name);
+      setTrackId(newTrackId);
+      setTrackTags(tags);
+      setCuePoint(corrections.cuePoint ?? 0);
       setDuration(audioBuffer.duration);
+      setDetectedBPM(null);
+      setMusicalKey(null);
+      setBeatgridAnchor(corrections.beatgrid?.firstBeat ?? 0);
+      setBeatgridLocked(corrections.beatgridLocked || false);
+      if (corrections.bpm) setBPM(corrections.bpm);
       
-      // Rileva il BPM usando l'algoritmo di analisi
-      console.log('Analizzando BPM della traccia...');
-      const detectedBPMValue = await detectBPMAsync(audioBuffer);
-      console.log('BPM rilevato:', detectedBPMValue);
-      
-      // Imposta sia il BPM rilevato che quello originale
-      setDetectedBPM(detectedBPMValue);
-      setOriginalBPM(detectedBPMValue); // Salva il BPM originale della traccia
-      setBPM(detectedBPMValue); // Imposta il BPM corrente al valore rilevato
-      
-      // Rileva i picchi della traccia
-      const detectedPeaks = detectPeaks(audioBuffer);
-      peaksRef.current = detectedPeaks;
-      
-      // Reset dell'offset per la nuova traccia
-      startOffsetRef.current = 0;
+      const analysis = await analyzeLoadedTrack(newTrackId, audioBuffer, savedAnalysis, (stage, partial) => {
+        if (stage === 'tempo' && partial.bpm) {
+          // BPM rilevato; il BPM corrente e la griglia restano quelli corretti a mano, se presenti
+          setDetectedBPM(partial.bpm);
+          setOriginalBPM(partial.bpm); // Salva il BPM originale della traccia
+          setBPM(corrections.bpm || partial.bpm);
+          setBeatgridAnchor(corrections.beatgrid?.firstBeat ?? partial.beatgrid.firstBeat);
+        }
+        if (stage === 'key') setMusicalKey(partial.key);
+      });
+      // Traccia sostituita da un altro caricamento durante l'analisi
+      if (!analysis) return null;
+      const trackBPM = corrections.bpm || analysis.bpm || initialBPM;
+      if (!analysis.bpm) {
+        // Tempo non rilevabile: parti dal BPM predefinito (correggibile a mano)
+        setDetectedBPM(trackBPM);
+        setOriginalBPM(trackBPM);
+        setBPM(trackBPM);
+      }
       
       // Salva il file in IndexedDB per ripristinarlo dopo il refresh
       // (solo se < 50MB per non riempire lo storage)
@@ -308,52 +433,172 @@ export function useDeckAudio({
           fileSize: file.size,
           fileType: file.type,
           duration: audioBuffer.duration,
-          detectedBPM: detectedBPMValue
+          detectedBPM: trackBPM,
+          trackId: newTrackId
         });
         console.log(`✅ File salvato con successo per Deck ${deckId}`);
       } else {
         console.warn(`⚠️ File troppo grande (${(file.size / 1024 / 1024).toFixed(2)}MB) per essere salvato. Limite: 50MB`);
       }
       
+      return {
+        trackId: newTrackId,
+        bpm: trackBPM,
+        key: analysis.key ?? null,
+        loudness: analysis.loudness ?? null,
+        duration: audioBuffer.duration,
+        tags
+      };
     } catch (error) {
       console.error('Errore nel caricamento del file audio:', error);
       alert('Errore nel caricamento del file audio. Assicurati che sia un formato supportato (MP3, WAV, OGG).');
+      return null;
+    }
+  }, [initAudioContext, deckId, saveAudioFile, analyzeLoadedTrack, initialBPM]);
+  
+  /**
+   * Calcola la regione del loop in secondi a partire da loopStart e loopLength (in beat)
+   * @returns {{start: number, end: number}|null} - Regione del loop o null se non valida
+   */
+  const getLoopRegion = useCallback(() => {
+    const audioDuration = audioBufferRef.current ? audioBufferRef.current.duration : 0;
+    if (!loopEnabled || !bpm || loopStart < 0 || loopStart >= audioDuration) return null;
+    
+    // Converti beat in secondi: ogni beat dura 60/BPM secondi (tempo originale della traccia)
+    const loopDuration = loopLength * (60 / bpm);
+    const loopEnd = Math.min(loopStart + loopDuration, audioDuration);
+    if (loopEnd - loopStart <= 0) return null;
+    
+    return { start: loopStart, end: loopEnd };
+  }, [loopEnabled, loopStart, loopLength, bpm]);
+  
+  /**
+   * Posizione nella traccia che si sente a un certo istante (in secondi)
+   * Tiene conto della velocità di riproduzione e del loop nativo del source
+   * @param {number} time - Istante sul clock dell'AudioContext
+   */
+  const getPositionAt = useCallback((time) => {
+    if (!isPlayingRef.current || !audioContextRef.current) {
+      return startOffsetRef.current || 0;
+    }
+    
+    // Prima di una partenza programmata (play quantizzato) o prima che l'audio
+    // esca dal KEY LOCK la posizione resta ferma
+    const elapsed = Math.max(0, time - anchorTimeRef.current);
+    const position = (startOffsetRef.current || 0) + elapsed * playbackRateRef.current;
+    
+    // Stessa regola di wrap del loop nativo dell'AudioBufferSourceNode
+    const loop = activeLoopRef.current;
+    if (loop && position >= loop.end) {
+      return loop.start + ((position - loop.start) % (loop.end - loop.start));
+    }
+    
+    return position;
+  }, []);
+  
+  /**
+   * Restituisce la posizione corrente nella traccia (in secondi): quella che si sente,
+   * quindi già compensata della latenza del KEY LOCK
+   */
+  const getPlaybackPosition = useCallback(() => (
+    getPositionAt(audioContextRef.current?.currentTime || 0)
+  ), [getPositionAt]);
+  
+  /**
+   * Posizione raggiunta dal source (in secondi): è avanti rispetto a quella che si sente
+   * della latenza della catena, l'audio in mezzo è già nel KEY LOCK e suonerà comunque
+   */
+  const getSourcePosition = useCallback(() => (
+    getPositionAt((audioContextRef.current?.currentTime || 0) + sourceLatencyRef.current)
+  ), [getPositionAt]);
+  
+  /**
+   * Con quantize attivo, aggancia una posizione al beat più vicino
+   * @param {number} time - Posizione nella traccia (in secondi)
+   * @returns {number} - Posizione quantizzata (o invariata se quantize è spento)
+   */
+  const quantizePosition = useCallback((time) => {
+    if (!quantize || !beatgrid || !audioBufferRef.current) return time;
+    
+    let snapped = getNearestBeatTime(beatgrid, time);
+    if (snapped < 0) snapped += getBeatDuration(beatgrid);
+    return Math.min(snapped, audioBufferRef.current.duration);
+  }, [quantize, beatgrid]);
+  
+  /**
+   * Fissa un nuovo ancoraggio alla posizione corrente
+   * Va chiamato prima di cambiare velocità o regione di loop mentre il source suona
+   */
+  const reanchorPlayback = useCallback(() => {
+    if (!isPlayingRef.current || !audioContextRef.current) return;
+    // Partenza programmata non ancora avvenuta: l'ancoraggio resta quello futuro
+    if (audioContextRef.current.currentTime < anchorTimeRef.current) return;
+    startOffsetRef.current = getPlaybackPosition();
+    anchorTimeRef.current = audioContextRef.current.currentTime;
+  }, [getPlaybackPosition]);
+  
+  /**
+   * Ferma e scollega il source corrente (se esiste)
+   */
+  const stopSource = useCallback(() => {
+    const source = sourceNodeRef.current;
+    if (!source) return;
+    
+    sourceNodeRef.current = null;
+    source.onended = null;
+    try {
+      source.stop();
+      source.disconnect();
+    } catch (e) {
+      // Ignora errori se già fermato
     }
-  }, [initAudioContext, deckId, saveAudioFile, detectPeaks]);
+  }, []);
+  
+  /**
+   * Applica la regione di loop al source corrente usando loop/loopStart/loopEnd nativi
+   * Il loop è sample-accurate perché viene gestito dal thread audio
+   * @param {AudioBufferSourceNode} source - Il source da configurare
+   * @param {{start: number, end: number}|null} region - La regione di loop (null = nessun loop)
+   */
+  const applyLoopToSource = useCallback((source, region) => {
+    activeLoopRef.current = region;
+    if (!source) return;
+    
+    if (region) {
+      source.loopStart = region.start;
+      source.loopEnd = region.end;
+      source.loop = true;
+    } else {
+      source.loop = false;
+    }
+  }, []);
   
   /**
    * Crea e avvia un nuovo source node per la riproduzione
    * Ogni volta che vogliamo riprodurre, dobbiamo creare un nuovo source node
    * perché un source node può essere riprodotto solo una volta
+   * @param {number} offset - Posizione nella traccia (in secondi) da cui partire
    */
-  const createAndStartSource = useCallback((offset = 0) => {
+  const createAndStartSource = useCallback((offset = 0, startAt = null) => {
     if (!audioBufferRef.current || !audioContextRef.current) return;
     
     // Ferma il source precedente se esiste
-    if (sourceNodeRef.current) {
-      try {
-        sourceNodeRef.current.stop();
-      } catch (e) {
-        // Ignora errori se già fermato
-      }
-    }
-    
-    // Pulisci timeout precedente se esiste
-    if (loopTimeoutRef.current) {
-      clearTimeout(loopTimeoutRef.current);
-      loopTimeoutRef.current = null;
-    }
+    stopSource();
     
     // Crea un nuovo BufferSource (il nodo che riproduce l'AudioBuffer)
-    sourceNodeRef.current = audioContextRef.current.createBufferSource();
-    sourceNodeRef.current.buffer = audioBufferRef.current;
+    const source = audioContextRef.current.createBufferSource();
+    source.buffer = audioBufferRef.current;
+    sourceNodeRef.current = source;
     
     // Imposta la velocità di riproduzione usando SOLO il pitch slider
     // pitchValue: 0 = normale, +8 = 8% più veloce, -8 = 8% più lento
     // playbackRate = 1.0 + (pitchValue / 100)
     // Esempio: pitchValue = 4 → playbackRate = 1.04 (4% più veloce)
-    const playbackRate = 1.0 + (pitchValue / 100);
-    sourceNodeRef.current.playbackRate.value = playbackRate;
+    // La correzione di fase del phase sync si applica sopra al pitch
+    const playbackRate = (1.0 + (pitchValue / 100)) * phaseCorrectionRef.current;
+    source.playbackRate.value = playbackRate;
+    playbackRateRef.current = playbackRate;
+    updateKeyLockRatio();
     
     // Assicurati che i valori degli EQ siano applicati prima di collegare il source
     if (eqLowNodeRef.current) {
@@ -366,65 +611,42 @@ export function useDeckAudio({
       eqHighNodeRef.current.gain.value = eqHighKill ? -100 : eqHigh;
     }
     
-    // Collega il source al primo nodo della catena (EQ Low)
-    sourceNodeRef.current.connect(eqLowNodeRef.current);
+    // Collega il source al primo nodo della catena (KEY LOCK se serve, altrimenti EQ Low)
+    const chainInput = getChainInput();
+    source.connect(chainInput);
+    sourceInputRef.current = chainInput;
+    sourceLatencyRef.current = getChainLatency();
     
-    // Calcola quando iniziare la riproduzione
-    const startTime = audioContextRef.current.currentTime;
+    const audioDuration = audioBufferRef.current.duration;
+    let startOffset = Math.max(0, Math.min(offset, audioDuration));
     
-    // Se c'è un loop attivo, calcola i parametri
-    const audioDuration = audioBufferRef.current ? audioBufferRef.current.duration : 0;
-    if (loopEnabledRef.current && loopStart >= 0 && loopStart < audioDuration) {
-      // Converti beat in secondi: ogni beat dura 60/BPM secondi
-      const beatDuration = 60 / bpm;
-      const loopDuration = loopLength * beatDuration;
-      const loopEnd = Math.min(loopStart + loopDuration, audioDuration);
-      const actualLoopDuration = loopEnd - loopStart;
-      
-      // Avvia la riproduzione dal punto di loop
-      const startOffset = Math.max(0, Math.min(loopStart + offset, audioDuration));
-      sourceNodeRef.current.start(startTime, startOffset);
-      
-      // Calcola quando fermare e riavviare il loop
-      const remainingTime = (actualLoopDuration - (offset % actualLoopDuration)) / playbackRate;
-      
-      // Imposta un timeout per fermare al punto di loop e riavviare
-      loopTimeoutRef.current = setTimeout(() => {
-        if (sourceNodeRef.current && isPlayingRef.current && loopEnabledRef.current) {
-          try {
-            sourceNodeRef.current.stop();
-          } catch (e) {
-            // Ignora errori
-          }
-          // Riavvia il loop dal punto di inizio
-          createAndStartSource(0);
-        }
-      }, remainingTime * 1000);
-      
-      // Gestisci la fine del source (backup)
-      sourceNodeRef.current.onended = () => {
-        if (isPlayingRef.current && loopEnabledRef.current) {
-          createAndStartSource(0);
-        } else {
-          setIsPlaying(false);
-          isPlayingRef.current = false;
-        }
-      };
-    } else {
-      // Riproduzione normale senza loop
-      const audioDuration = audioBufferRef.current ? audioBufferRef.current.duration : 0;
-      const startOffset = Math.max(0, Math.min(offset, audioDuration));
-      sourceNodeRef.current.start(startTime, startOffset);
-      sourceNodeRef.current.onended = () => {
-        setIsPlaying(false);
-        isPlayingRef.current = false;
-      };
+    // Se c'è un loop attivo, lo gestisce il source stesso (loop nativo)
+    const region = getLoopRegion();
+    applyLoopToSource(source, region);
+    if (region && startOffset >= region.end) {
+      // Partendo oltre la fine del loop si rientra dall'inizio del loop
+      startOffset = region.start;
     }
     
-    // Salva il tempo di inizio per calcolare il tempo corrente
-    startOffsetRef.current = offset;
-    loopStartTimeRef.current = startTime;
-  }, [pitchValue, loopStart, loopLength, eqLow, eqMid, eqHigh, eqLowKill, eqMidKill, eqHighKill, bpm]);
+    // Calcola quando iniziare la riproduzione (subito, o all'istante programmato)
+    const now = audioContextRef.current.currentTime;
+    const startTime = startAt !== null ? Math.max(now, startAt) : now;
+    source.start(startTime, startOffset);
+    
+    // Fine naturale della traccia (mai chiamato durante un loop nativo)
+    source.onended = () => {
+      if (sourceNodeRef.current !== source) return;
+      sourceNodeRef.current = null;
+      isPlayingRef.current = false;
+      startOffsetRef.current = audioDuration;
+      setIsPlaying(false);
+    };
+    
+    // Salva l'ancoraggio per calcolare il tempo corrente: startOffset si sente
+    // quando l'audio esce dalla catena, cioè dopo la sua latenza
+    startOffsetRef.current = startOffset;
+    anchorTimeRef.current = startTime + sourceLatencyRef.current;
+  }, [pitchValue, eqLow, eqMid, eqHigh, eqLowKill, eqMidKill, eqHighKill, stopSource, getLoopRegion, applyLoopToSource, updateKeyLockRatio, getChainInput, getChainLatency]);
   
   /**
    * Avvia o riprende la riproduzione
@@ -433,34 +655,69 @@ export function useDeckAudio({
   const play = useCallback((otherDeck = null) => {
     if (!isLoaded || !audioContextRef.current) return;
     
-    // Se sync è attivo e c'è un altro deck in riproduzione con picchi
-    if (syncEnabled && otherDeck && otherDeck.isPlaying && otherDeck.peaks && otherDeck.peaks.length > 0) {
-      const masterCurrentTime = otherDeck.currentTime;
+    const otherIsPlaying = otherDeck && otherDeck.isPlaying && otherDeck.beatgrid && beatgrid;
+    let startAt = null;
+    
+    if (quantize && otherIsPlaying) {
+      // Quantize: parti da un beat (o downbeat con BAR + sync) e aspetta il prossimo
+      // beat (o battuta) dell'altro deck, che è il master mentre questo è fermo
+      const barAligned = syncEnabled && alignBars;
+      const otherPosition = otherDeck.getPlaybackPosition();
+      const otherRate = otherDeck.effectiveBPM / otherDeck.beatgrid.bpm;
+      const otherBeats = getBeatPosition(otherDeck.beatgrid, otherPosition);
+      const period = barAligned ? otherDeck.beatgrid.beatsPerBar : 1;
+      const nextBeat = Math.ceil(otherBeats / period - 1e-6) * period;
+      let waitTime = (getTimeAtBeat(otherDeck.beatgrid, nextBeat) - otherPosition) / otherRate;
       
-      if (peaksRef.current.length > 0) {
-        // Trova il picco più vicino nella traccia slave al tempo corrente del master
-        // Questo fa partire la slave dal picco più vicino al punto in cui si trova il master
-        const targetPeak = findNearestPeak(masterCurrentTime, peaksRef.current);
-        
-        if (targetPeak !== null) {
-          // Vai al picco trovato
-          startOffsetRef.current = targetPeak;
-          setCurrentTime(targetPeak);
-          console.log(`🎯 Sync: Master a ${masterCurrentTime.toFixed(2)}s → Deck ${deckId} parte dal picco più vicino ${targetPeak.toFixed(2)}s`);
-        }
+      // Con il KEY LOCK l'audio esce dopo la latenza: si parte in anticipo (al beat successivo se non c'è tempo)
+      const latency = getChainLatency();
+      while (waitTime < latency) {
+        waitTime += period * getBeatDuration(otherDeck.beatgrid) / otherRate;
       }
+      waitTime -= latency;
+      
+      const currentPosition = startOffsetRef.current || 0;
+      let startPosition = barAligned
+        ? getTimeAtBeat(beatgrid, Math.round(getBeatPosition(beatgrid, currentPosition) / beatgrid.beatsPerBar) * beatgrid.beatsPerBar)
+        : quantizePosition(currentPosition);
+      if (startPosition < 0) startPosition += beatgrid.beatsPerBar * getBeatDuration(beatgrid);
+      
+      startOffsetRef.current = startPosition;
+      setCurrentTime(startPosition);
+      startAt = audioContextRef.current.currentTime + waitTime;
+      console.log(`⏱️ Quantize: Deck ${deckId} parte da ${startPosition.toFixed(2)}s tra ${(waitTime * 1000).toFixed(0)}ms`);
+    } else if (syncEnabled && otherIsPlaying) {
+      // Phase sync: se sync è attivo e l'altro deck sta suonando, parti in fase con lui
+      // (stesso punto all'interno del beat, o della battuta se alignBars è attivo)
+      // Entrambi i deck usano lo stesso AudioContext: le posizioni sono lette sullo stesso clock
+      // La posizione del master è quella che avrà quando questo deck si sentirà (dopo la latenza della catena)
+      const otherRate = otherDeck.effectiveBPM / otherDeck.beatgrid.bpm;
+      const masterPosition = otherDeck.getPlaybackPosition() + getChainLatency() * otherRate;
+      const currentPosition = startOffsetRef.current || 0;
+      let alignedPosition = getPhaseAlignedTime(beatgrid, currentPosition, otherDeck.beatgrid, masterPosition, alignBars);
+      
+      // Non partire prima dell'inizio della traccia
+      const period = (alignBars ? beatgrid.beatsPerBar : 1) * getBeatDuration(beatgrid);
+      while (alignedPosition < 0) alignedPosition += period;
+      
+      startOffsetRef.current = alignedPosition;
+      setCurrentTime(alignedPosition);
+      console.log(`🎯 Phase sync: Master a ${masterPosition.toFixed(2)}s → Deck ${deckId} parte da ${alignedPosition.toFixed(2)}s`);
+    } else if (quantize) {
+      // Quantize senza altro deck in riproduzione: parti dal beat più vicino
+      const startPosition = quantizePosition(startOffsetRef.current || 0);
+      startOffsetRef.current = startPosition;
+      setCurrentTime(startPosition);
     }
     
-    // Se l'AudioContext è sospeso (spesso succede dopo un'interazione utente),
+    // Se l'AudioContext condiviso è sospeso (spesso succede prima di un'interazione utente),
     // riprendilo
-    if (audioContextRef.current.state === 'suspended') {
-      audioContextRef.current.resume();
-    }
+    resumeAudioContext();
     
+    createAndStartSource(startOffsetRef.current || 0, startAt);
     isPlayingRef.current = true;
     setIsPlaying(true);
-    createAndStartSource(startOffsetRef.current || 0);
-  }, [isLoaded, createAndStartSource, syncEnabled, findNearestPeak, deckId]);
+  }, [isLoaded, createAndStartSource, syncEnabled, beatgrid, alignBars, deckId, quantize, quantizePosition, getChainLatency]);
   
   /**
    * Cerca una posizione specifica nel brano (seek)
@@ -472,63 +729,178 @@ export function useDeckAudio({
     const audioDuration = audioBufferRef.current.duration;
     const seekTime = Math.max(0, Math.min(time, audioDuration));
     
-    const wasPlaying = isPlayingRef.current;
-    
-    // Ferma la riproduzione corrente
-    if (sourceNodeRef.current) {
-      try {
-        sourceNodeRef.current.stop();
-        sourceNodeRef.current = null;
-      } catch (e) {
-        // Ignora errori
-      }
-    }
-    
-    // Pulisci timeout del loop
-    if (loopTimeoutRef.current) {
-      clearTimeout(loopTimeoutRef.current);
-      loopTimeoutRef.current = null;
-    }
-    
     // Aggiorna l'offset
     startOffsetRef.current = seekTime;
     setCurrentTime(seekTime);
     
     // Se stava suonando, riavvia dalla nuova posizione
-    if (wasPlaying) {
-      isPlayingRef.current = true;
-      setIsPlaying(true);
+    if (isPlayingRef.current) {
       createAndStartSource(seekTime);
+    } else {
+      stopSource();
     }
-  }, [isLoaded, createAndStartSource]);
+  }, [isLoaded, createAndStartSource, stopSource]);
+  
+  /**
+   * Seek quantizzato (click sulle waveform, salto agli hot cue)
+   * Con quantize attivo la destinazione si aggancia al beat più vicino; se il deck
+   * sta suonando mantiene anche la fase corrente all'interno del beat, così il
+   * salto non sposta il groove
+   * @param {number} time - Tempo in secondi a cui saltare
+   */
+  const seekQuantized = useCallback((time) => {
+    if (!quantize || !beatgrid) {
+      seek(time);
+      return;
+    }
+    
+    let target = quantizePosition(time);
+    if (isPlayingRef.current) {
+      // Fase del source: il nuovo source si sentirà con la stessa latenza
+      const position = getSourcePosition();
+      target += position - getNearestBeatTime(beatgrid, position);
+    }
+    seek(target);
+  }, [quantize, beatgrid, seek, quantizePosition, getSourcePosition]);
   
   /**
    * Ferma la riproduzione
    */
   const pause = useCallback(() => {
+    if (isPlayingRef.current) {
+      // Salva la posizione raggiunta dal source (già riportata dentro il loop se attivo):
+      // l'audio ancora nel KEY LOCK suona dopo la pausa, alla ripresa non va ripetuto
+      startOffsetRef.current = getSourcePosition();
+      setCurrentTime(startOffsetRef.current);
+    }
+    
     isPlayingRef.current = false;
+    stopSource();
+    setIsPlaying(false);
+  }, [getSourcePosition, stopSource]);
+  
+  /**
+   * Imposta la correzione di fase (usata dal phase sync per recuperare la deriva)
+   * Non modifica il pitch: agisce solo sulla velocità reale del source
+   * @param {number} factor - Fattore moltiplicativo sulla velocità (1 = nessuna correzione)
+   */
+  const setPhaseCorrection = useCallback((factor) => {
+    if (Math.abs(factor - phaseCorrectionRef.current) < 1e-6) return;
+    
+    reanchorPlayback();
+    phaseCorrectionRef.current = factor;
     
     if (sourceNodeRef.current) {
-      try {
-        // Calcola quanto tempo è passato dall'inizio della riproduzione
-        const elapsed = audioContextRef.current.currentTime - loopStartTimeRef.current;
-        startOffsetRef.current = (startOffsetRef.current || 0) + elapsed;
-        sourceNodeRef.current.stop();
-        sourceNodeRef.current = null;
-      } catch (e) {
-        // Ignora errori se già fermato
-      }
+      const playbackRate = (1.0 + (pitchValue / 100)) * factor;
+      sourceNodeRef.current.playbackRate.value = playbackRate;
+      playbackRateRef.current = playbackRate;
+      updateKeyLockRatio();
     }
+  }, [pitchValue, reanchorPlayback, updateKeyLockRatio]);
+  
+  /**
+   * Pressione del tasto CUE (semantica Traktor)
+   * - In riproduzione: torna al cue point e mette in pausa
+   * - In pausa: imposta il cue point alla posizione corrente e avvia l'anteprima
+   *   finché il tasto resta premuto
+   */
+  const cueDown = useCallback(() => {
+    if (!isLoaded) return;
     
-    // Pulisci timeout del loop
-    if (loopTimeoutRef.current) {
-      clearTimeout(loopTimeoutRef.current);
-      loopTimeoutRef.current = null;
+    if (isPlayingRef.current) {
+      pause();
+      seek(cuePoint);
+      return;
     }
     
-    setIsPlaying(false);
+    // Da fermo: la posizione corrente diventa il nuovo cue point (salvato con la traccia)
+    const position = getPlaybackPosition();
+    setCuePoint(position);
+    saveTrackCorrections(trackId, { cuePoint: position });
+    seek(position);
+    
+    // Anteprima dal cue point finché CUE resta premuto
+    isCuePreviewingRef.current = true;
+    setIsCuePreviewing(true);
+    play();
+  }, [isLoaded, cuePoint, trackId, pause, seek, play, getPlaybackPosition]);
+  
+  /**
+   * Rilascio del tasto CUE: se era in anteprima torna al cue point e si ferma
+   */
+  const cueUp = useCallback(() => {
+    if (!isCuePreviewingRef.current) return;
+    
+    isCuePreviewingRef.current = false;
+    setIsCuePreviewing(false);
+    pause();
+    seek(cuePoint);
+  }, [cuePoint, pause, seek]);
+  
+  /**
+   * Durante l'anteprima CUE, trasforma l'anteprima in riproduzione normale
+   * (il rilascio di CUE non fermerà più la traccia)
+   */
+  const latchCuePreview = useCallback(() => {
+    isCuePreviewingRef.current = false;
+    setIsCuePreviewing(false);
   }, []);
   
+  /**
+   * Tasto CUP (cue-play): salta al cue point e continua/inizia a suonare
+   */
+  const cuePlay = useCallback(() => {
+    if (!isLoaded) return;
+    
+    latchCuePreview();
+    seek(cuePoint);
+    if (!isPlayingRef.current) {
+      play();
+    }
+  }, [isLoaded, cuePoint, seek, play, latchCuePreview]);
+  
+  /**
+   * Aggiorna il loop sul source in riproduzione quando cambia la regione
+   * Attivare, modificare o disattivare il loop non riavvia il source:
+   * all'uscita dal loop la riproduzione continua dalla posizione corrente
+   */
+  useEffect(() => {
+    const region = getLoopRegion();
+    const previous = activeLoopRef.current;
+    
+    // Loop spostato (stessa lunghezza, inizio diverso): la posizione segue il loop
+    const isLoopMove = region && previous &&
+      region.start !== previous.start &&
+      Math.abs((region.end - region.start) - (previous.end - previous.start)) < 1e-6;
+    
+    if (!isPlayingRef.current || !sourceNodeRef.current) {
+      const position = startOffsetRef.current || 0;
+      if (isLoopMove && position >= previous.start && position < previous.end) {
+        startOffsetRef.current = position + (region.start - previous.start);
+        setCurrentTime(startOffsetRef.current);
+      }
+      activeLoopRef.current = region;
+      return;
+    }
+    
+    // Fissa la posizione corrente (già riportata nel vecchio loop) prima di cambiare regione
+    reanchorPlayback();
+    const position = startOffsetRef.current;
+    
+    if (isLoopMove && position >= previous.start && position < previous.end) {
+      createAndStartSource(position + (region.start - previous.start));
+      return;
+    }
+    
+    if (region && position >= region.end) {
+      // La posizione è oltre la fine del nuovo loop: rientra dall'inizio del loop
+      createAndStartSource(region.start);
+      return;
+    }
+    
+    applyLoopToSource(sourceNodeRef.current, region);
+  }, [getLoopRegion, reanchorPlayback, applyLoopToSource, createAndStartSource]);
+  
   /**
    * Aggiorna il valore dell'EQ Low in tempo reale
    * Funziona anche durante la riproduzione perché i nodi EQ sono sempre connessi nella catena
@@ -632,23 +1004,77 @@ export function useDeckAudio({
    */
   useEffect(() => {
     if (sourceNodeRef.current) {
-      const playbackRate = 1.0 + (pitchValue / 100);
+      const playbackRate = (1.0 + (pitchValue / 100)) * phaseCorrectionRef.current;
+      // Fissa la posizione prima di cambiare velocità, così il tempo corrente resta corretto
+      reanchorPlayback();
       sourceNodeRef.current.playbackRate.value = playbackRate;
+      playbackRateRef.current = playbackRate;
+      updateKeyLockRatio();
       console.log(`🎚️ Pitch aggiornato: ${pitchValue.toFixed(1)}% → playbackRate: ${playbackRate.toFixed(3)}`);
     }
-  }, [pitchValue]);
+  }, [pitchValue, reanchorPlayback, updateKeyLockRatio]);
   
   /**
-   * Gestisce la sincronizzazione con altri deck
+   * Attiva/disattiva il KEY LOCK sul nodo di pitch shift
    */
   useEffect(() => {
-    if (syncEnabled && syncBPM !== null && syncBPM !== bpm) {
-      setBPM(syncBPM);
-      if (onSyncRequest) {
-        onSyncRequest(bpm);
-      }
+    keyLockRef.current = keyLock;
+    updateKeyLockRatio();
+    console.log(`🔑 KEY LOCK Deck ${deckId}: ${keyLock ? 'ON' : 'OFF'}`);
+  }, [keyLock, deckId, updateKeyLockRatio]);
+  
+  /**
+   * Applica il KEY SHIFT al nodo di pitch shift
+   */
+  useEffect(() => {
+    keyShiftRef.current = keyShift;
+    updateKeyLockRatio();
+  }, [keyShift, updateKeyLockRatio]);
+  
+  /**
+   * Inserisce o toglie il nodo KEY LOCK dalla catena del source in riproduzione
+   * quando KEY LOCK o KEY SHIFT cambiano (o il nodo diventa disponibile):
+   * - inserendolo, il source riparte dalla stessa posizione e si sente dopo la latenza
+   * - togliendolo, il nuovo source parte quando finisce l'audio ancora nel nodo,
+   *   dal punto in cui quell'audio termina, così non ci sono salti né sovrapposizioni
+   */
+  useEffect(() => {
+    if (!isPlayingRef.current || !sourceNodeRef.current || !audioContextRef.current) return;
+    if (getChainInput() === sourceInputRef.current) return;
+    
+    const latency = sourceLatencyRef.current;
+    if (latency > 0) {
+      createAndStartSource(getSourcePosition(), audioContextRef.current.currentTime + latency);
+    } else {
+      createAndStartSource(getSourcePosition());
     }
-  }, [syncEnabled, syncBPM, bpm, onSyncRequest]);
+  }, [keyLock, keyShift, isKeyLockReady, getChainInput, getSourcePosition, createAndStartSource]);
+  
+  /**
+   * Imposta il KEY SHIFT (limitato a ±12 semitoni, risoluzione di un centesimo)
+   * @param {number} semitones - Trasposizione in semitoni (es. -2.15 = -2 semitoni e -15 centesimi)
+   */
+  const setKeyShift = useCallback((semitones) => {
+    const clamped = Math.max(-MAX_KEY_SHIFT, Math.min(MAX_KEY_SHIFT, semitones));
+    setKeyShiftState(Math.round(clamped * 100) / 100);
+  }, []);
+  
+  /**
+   * Gestisce la sincronizzazione del tempo con il deck master
+   * La velocità del deck slave si calcola dal BPM originale di questa traccia
+   * e dal tempo effettivo del master: playbackRate = tempoMaster / bpmOriginale.
+   * Il pitch viene aggiornato di conseguenza, quindi lo slave segue anche
+   * le variazioni di pitch del master in tempo reale.
+   * Se i tempi sono troppo distanti il pitch si ferma ai limiti del fader (±MAX_PITCH).
+   */
+  useEffect(() => {
+    if (!syncEnabled || !syncTempo || !bpm) return;
+    
+    const syncedPitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, (syncTempo / bpm - 1) * 100));
+    if (Math.abs(syncedPitch - pitchValue) > 0.001) {
+      setPitchValue(syncedPitch);
+    }
+  }, [syncEnabled, syncTempo, bpm, pitchValue]);
   
   /**
    * Aggiorna il tempo corrente durante la riproduzione
@@ -657,10 +1083,8 @@ export function useDeckAudio({
     if (!isPlaying) return;
     
     const updateTime = () => {
-      if (audioContextRef.current && loopStartTimeRef.current) {
-        const elapsed = audioContextRef.current.currentTime - loopStartTimeRef.current;
-        const current = (startOffsetRef.current || 0) + elapsed;
-        setCurrentTime(Math.min(current, duration));
+      if (audioContextRef.current) {
+        setCurrentTime(Math.min(getPlaybackPosition(), duration));
       }
       animationFrameRef.current = requestAnimationFrame(updateTime);
     };
@@ -672,7 +1096,7 @@ export function useDeckAudio({
         cancelAnimationFrame(animationFrameRef.current);
       }
     };
-  }, [isPlaying, duration]);
+  }, [isPlaying, duration, getPlaybackPosition]);
   
   /**
    * Imposta il punto di inizio del loop
@@ -683,6 +1107,159 @@ export function useDeckAudio({
     }
   }, [isPlaying, currentTime]);
   
+  /**
+   * Attiva un auto-loop di una certa lunghezza (in beat) dalla posizione corrente
+   * Se il loop è già attivo ne cambia solo la lunghezza; con la stessa lunghezza lo disattiva
+   * @param {number} beats - Lunghezza del loop in beat (da 1/32 a 32)
+   */
+  const setAutoLoop = useCallback((beats) => {
+    if (!isLoaded) return;
+    const length = Math.max(MIN_LOOP_BEATS, Math.min(MAX_LOOP_BEATS, beats));
+    
+    if (loopEnabled) {
+      if (Math.abs(loopLength - length) < 1e-9) {
+        setLoopEnabled(false);
+      } else {
+        setLoopLength(length);
+      }
+      return;
+    }
+    
+    setLoopInPoint(null);
+    setLoopStart(quantizePosition(getPlaybackPosition()));
+    setLoopLength(length);
+    setLoopEnabled(true);
+  }, [isLoaded, loopEnabled, loopLength, getPlaybackPosition, quantizePosition]);
+  
+  /**
+   * LOOP IN manuale: memorizza l'inizio del loop alla posizione corrente
+   */
+  const setLoopIn = useCallback(() => {
+    if (!isLoaded) return;
+    setLoopInPoint(quantizePosition(getPlaybackPosition()));
+  }, [isLoaded, getPlaybackPosition, quantizePosition]);
+  
+  /**
+   * LOOP OUT manuale: chiude il loop alla posizione corrente
+   * Senza un LOOP IN in attesa, sposta la fine del loop attivo
+   */
+  const setLoopOut = useCallback(() => {
+    if (!isLoaded || !bpm) return;
+    const position = quantizePosition(getPlaybackPosition());
+    const beatDuration = 60 / bpm;
+    
+    if (loopInPoint !== null && position > loopInPoint) {
+      setLoopStart(loopInPoint);
+      setLoopLength(Math.min(MAX_LOOP_BEATS, (position - loopInPoint) / beatDuration));
+      setLoopEnabled(true);
+      setLoopInPoint(null);
+    } else if (loopInPoint === null && loopEnabled && position > loopStart) {
+      setLoopLength(Math.min(MAX_LOOP_BEATS, (position - loopStart) / beatDuration));
+    }
+  }, [isLoaded, bpm, loopInPoint, loopEnabled, loopStart, getPlaybackPosition, quantizePosition]);
+  
+  /**
+   * Dimezza la lunghezza del loop
+   */
+  const halveLoop = useCallback(() => {
+    setLoopLength(prev => Math.max(MIN_LOOP_BEATS, prev / 2));
+  }, []);
+  
+  /**
+   * Raddoppia la lunghezza del loop
+   */
+  const doubleLoop = useCallback(() => {
+    setLoopLength(prev => Math.min(MAX_LOOP_BEATS, prev * 2));
+  }, []);
+  
+  /**
+   * Sposta il loop avanti o indietro della sua lunghezza
+   * @param {number} direction - 1 = avanti, -1 = indietro
+   */
+  const moveLoop = useCallback((direction) => {
+    if (!isLoaded || !bpm || !audioBufferRef.current) return;
+    const loopDuration = loopLength * (60 / bpm);
+    const maxStart = audioBufferRef.current.duration - loopDuration;
+    const newStart = loopStart + direction * loopDuration;
+    
+    if (newStart < 0 || newStart > maxStart) return;
+    setLoopStart(newStart);
+  }, [isLoaded, bpm, loopLength, loopStart]);
+  
+  /**
+   * Hot cue: se lo slot è vuoto imposta il cue alla posizione corrente,
+   * altrimenti salta al cue
+   * @param {number} index - Indice dello slot (0-7)
+   */
+  const triggerHotCue = useCallback((index) => {
+    if (!isLoaded) return;
+    const cue = hotCues[index];
+    
+    if (cue) {
+      seekQuantized(cue.time);
+    } else {
+      setHotCue(index, quantizePosition(getPlaybackPosition()));
+    }
+  }, [isLoaded, hotCues, seekQuantized, setHotCue, getPlaybackPosition, quantizePosition]);
+  
+  /**
+   * Corregge il BPM della traccia (stretch della griglia attorno all'ancora)
+   * Non ha effetto se la griglia è bloccata
+   * @param {number} newBPM - Nuovo BPM della traccia
+   */
+  const correctBPM = useCallback((newBPM) => {
+    if (beatgridLocked || !newBPM || newBPM <= 0) return;
+    gridEditedRef.current = true;
+    setBPM(newBPM);
+  }, [beatgridLocked]);
+  
+  /**
+   * Sposta l'ancora della griglia (primo downbeat) sulla posizione corrente
+   */
+  const setGridMarker = useCallback(() => {
+    if (!isLoaded || beatgridLocked) return;
+    gridEditedRef.current = true;
+    setBeatgridAnchor(getPlaybackPosition());
+  }, [isLoaded, beatgridLocked, getPlaybackPosition]);
+  
+  /**
+   * Sposta la griglia a sinistra/destra
+   * @param {number} ms - Spostamento in millisecondi (negativo = a sinistra)
+   */
+  const nudgeGrid = useCallback((ms) => {
+    if (!isLoaded || beatgridLocked) return;
+    gridEditedRef.current = true;
+    setBeatgridAnchor(prev => prev + ms / 1000);
+  }, [isLoaded, beatgridLocked]);
+  
+  /**
+   * Blocca/sblocca la griglia
+   */
+  const toggleGridLock = useCallback(() => {
+    if (!isLoaded) return;
+    gridEditedRef.current = true;
+    setBeatgridLocked(prev => !prev);
+  }, [isLoaded]);
+  
+  /**
+   * Salva le modifiche manuali della griglia tra le correzioni della traccia
+   * (con debouncing: lo stretch trascinando produce molte modifiche di seguito)
+   */
+  useEffect(() => {
+    if (!gridEditedRef.current || !trackId) return;
+    
+    const timeoutId = setTimeout(() => {
+      gridEditedRef.current = false;
+      saveTrackCorrections(trackId, {
+        bpm,
+        beatgrid: { bpm, firstBeat: beatgridAnchor, beatsPerBar: DEFAULT_BEATS_PER_BAR },
+        beatgridLocked
+      });
+    }, 500);
+    
+    return () => clearTimeout(timeoutId);
+  }, [trackId, bpm, beatgridAnchor, beatgridLocked]);
+  
   /**
    * Formatta il tempo in formato MM:SS
    */
@@ -705,13 +1282,20 @@ export function useDeckAudio({
     filterValue,
     bpm,
     detectedBPM,
+    musicalKey,
     pitchValue, // Salva anche il pitch!
+    keyLock,
+    keyShift,
     currentTime,
     duration,
     loopEnabled,
     loopStart,
     loopLength,
+    cuePoint,
+    beatgridAnchor,
+    beatgridLocked,
     fileName,
+    trackId,
     isLoaded,
     isPlaying
   });
@@ -735,11 +1319,15 @@ export function useDeckAudio({
             
             // Carica il file salvato
             const arrayBuffer = await savedAudioData.file.arrayBuffer();
+            const restoredTrackId = savedAudioData.metadata.trackId ||
+              await computeTrackId(arrayBuffer, savedAudioData.file);
+            setTrackTags(readAudioTags(arrayBuffer, savedAudioData.metadata.fileName));
             const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
             audioBufferRef.current = audioBuffer;
             
             setIsLoaded(true);
             setFileName(savedAudioData.metadata.fileName);
+            setTrackId(restoredTrackId);
             setDuration(savedAudioData.metadata.duration);
             
             // Ripristina il BPM salvato (non ricalcolare per velocità)
@@ -748,10 +1336,6 @@ export function useDeckAudio({
               setOriginalBPM(savedState.current.detectedBPM);
             }
             
-            // Rileva i picchi della traccia ripristinata
-            const detectedPeaks = detectPeaks(audioBuffer);
-            peaksRef.current = detectedPeaks;
-            
             // Ripristina la posizione salvata se presente
             if (savedState.current.currentTime) {
               startOffsetRef.current = savedState.current.currentTime;
@@ -759,6 +1343,20 @@ export function useDeckAudio({
             }
             
             console.log(`✅ File audio ripristinato con successo per Deck ${deckId}!`);
+            
+            // Waveform, loudness e picchi non sono nello stato salvato: dalla cache
+            // o da un'analisi in background (BPM e beatgrid ripristinati non vengono toccati,
+            // ancora e tonalità solo se mancano nello stato salvato)
+            const missingAnchor = savedState.current.beatgridAnchor === undefined;
+            const missingKey = !savedState.current.musicalKey;
+            const savedAnalysis = await loadTrackAnalysis(restoredTrackId);
+            const correctedAnchor = savedAnalysis?.corrections?.beatgrid?.firstBeat;
+            analyzeLoadedTrack(restoredTrackId, audioBuffer, savedAnalysis, (stage, partial) => {
+              if (stage === 'tempo' && missingAnchor && partial.beatgrid) {
+                setBeatgridAnchor(correctedAnchor ?? partial.beatgrid.firstBeat);
+              }
+              if (stage === 'key' && missingKey) setMusicalKey(partial.key);
+            });
           } else {
             console.log(`ℹ️ Nessun file audio salvato per Deck ${deckId}. Carica una traccia manualmente.`);
           }
@@ -772,7 +1370,7 @@ export function useDeckAudio({
     };
     
     restoreAudioFile();
-  }, [deckId, initAudioContext, isLoaded, isRestoringAudio, loadSavedAudioFile, detectPeaks]);
+  }, [deckId, initAudioContext, isLoaded, isRestoringAudio, loadSavedAudioFile, analyzeLoadedTrack]);
   
   // Mostra un messaggio quando lo stato è stato ripristinato
   useEffect(() => {
@@ -788,20 +1386,37 @@ export function useDeckAudio({
   
   return {
     // Stato
+    deckId,
     isPlaying,
     isLoaded,
     isRestoringAudio,
     currentTime,
     duration,
     fileName,
+    trackId,
+    trackTags,
     bpm,
     detectedBPM,
     
+    // Analisi della traccia (nel worker): avanzamento, waveform e loudness
+    analysisProgress,
+    waveformData,
+    loudness,
+    
     // Controlli riproduzione
     play,
     pause,
     loadAudioFile,
     seek,
+    seekQuantized,
+    
+    // Cue (CUE / CUP)
+    cuePoint,
+    isCuePreviewing,
+    cueDown,
+    cueUp,
+    cuePlay,
+    latchCuePreview,
     
     // EQ
     eqLow,
@@ -829,15 +1444,45 @@ export function useDeckAudio({
     setCrossfaderGain,
     
     // BPM (solo valore di riferimento, non cambia la velocità!)
-    setBPM,
+    // Passa dalla correzione della griglia, quindi rispetta il blocco
+    setBPM: correctBPM,
+    
+    // Tempo effettivo (BPM originale × velocità di riproduzione)
+    effectiveBPM: bpm * (1 + pitchValue / 100),
+    
+    // Tonalità: originale e quella che si sente (key shift, e senza KEY LOCK anche il pitch)
+    musicalKey,
+    effectiveKey: transposeKey(musicalKey, Math.round(
+      keyShift + (keyLock ? 0 : getPlaybackRateSemitones(1 + pitchValue / 100))
+    )),
     
-    // Picchi per sincronizzazione
-    peaks: peaksRef.current,
+    // Sync del tempo: il master imposta qui il proprio tempo effettivo sullo slave
+    syncTempo,
+    setSyncTempo,
+    isSyncSlave: syncEnabled && syncTempo !== null,
+    
+    // Picchi di energia della traccia
+    peaks,
+    
+    // Beatgrid e phase sync
+    beatgrid,
+    beatgridLocked,
+    setGridMarker,
+    nudgeGrid,
+    toggleGridLock,
+    getPlaybackPosition,
+    setPhaseCorrection,
     
     // Pitch/Tempo (questo controlla la velocità reale!)
     pitchValue,
     setPitchValue,
     
+    // KEY LOCK (master tempo) e KEY SHIFT
+    keyLock,
+    setKeyLock,
+    keyShift,
+    setKeyShift,
+    
     // Loop
     loopEnabled,
     setLoopEnabled,
@@ -846,11 +1491,25 @@ export function useDeckAudio({
     loopLength,
     setLoopLength,
     setLoopStartPoint,
+    loopInPoint,
+    loopRegion: getLoopRegion(),
+    setAutoLoop,
+    setLoopIn,
+    setLoopOut,
+    halveLoop,
+    doubleLoop,
+    moveLoop,
+    
+    // Hot cue
+    hotCues,
+    triggerHotCue,
+    deleteHotCue,
+    updateHotCue,
     
     // Utilità
     formatTime,
     
-    // Analyser per visualizzazioni future
+    // Analyser del channel strip per visualizzazioni future
     analyserNode: analyserNodeRef.current,
     
     // AudioBuffer per visualizzazione waveform completo
@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { findTrackSource, downloadRemoteTrack } from '../services/remoteSources';
+import {
+  DEFAULT_CACHE_LIMIT,
+  listCachedTracks,
+  loadCachedTrack,
+  cacheRemoteTrack,
+  removeCachedTrack,
+  clearRemoteCache,
+  trimRemoteCache
+} from '../services/remoteCache';
+
+// Download in anticipo eseguiti in parallelo (i caricamenti nei deck partono subito)
+const MAX_CONCURRENT_DOWNLOADS = 2;
+// Intervallo minimo tra due aggiornamenti dell'avanzamento nello stato (ms)
+const PROGRESS_INTERVAL = 200;
+
+// Stati di un download
+export const DOWNLOAD_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Hook per i download delle tracce remote e la loro cache offline (vedi services/remoteCache)
+ *
+ * Ogni download compare in downloads con il suo avanzamento e si può annullare o ripetere.
+ * I file scaricati entrano nella cache: le tracce già in cache si caricano senza rete.
+ * loadTrackFile serve i caricamenti nei deck e ha la precedenza sulla coda dei download
+ * in anticipo (prefetch), che ne esegue al massimo MAX_CONCURRENT_DOWNLOADS alla volta.
+ * @param {Array<Object>} sources - Sorgenti remote configurate (vedi hooks/useRemoteSources)
+ */
+export function useDownloadManager(sources) {
+  // [{ id, track, status, loaded, total, error }] nell'ordine di richiesta
+  const [downloads, setDownloads] = useState([]);
+  const [cacheEntries, setCacheEntries] = useState([]); // metadati delle tracce in cache
+  const [cacheLimit, setCacheLimit] = useLocalStorage('fratemix_remote_cache_limit', DEFAULT_CACHE_LIMIT);
+  // Download non ancora conclusi: id → { track, promise, resolve, reject, controller }
+  const jobsRef = useRef(new Map());
+  const queueRef = useRef([]); // id in attesa, nell'ordine di partenza
+  const activeCountRef = useRef(0); // download in corso (anche quelli partiti subito per un deck)
+  const sourcesRef = useRef(sources);
+  const cacheLimitRef = useRef(cacheLimit);
+
+  useEffect(() => {
+    sourcesRef.current = sources;
+  }, [sources]);
+
+  useEffect(() => {
+    cacheLimitRef.current = cacheLimit;
+  }, [cacheLimit]);
+
+  /**
+   * Legge l'elenco della cache all'avvio; i download in corso si annullano all'uscita
+   */
+  useEffect(() => {
+    let cancelled = false;
+    listCachedTracks().then(entries => {
+      if (!cancelled) setCacheEntries(entries);
+    });
+
+    const jobs = jobsRef.current;
+    return () => {
+      cancelled = true;
+      jobs.forEach(job => job.controller?.abort());
+    };
+  }, []);
+
+  const updateDownload = useCallback((id, changes) => {
+    setDownloads(prev => prev.map(download => (download.id === id ? { ...download, ...changes } : download)));
+  }, []);
+
+  /**
+   * Scarica una traccia, la salva nella cache e conclude la sua promise
+   * (non lancia mai: l'esito arriva a chi attende il download)
+   */
+  const runJob = useCallback(async (id) => {
+    const job = jobsRef.current.get(id);
+    job.controller = new AbortController();
+    updateDownload(id, { status: DOWNLOAD_STATUS.DOWNLOADING, loaded: 0, error: null });
+
+    try {
+      const source = findTrackSource(sourcesRef.current, job.track);
+      if (!source) {
+        throw new Error(`La sorgente di "${job.track.name}" non è configurata: aggiungila in ☁️ Sorgenti.`);
+      }
+
+      let lastUpdate = 0;
+      const file = await downloadRemoteTrack(source, job.track, {
+        signal: job.controller.signal,
+        onProgress: ({ loaded, total }) => {
+          const now = Date.now();
+          if (now - lastUpdate < PROGRESS_INTERVAL) return;
+          lastUpdate = now;
+          updateDownload(id, { loaded, total });
+        }
+      });
+
+      const { entry, evicted } = await cacheRemoteTrack(job.track, file, cacheLimitRef.current);
+      setCacheEntries(prev => [
+        ...prev.filter(cached => cached.id !== id && !evicted.includes(cached.id)),
+        ...(entry ? [entry] : [])
+      ]);
+      updateDownload(id, { status: DOWNLOAD_STATUS.DONE, loaded: file.size, total: file.size });
+      job.resolve(file);
+    } catch (error) {
+      updateDownload(id, error.name === 'AbortError'
+        ? { status: DOWNLOAD_STATUS.CANCELLED }
+        : { status: DOWNLOAD_STATUS.ERROR, error: error.message });
+      job.reject(error);
+    } finally {
+      jobsRef.current.delete(id);
+    }
+  }, [updateDownload]);
+
+  /**
+   * Avvia subito il download richiesto (se c'è, anche oltre il massimo in parallelo)
+   * e quelli in coda finché ci sono posti liberi; ogni download concluso libera un posto
+   * @param {string} [immediateId] - Download da avviare fuori dalla coda (es. per un deck)
+   */
+  const startDownloads = useCallback((immediateId = null) => {
+    const start = (id) => {
+      activeCountRef.current++;
+      runJob(id).then(() => {
+        activeCountRef.current--;
+        startQueued();
+      });
+    };
+    const startQueued = () => {
+      while (activeCountRef.current < MAX_CONCURRENT_DOWNLOADS && queueRef.current.length > 0) {
+        start(queueRef.current.shift());
+      }
+    };
+
+    if (immediateId) start(immediateId);
+    startQueued();
+  }, [runJob]);
+
+  /**
+   * Richiede il download di una traccia (se è già richiesta restituisce lo stesso download)
+   * @param {Object} track - Traccia remota
+   * @param {{immediate?: boolean}} [options] - immediate: parte subito, fuori dalla coda
+   * @returns {Promise<File>}
+   */
+  const requestDownload = useCallback((track, { immediate = false } = {}) => {
+    const existing = jobsRef.current.get(track.id);
+    if (existing) {
+      // Un download in anticipo ancora in coda, richiesto da un deck, parte subito
+      if (immediate && queueRef.current.includes(track.id)) {
+        queueRef.current = queueRef.current.filter(id => id !== track.id);
+        startDownloads(track.id);
+      }
+      return existing.promise;
+    }
+
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // Nessuno attende l'esito dei download in anticipo: gli errori restano nell'elenco
+    promise.catch(() => {});
+
+    jobsRef.current.set(track.id, { track, promise, resolve, reject, controller: null });
+    setDownloads(prev => [
+      ...prev.filter(download => download.id !== track.id),
+      { id: track.id, track, status: DOWNLOAD_STATUS.QUEUED, loaded: 0, total: track.size || 0, error: null }
+    ]);
+
+    if (immediate) {
+      startDownloads(track.id);
+    } else {
+      queueRef.current.push(track.id);
+      startDownloads();
+    }
+    return promise;
+  }, [startDownloads]);
+
+  /**
+   * File di una traccia remota per un deck: dalla cache se c'è, altrimenti scaricato subito
+   * @param {Object} track - Traccia remota
+   * @returns {Promise<File>}
+   * @throws {Error} se il download fallisce (AbortError se viene annullato)
+   */
+  const loadTrackFile = useCallback(async (track) => {
+    const cached = await loadCachedTrack(track.id);
+    if (cached) {
+      setCacheEntries(prev => prev.map(entry => (entry.id === track.id ? { ...entry, lastUsedAt: Date.now() } : entry)));
+      return cached;
+    }
+    return requestDownload(track, { immediate: true });
+  }, [requestDownload]);
+
+  const cachedIds = useMemo(() => new Set(cacheEntries.map(entry => entry.id)), [cacheEntries]);
+
+  /**
+   * Mette in coda il download delle tracce remote non ancora in cache
+   * @param {Array<Object>} tracks - Tracce (quelle locali vengono ignorate)
+   * @returns {number} - Tracce messe in coda
+   */
+  const prefetch = useCallback((tracks) => {
+    const missing = tracks.filter(track => track.isRemote && track.fileId && !cachedIds.has(track.id));
+    missing.forEach(track => requestDownload(track));
+    return missing.length;
+  }, [cachedIds, requestDownload]);
+
+  /**
+   * Annulla un download in coda o in corso
+   * @param {string} id - Id della traccia
+   */
+  const cancel = useCallback((id) => {
+    const job = jobsRef.current.get(id);
+    if (!job) return;
+
+    if (job.controller) {
+      job.controller.abort();
+      return;
+    }
+    queueRef.current = queueRef.current.filter(queuedId => queuedId !== id);
+    jobsRef.current.delete(id);
+    updateDownload(id, { status: DOWNLOAD_STATUS.CANCELLED });
+    job.reject(new DOMException('Download annullato', 'AbortError'));
+  }, [updateDownload]);
+
+  /**
+   * Ripete un download fallito o annullato (in coda)
+   * @param {string} id - Id della traccia
+   */
+  const retry = useCallback((id) => {
+    const download = downloads.find(d => d.id === id);
+    if (download) requestDownload(download.track);
+  }, [downloads, requestDownload]);
+
+  /**
+   * Toglie dall'elenco i download conclusi (completati, falliti o annullati)
+   */
+  const clearFinished = useCallback(() => {
+    setDownloads(prev => prev.filter(download => jobsRef.current.has(download.id)));
+  }, []);
+
+  /**
+   * Elimina una traccia dalla cache
+   * @param {string} id - Id della traccia
+   */
+  const removeFromCache = useCallback(async (id) => {
+    if (await removeCachedTrack(id)) {
+      setCacheEntries(prev => prev.filter(entry => entry.id !== id));
+    }
+  }, []);
+
+  /**
+   * Svuota la cache (se non riesce si rilegge l'elenco, per restare allineati a IndexedDB)
+   */
+  const clearCache = useCallback(async () => {
+    setCacheEntries(await clearRemoteCache() ? [] : await listCachedTracks());
+  }, []);
+
+  /**
+   * Cambia il limite della cache (se è più piccolo si eliminano subito le tracce meno recenti)
+   * @param {number} limit - Dimensione massima (byte)
+   */
+  const changeCacheLimit = useCallback(async (limit) => {
+    setCacheLimit(limit);
+    const evicted = await trimRemoteCache(limit);
+    setCacheEntries(prev => prev.filter(entry => !evicted.includes(entry.id)));
+  }, [setCacheLimit]);
+
+  const activeCount = downloads.filter(download => (
+    download.status === DOWNLOAD_STATUS.QUEUED || download.status === DOWNLOAD_STATUS.DOWNLOADING
+  )).length;
+
+  return {
+    downloads,
+    activeCount,
+    cachedIds,
+    cacheSize: cacheEntries.reduce((sum, entry) => sum + entry.size, 0),
+    cacheLimit,
+    setCacheLimit: changeCacheLimit,
+    loadTrackFile,
+    prefetch,
+    cancel,
+    retry,
+    clearFinished,
+    removeFromCache,
+    clearCache
+  };
+}
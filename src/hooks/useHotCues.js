@@ -0,0 +1,147 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { STORES, getRecord, putRecord } from '../services/fratemixDB';
+
+// Numero di hot cue per deck
+export const HOT_CUE_COUNT = 8;
+
+// Colori disponibili per gli hot cue (il colore di default dipende dall'indice)
+export const HOT_CUE_COLORS = [
+  '#4a90e2', // Blu
+  '#4ae24a', // Verde
+  '#e2c84a', // Giallo
+  '#e24a4a', // Rosso
+  '#e24ad8', // Magenta
+  '#4ae2e2', // Ciano
+  '#e28a4a', // Arancione
+  '#ffffff'  // Bianco
+];
+
+/**
+ * Crea la lista vuota degli hot cue
+ */
+function createEmptyCues() {
+  return Array(HOT_CUE_COUNT).fill(null);
+}
+
+/**
+ * Normalizza i cue letti dal database (sempre HOT_CUE_COUNT elementi)
+ */
+function normalizeCues(cues) {
+  const normalized = createEmptyCues();
+  if (Array.isArray(cues)) {
+    cues.slice(0, HOT_CUE_COUNT).forEach((cue, index) => {
+      if (cue && typeof cue.time === 'number') {
+        normalized[index] = cue;
+      }
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Hook per gestire gli hot cue di una traccia
+ * 
+ * Gli hot cue sono salvati in IndexedDB in base all'identità della traccia
+ * (non del deck): caricando lo stesso file su qualsiasi deck i cue vengono ripristinati.
+ * 
+ * Ogni cue è un oggetto { time, name, color } oppure null se lo slot è vuoto.
+ * 
+ * @param {string|null} trackId - Identità della traccia caricata
+ */
+export function useHotCues(trackId) {
+  const [hotCues, setHotCues] = useState(createEmptyCues);
+  // Traccia per cui i cue sono stati caricati (evita di salvare cue vuoti prima del caricamento)
+  const loadedTrackIdRef = useRef(null);
+  
+  /**
+   * Carica i cue quando cambia la traccia
+   */
+  useEffect(() => {
+    loadedTrackIdRef.current = null;
+    setHotCues(createEmptyCues());
+    if (!trackId) return;
+    
+    let cancelled = false;
+    
+    getRecord(STORES.HOT_CUES, trackId)
+      .then(record => {
+        if (cancelled) return;
+        setHotCues(normalizeCues(record?.cues));
+        loadedTrackIdRef.current = trackId;
+        if (record?.cues?.some(Boolean)) {
+          console.log(`🎯 Hot cue ripristinati per la traccia ${trackId.slice(0, 16)}...`);
+        }
+      })
+      .catch(error => {
+        console.error('Errore nel caricamento degli hot cue:', error);
+        if (!cancelled) loadedTrackIdRef.current = trackId;
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId]);
+  
+  /**
+   * Aggiorna i cue e li salva in IndexedDB
+   */
+  const commitCues = useCallback((newCues) => {
+    setHotCues(newCues);
+    
+    if (!trackId || loadedTrackIdRef.current !== trackId) return;
+    
+    putRecord(STORES.HOT_CUES, {
+      trackId,
+      cues: newCues,
+      updatedAt: new Date().toISOString()
+    }).catch(error => {
+      console.error('Errore nel salvataggio degli hot cue:', error);
+    });
+  }, [trackId]);
+  
+  /**
+   * Imposta un hot cue a un tempo specifico
+   * @param {number} index - Indice dello slot (0-7)
+   * @param {number} time - Posizione nella traccia (in secondi)
+   */
+  const setHotCue = useCallback((index, time) => {
+    if (index < 0 || index >= HOT_CUE_COUNT) return;
+    const newCues = [...hotCues];
+    newCues[index] = {
+      time,
+      name: hotCues[index]?.name || `Cue ${index + 1}`,
+      color: hotCues[index]?.color || HOT_CUE_COLORS[index % HOT_CUE_COLORS.length]
+    };
+    commitCues(newCues);
+  }, [hotCues, commitCues]);
+  
+  /**
+   * Elimina un hot cue
+   * @param {number} index - Indice dello slot (0-7)
+   */
+  const deleteHotCue = useCallback((index) => {
+    if (!hotCues[index]) return;
+    const newCues = [...hotCues];
+    newCues[index] = null;
+    commitCues(newCues);
+  }, [hotCues, commitCues]);
+  
+  /**
+   * Aggiorna nome e/o colore di un hot cue esistente
+   * @param {number} index - Indice dello slot (0-7)
+   * @param {{name?: string, color?: string}} changes - Modifiche da applicare
+   */
+  const updateHotCue = useCallback((index, changes) => {
+    if (!hotCues[index]) return;
+    const newCues = [...hotCues];
+    newCues[index] = { ...hotCues[index], ...changes };
+    commitCues(newCues);
+  }, [hotCues, commitCues]);
+  
+  return {
+    hotCues,
+    setHotCue,
+    deleteHotCue,
+    updateHotCue
+  };
+}
@@ -1,5 +1,6 @@
 import { useEffect, useCallback } from 'react';
 import { saveToStorage, loadFromStorage } from './useLocalStorage';
+import { STORES, getRecord, putRecord, deleteRecord } from '../services/fratemixDB';
 
 /**
  * Hook per gestire la persistenza dello stato di un deck
@@ -8,10 +9,11 @@ import { saveToStorage, loadFromStorage } from './useLocalStorage';
  * - Volume/Gain
  * - EQ (Low, Mid, High) e Kill switches
  * - Filtro
- * - BPM corrente
+ * - BPM corrente, KEY LOCK, KEY SHIFT e tonalità
  * - Posizione corrente nel brano
  * - Stato loop
- * - Metadata della traccia caricata
+ * - Cue point
+ * - Metadata della traccia caricata (nome file e identità della traccia)
  * 
  * @param {string} deckId - Identificatore univoco del deck ('A' o 'B')
  * @param {Object} deckState - Stato corrente del deck da salvare
@@ -39,6 +41,11 @@ export function usePersistedDeckState(deckId, deckState) {
       // BPM
       bpm: deckState.bpm,
       detectedBPM: deckState.detectedBPM,
+      keyLock: deckState.keyLock,
+      keyShift: deckState.keyShift,
+      
+      // Tonalità rilevata
+      musicalKey: deckState.musicalKey,
       
       // Posizione e durata
       currentTime: deckState.currentTime,
@@ -49,8 +56,16 @@ export function usePersistedDeckState(deckId, deckState) {
       loopStart: deckState.loopStart,
       loopLength: deckState.loopLength,
       
+      // Cue point
+      cuePoint: deckState.cuePoint,
+      
+      // Ancora della beatgrid
+      beatgridAnchor: deckState.beatgridAnchor,
+      beatgridLocked: deckState.beatgridLocked,
+      
       // Metadata traccia
       fileName: deckState.fileName,
+      trackId: deckState.trackId,
       isLoaded: deckState.isLoaded,
       
       // Timestamp del salvataggio
@@ -96,10 +111,17 @@ export function usePersistedDeckState(deckId, deckState) {
     deckState.eqHighKill,
     deckState.filterValue,
     deckState.bpm,
+    deckState.keyLock,
+    deckState.keyShift,
+    deckState.musicalKey,
     deckState.loopEnabled,
     deckState.loopStart,
     deckState.loopLength,
+    deckState.cuePoint,
+    deckState.beatgridAnchor,
+    deckState.beatgridLocked,
     deckState.isLoaded,
+    deckState.trackId,
     saveDeckState
   ]);
   
@@ -128,29 +150,6 @@ export function usePersistedDeckState(deckId, deckState) {
  * potrebbe non essere pratico. Questo è opzionale.
  */
 export function useAudioFileStorage(deckId) {
-  const dbName = 'FratemixDB';
-  const storeName = 'audioFiles';
-  const dbVersion = 1;
-  
-  /**
-   * Apri/crea il database IndexedDB
-   */
-  const openDB = useCallback(() => {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(dbName, dbVersion);
-      
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(storeName)) {
-          db.createObjectStore(storeName, { keyPath: 'deckId' });
-        }
-      };
-    });
-  }, []);
-  
   /**
    * Salva un file audio in IndexedDB
    */
@@ -164,57 +163,40 @@ export function useAudioFileStorage(deckId) {
     }
     
     try {
-      const db = await openDB();
-      const transaction = db.transaction([storeName], 'readwrite');
-      const store = transaction.objectStore(storeName);
-      
-      const data = {
+      await putRecord(STORES.AUDIO_FILES, {
         deckId,
         file,
         metadata,
         savedAt: new Date().toISOString()
-      };
-      
-      await store.put(data);
+      });
       console.log(`File audio salvato per Deck ${deckId}`);
     } catch (error) {
       console.error('Errore nel salvataggio del file audio:', error);
     }
-  }, [deckId, openDB]);
+  }, [deckId]);
   
   /**
    * Carica un file audio da IndexedDB
    */
   const loadAudioFile = useCallback(async () => {
     try {
-      const db = await openDB();
-      const transaction = db.transaction([storeName], 'readonly');
-      const store = transaction.objectStore(storeName);
-      
-      return new Promise((resolve, reject) => {
-        const request = store.get(deckId);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+      return await getRecord(STORES.AUDIO_FILES, deckId);
     } catch (error) {
       console.error('Errore nel caricamento del file audio:', error);
       return null;
     }
-  }, [deckId, openDB]);
+  }, [deckId]);
   
   /**
    * Rimuovi un file audio da IndexedDB
    */
   const removeAudioFile = useCallback(async () => {
     try {
-      const db = await openDB();
-      const transaction = db.transaction([storeName], 'readwrite');
-      const store = transaction.objectStore(storeName);
-      await store.delete(deckId);
+      await deleteRecord(STORES.AUDIO_FILES, deckId);
     } catch (error) {
       console.error('Errore nella rimozione del file audio:', error);
     }
-  }, [deckId, openDB]);
+  }, [deckId]);
   
   return {
     saveAudioFile,
@@ -222,4 +204,3 @@ export function useAudioFileStorage(deckId) {
     removeAudioFile
   };
 }
-
@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { getBeatPosition, getPhaseDifference } from '../utils/beatgrid';
+
+// Intervallo di controllo della fase (ms)
+const PHASE_CHECK_INTERVAL = 100;
+// Sotto questa differenza (in beat) i deck sono considerati in fase
+const PHASE_TOLERANCE = 0.005;
+// Tempo in cui recuperare la differenza di fase (secondi)
+const PHASE_CORRECTION_TIME = 1.5;
+// Correzione massima della velocità (±2%)
+const MAX_PHASE_CORRECTION = 0.02;
+
+/**
+ * Calcola la differenza di fase (in beat) tra lo slave e il master
+ * Positiva se lo slave è avanti
+ * @returns {number|null} - Differenza in [-0.5, 0.5) o null se non calcolabile
+ */
+export function getDeckPhaseOffset(deck, referenceDeck, deckTime, referenceTime) {
+  if (!deck?.isLoaded || !referenceDeck?.isLoaded || !deck.beatgrid || !referenceDeck.beatgrid) {
+    return null;
+  }
+  
+  return getPhaseDifference(
+    getBeatPosition(deck.beatgrid, deckTime),
+    getBeatPosition(referenceDeck.beatgrid, referenceTime),
+    1
+  );
+}
+
+/**
+ * Hook per la correzione continua della deriva di fase tra due deck
+ * 
+ * Mentre entrambi i deck suonano con sync attivo, misura periodicamente
+ * la differenza di fase tra slave e master e corregge leggermente la velocità
+ * dello slave (senza toccare il pitch) finché i beat non coincidono.
+ * 
+ * @param {Object} masterDeck - Deck master (da useDeckAudio)
+ * @param {Object} slaveDeck - Deck slave (da useDeckAudio)
+ * @param {boolean} enabled - Se true, la correzione è attiva
+ */
+export function usePhaseSync(masterDeck, slaveDeck, enabled) {
+  // Riferimenti sempre aggiornati ai deck (gli oggetti cambiano a ogni render)
+  const decksRef = useRef({ masterDeck, slaveDeck });
+  decksRef.current = { masterDeck, slaveDeck };
+  
+  const isActive = enabled && masterDeck.isPlaying && slaveDeck.isPlaying;
+  
+  useEffect(() => {
+    if (!isActive) return;
+    
+    const intervalId = setInterval(() => {
+      const { masterDeck: master, slaveDeck: slave } = decksRef.current;
+      
+      const offset = getDeckPhaseOffset(
+        slave,
+        master,
+        slave.getPlaybackPosition(),
+        master.getPlaybackPosition()
+      );
+      if (offset === null) return;
+      
+      if (Math.abs(offset) < PHASE_TOLERANCE) {
+        slave.setPhaseCorrection(1);
+        return;
+      }
+      
+      // Beat al secondo dello slave: per recuperare `offset` beat in PHASE_CORRECTION_TIME secondi
+      // la velocità va ridotta (slave avanti) o aumentata (slave indietro) in proporzione
+      const beatsPerSecond = slave.effectiveBPM / 60;
+      const correction = offset / (beatsPerSecond * PHASE_CORRECTION_TIME);
+      const clampedCorrection = Math.max(-MAX_PHASE_CORRECTION, Math.min(MAX_PHASE_CORRECTION, correction));
+      
+      slave.setPhaseCorrection(1 - clampedCorrection);
+    }, PHASE_CHECK_INTERVAL);
+    
+    return () => {
+      clearInterval(intervalId);
+      decksRef.current.slaveDeck.setPhaseCorrection(1);
+      decksRef.current.masterDeck.setPhaseCorrection(1);
+    };
+  }, [isActive, slaveDeck.deckId]);
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  PLAYLIST_TYPES,
+  listPlaylists,
+  savePlaylist,
+  deletePlaylist,
+  duplicatePlaylist,
+  removeTrackFromPlaylists,
+  getDescendantIds
+} from '../services/playlistLibrary';
+
+/**
+ * Hook per playlist e crate della libreria (vedi services/playlistLibrary)
+ *
+ * Carica l'albero all'avvio e mantiene lo stato React allineato con IndexedDB.
+ */
+export function usePlaylists() {
+  const [playlists, setPlaylists] = useState([]);
+  // Stato corrente, aggiornato subito: le operazioni che modificano un nodo partono dal suo
+  // contenuto, e più operazioni di seguito (es. import di cartelle) devono vedere le precedenti
+  const playlistsRef = useRef([]);
+
+  const applyPlaylists = useCallback((nodes) => {
+    playlistsRef.current = nodes;
+    setPlaylists(nodes);
+  }, []);
+
+  /**
+   * Sostituisce (o aggiunge) i nodi aggiornati nello stato
+   */
+  const mergePlaylists = useCallback((updated) => {
+    const valid = updated.filter(Boolean);
+    if (valid.length === 0) return;
+
+    const prev = playlistsRef.current;
+    const byId = new Map(valid.map(node => [node.id, node]));
+    const replaced = prev.map(node => byId.get(node.id) || node);
+    applyPlaylists([...replaced, ...valid.filter(node => !prev.some(n => n.id === node.id))]);
+  }, [applyPlaylists]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listPlaylists().then(nodes => {
+      if (cancelled) return;
+      applyPlaylists(nodes);
+      console.log(`📂 Playlist caricate: ${nodes.length}`);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [applyPlaylists]);
+
+  /**
+   * Salva un nodo esistente con i campi calcolati dal suo stato attuale
+   * @param {string} id - Id del nodo
+   * @param {Function} update - Riceve il nodo e restituisce i campi da salvare
+   */
+  const updatePlaylist = useCallback(async (id, update) => {
+    const node = playlistsRef.current.find(n => n.id === id);
+    if (!node) return null;
+    const saved = await savePlaylist({ id, ...update(node) });
+    mergePlaylists([saved]);
+    return saved;
+  }, [mergePlaylists]);
+
+  /**
+   * Crea una playlist, una crate o una smart playlist in fondo al livello indicato
+   * @param {'playlist'|'crate'|'smart'} type - Tipo del nodo
+   * @param {string|null} parentId - Crate che lo contiene (null = primo livello)
+   * @param {string} name - Nome
+   * @param {Object} fields - Altri campi iniziali (es. trackIds, rules)
+   */
+  const createPlaylist = useCallback(async (type, parentId = null, name = null, fields = {}) => {
+    const siblings = playlistsRef.current.filter(node => node.parentId === parentId);
+    const saved = await savePlaylist({
+      type,
+      parentId,
+      name: name || (type === PLAYLIST_TYPES.CRATE ? 'Nuova crate' : 'Nuova playlist'),
+      position: siblings.reduce((max, node) => Math.max(max, node.position + 1), 0),
+      ...fields
+    });
+    mergePlaylists([saved]);
+    return saved;
+  }, [mergePlaylists]);
+
+  const renamePlaylist = useCallback((id, name) => (
+    updatePlaylist(id, () => ({ name }))
+  ), [updatePlaylist]);
+
+  /**
+   * Aggiorna nome e regole di una smart playlist
+   */
+  const updateSmartPlaylist = useCallback((id, { name, rules }) => (
+    updatePlaylist(id, () => ({ name, rules }))
+  ), [updatePlaylist]);
+
+  /**
+   * Sposta un nodo in un'altra crate (o al primo livello), in fondo
+   * Una crate non può finire dentro se stessa o un suo discendente
+   */
+  const movePlaylist = useCallback(async (id, parentId) => {
+    if (parentId && getDescendantIds(playlistsRef.current, id).includes(parentId)) return null;
+    const siblings = playlistsRef.current.filter(node => node.parentId === parentId && node.id !== id);
+    return updatePlaylist(id, () => ({
+      parentId,
+      position: siblings.reduce((max, node) => Math.max(max, node.position + 1), 0)
+    }));
+  }, [updatePlaylist]);
+
+  const removePlaylist = useCallback(async (id) => {
+    const deletedIds = await deletePlaylist(id);
+    applyPlaylists(playlistsRef.current.filter(node => !deletedIds.includes(node.id)));
+  }, [applyPlaylists]);
+
+  const copyPlaylist = useCallback(async (id) => {
+    const copies = await duplicatePlaylist(id);
+    mergePlaylists(copies);
+    return copies[0] || null;
+  }, [mergePlaylists]);
+
+  /**
+   * Aggiunge delle tracce a un nodo (quelle già presenti vengono ignorate)
+   * @param {string} id - Id del nodo
+   * @param {string[]} trackIds - Tracce da aggiungere
+   * @param {number} index - Posizione di inserimento (default: in fondo)
+   */
+  const addTracks = useCallback((id, trackIds, index = null) => (
+    updatePlaylist(id, node => {
+      const added = trackIds.filter((trackId, i) => !node.trackIds.includes(trackId) && trackIds.indexOf(trackId) === i);
+      const at = index === null ? node.trackIds.length : index;
+      return { trackIds: [...node.trackIds.slice(0, at), ...added, ...node.trackIds.slice(at)] };
+    })
+  ), [updatePlaylist]);
+
+  /**
+   * Sposta una traccia all'interno di un nodo
+   * @param {string} id - Id del nodo
+   * @param {string} trackId - Traccia da spostare
+   * @param {number} index - Nuova posizione (calcolata prima di togliere la traccia)
+   */
+  const moveTrack = useCallback((id, trackId, index) => (
+    updatePlaylist(id, node => {
+      const from = node.trackIds.indexOf(trackId);
+      if (from === -1) return {};
+      const trackIds = node.trackIds.filter(t => t !== trackId);
+      trackIds.splice(from < index ? index - 1 : index, 0, trackId);
+      return { trackIds };
+    })
+  ), [updatePlaylist]);
+
+  const removeTracks = useCallback((id, trackIds) => (
+    updatePlaylist(id, node => ({ trackIds: node.trackIds.filter(t => !trackIds.includes(t)) }))
+  ), [updatePlaylist]);
+
+  /**
+   * Toglie una traccia da tutti i nodi (quando viene eliminata dalla libreria)
+   */
+  const removeTrackEverywhere = useCallback(async (trackId) => {
+    mergePlaylists(await removeTrackFromPlaylists(trackId));
+  }, [mergePlaylists]);
+
+  return {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    updateSmartPlaylist,
+    movePlaylist,
+    removePlaylist,
+    copyPlaylist,
+    addTracks,
+    moveTrack,
+    removeTracks,
+    removeTrackEverywhere
+  };
+}
@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  listSourceTracks,
+  isSourceConfigured,
+  loadCachedListing,
+  saveCachedListing,
+  deleteCachedListing
+} from '../services/remoteSources';
+
+/**
+ * Hook per le sorgenti remote di tracce (vedi services/remoteSources)
+ *
+ * Salva la configurazione delle sorgenti nel localStorage e legge le tracce
+ * delle sorgenti attive e complete quando la configurazione cambia (e all'avvio).
+ * L'ultimo elenco di ogni sorgente è salvato in IndexedDB: all'avvio viene riusato
+ * senza richieste di rete, e si rilegge la sorgente solo con refresh (o se la sua
+ * configurazione cambia).
+ * Ogni sorgente viene letta separatamente: una sorgente irraggiungibile
+ * non blocca le altre e il suo errore resta in errors (anche se è stata letta
+ * solo in parte, es. una cartella di Drive su tre: le sue tracce restano).
+ */
+export function useRemoteSources() {
+  const [sources, setSources] = useLocalStorage('fratemix_remote_sources', []);
+  const [tracksBySource, setTracksBySource] = useState({}); // sourceId → tracce
+  const [loadingIds, setLoadingIds] = useState([]);
+  const [errors, setErrors] = useState({}); // sourceId → messaggio
+  const [fetchedAt, setFetchedAt] = useState({}); // sourceId → data dell'elenco (ms)
+  // Ultima lettura avviata per ogni sorgente (le risposte di letture superate vengono ignorate)
+  const requestIdsRef = useRef({});
+
+  const activeSources = useMemo(() => (
+    sources.filter(source => source.enabled && isSourceConfigured(source))
+  ), [sources]);
+
+  /**
+   * Legge le tracce di una sorgente (dall'elenco salvato, se valido, a meno di force)
+   */
+  const loadSource = useCallback(async (source, { force = false } = {}) => {
+    const requestId = (requestIdsRef.current[source.id] || 0) + 1;
+    requestIdsRef.current[source.id] = requestId;
+    setLoadingIds(prev => [...prev.filter(id => id !== source.id), source.id]);
+
+    try {
+      const cached = force ? null : await loadCachedListing(source);
+      const listing = cached || await listSourceTracks(source);
+      const listedAt = cached ? cached.fetchedAt : await saveCachedListing(source, listing);
+      if (requestIdsRef.current[source.id] !== requestId) return;
+      setTracksBySource(prev => ({ ...prev, [source.id]: listing.tracks }));
+      setFetchedAt(prev => ({ ...prev, [source.id]: listedAt }));
+      setErrors(prev => ({ ...prev, [source.id]: listing.errors.length > 0 ? listing.errors.join(' · ') : null }));
+      if (!cached) console.log(`✅ ${listing.tracks.length} tracce caricate da "${source.name}"`);
+    } catch (error) {
+      if (requestIdsRef.current[source.id] !== requestId) return;
+      console.error(`❌ Errore caricamento tracce da "${source.name}":`, error);
+      setErrors(prev => ({ ...prev, [source.id]: error.message }));
+    } finally {
+      if (requestIdsRef.current[source.id] === requestId) {
+        setLoadingIds(prev => prev.filter(id => id !== source.id));
+      }
+    }
+  }, []);
+
+  /**
+   * Rilegge dalla rete una sorgente, o tutte quelle attive
+   * @param {string} [sourceId] - Sorgente da rileggere (tutte se assente)
+   */
+  const refresh = useCallback((sourceId) => {
+    activeSources
+      .filter(source => !sourceId || source.id === sourceId)
+      .forEach(source => loadSource(source, { force: true }));
+  }, [activeSources, loadSource]);
+  
+  /**
+   * Salva la configurazione delle sorgenti (gli elenchi delle sorgenti eliminate vengono cancellati)
+   * @param {Array<Object>} newSources - Nuova lista di sorgenti
+   */
+  const saveSources = useCallback((newSources) => {
+    const keptIds = new Set(newSources.map(source => source.id));
+    sources.filter(source => !keptIds.has(source.id)).forEach(source => deleteCachedListing(source.id));
+    setSources(newSources);
+  }, [sources, setSources]);
+
+  /**
+   * Legge le sorgenti attive quando cambia la loro configurazione
+   * (le sorgenti disattivate o eliminate spariscono dall'elenco)
+   */
+  const activeSourcesKey = JSON.stringify(activeSources);
+  useEffect(() => {
+    const activeIds = new Set(activeSources.map(source => source.id));
+    setTracksBySource(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => activeIds.has(id))));
+    activeSources.forEach(source => loadSource(source));
+  }, [activeSourcesKey]);
+
+  /**
+   * Tracce di tutte le sorgenti attive (la stessa traccia in due sorgenti compare una volta)
+   */
+  const tracks = useMemo(() => {
+    const byId = new Map();
+    activeSources.forEach(source => {
+      (tracksBySource[source.id] || []).forEach(track => {
+        if (!byId.has(track.id)) byId.set(track.id, track);
+      });
+    });
+    return Array.from(byId.values());
+  }, [activeSources, tracksBySource]);
+
+  return {
+    sources,
+    saveSources,
+    tracks,
+    tracksBySource,
+    isLoading: loadingIds.length > 0,
+    loadingIds,
+    errors,
+    fetchedAt,
+    refresh
+  };
+}
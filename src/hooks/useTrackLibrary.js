@@ -0,0 +1,140 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listLibraryTracks,
+  saveLibraryTrack,
+  addLocalFile,
+  loadLibraryFile,
+  recordTrackPlay,
+  evictLibraryAudio,
+  removeLibraryTrack,
+  getStorageUsage,
+  requestPersistentStorage
+} from '../services/trackLibrary';
+
+/**
+ * Hook per la libreria delle tracce persistente (vedi services/trackLibrary)
+ * 
+ * Carica la libreria all'avvio e mantiene lo stato React allineato con IndexedDB;
+ * tiene anche aggiornato lo spazio di archiviazione usato.
+ */
+export function useTrackLibrary() {
+  const [tracks, setTracks] = useState([]);
+  const [isLibraryLoaded, setIsLibraryLoaded] = useState(false);
+  const [storage, setStorage] = useState(null); // { usage, quota, persisted } in byte
+  
+  /**
+   * Aggiorna lo spazio di archiviazione usato
+   */
+  const refreshStorage = useCallback(async () => {
+    setStorage(await getStorageUsage());
+  }, []);
+  
+  /**
+   * Sostituisce (o aggiunge in testa) le tracce aggiornate nello stato
+   */
+  const mergeTracks = useCallback((updatedTracks) => {
+    const valid = updatedTracks.filter(Boolean);
+    if (valid.length === 0) return;
+    
+    setTracks(prev => {
+      const byId = new Map(valid.map(track => [track.id, track]));
+      const replaced = prev.map(track => byId.get(track.id) || track);
+      const added = valid.filter(track => !prev.some(t => t.id === track.id));
+      return [...added, ...replaced];
+    });
+  }, []);
+  
+  /**
+   * Carica la libreria all'avvio e chiede lo storage persistente
+   * (i file audio non devono sparire quando il browser libera spazio)
+   */
+  useEffect(() => {
+    let cancelled = false;
+    
+    listLibraryTracks().then(libraryTracks => {
+      if (cancelled) return;
+      setTracks(libraryTracks);
+      setIsLibraryLoaded(true);
+      console.log(`📚 Libreria caricata: ${libraryTracks.length} tracce`);
+    });
+    requestPersistentStorage().then(refreshStorage);
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshStorage]);
+  
+  /**
+   * Aggiunge dei file locali alla libreria
+   * @param {File[]} files - File audio
+   * @param {Function} [onProgress] - Chiamata dopo ogni file con { done, total, added, skipped, failed }
+   * @returns {Promise<Array<{file: File, track: Object, isNew: boolean}>>} - Le tracce aggiunte (o già presenti)
+   */
+  const addFiles = useCallback(async (files, onProgress) => {
+    const results = [];
+    let added = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (let i = 0; i < files.length; i++) {
+      const result = await addLocalFile(files[i]);
+      if (result) results.push({ ...result, file: files[i] });
+      if (!result) failed++;
+      else if (result.isNew) added++;
+      else skipped++;
+      onProgress?.({ done: i + 1, total: files.length, added, skipped, failed });
+    }
+    mergeTracks(results.map(result => result.track));
+    refreshStorage();
+    return results;
+  }, [mergeTracks, refreshStorage]);
+  
+  /**
+   * Salva i metadati di una traccia (es. risultati dell'analisi, tracce remote)
+   * @param {Object} track - Campi della traccia (id obbligatorio)
+   */
+  const updateTrack = useCallback(async (track) => {
+    const saved = await saveLibraryTrack(track);
+    mergeTracks([saved]);
+    return saved;
+  }, [mergeTracks]);
+  
+  /**
+   * Registra la riproduzione di una traccia
+   * @param {string} trackId - Identità della traccia (hash del contenuto)
+   */
+  const recordPlay = useCallback(async (trackId) => {
+    mergeTracks(await recordTrackPlay(trackId));
+  }, [mergeTracks]);
+  
+  /**
+   * Rimuove l'audio di una traccia mantenendone i metadati
+   * @param {string} id - Id della traccia in libreria
+   */
+  const evictAudio = useCallback(async (id) => {
+    mergeTracks([await evictLibraryAudio(id)]);
+    refreshStorage();
+  }, [mergeTracks, refreshStorage]);
+  
+  /**
+   * Elimina una traccia dalla libreria
+   * @param {string} id - Id della traccia in libreria
+   */
+  const removeTrack = useCallback(async (id) => {
+    await removeLibraryTrack(id);
+    setTracks(prev => prev.filter(track => track.id !== id));
+    refreshStorage();
+  }, [refreshStorage]);
+  
+  return {
+    tracks,
+    isLibraryLoaded,
+    storage,
+    refreshStorage,
+    addFiles,
+    loadFile: loadLibraryFile,
+    updateTrack,
+    recordPlay,
+    evictAudio,
+    removeTrack
+  };
+}
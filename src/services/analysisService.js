@@ -0,0 +1,111 @@
+/**
+ * Servizio di analisi delle tracce
+ * 
+ * Affida la pipeline di analisi (vedi utils/trackAnalyzer) a un Web Worker condiviso,
+ * così decodifica e riproduzione non si bloccano durante l'analisi.
+ * I canali vengono copiati dall'AudioBuffer (che resta al deck per la riproduzione)
+ * e le copie trasferite al worker senza ulteriori copie.
+ * 
+ * Le richieste vengono eseguite in ordine dal worker; ogni richiesta ha un jobId
+ * per instradare avanzamento e risultati. Se i worker non sono disponibili
+ * la pipeline gira sul main thread.
+ */
+
+import { runTrackAnalysis } from '../utils/trackAnalyzer';
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+/**
+ * Restituisce il worker di analisi, creandolo se necessario
+ * @returns {Worker|null} - Il worker, o null se non supportato
+ */
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === 'undefined') return null;
+  
+  try {
+    worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      console.error('❌ Errore nel worker di analisi:', event.message);
+      // Le analisi in corso non arriveranno: il worker viene ricreato alla prossima richiesta
+      jobs.forEach(job => job.reject(new Error(event.message || 'Worker di analisi terminato')));
+      jobs.clear();
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  } catch (error) {
+    console.warn('⚠️ Worker di analisi non disponibile, analisi sul main thread:', error);
+    return null;
+  }
+}
+
+/**
+ * Instrada i messaggi del worker alla richiesta corrispondente
+ */
+function handleMessage(event) {
+  const { type, jobId, stage, progress, result, message } = event.data;
+  const job = jobs.get(jobId);
+  if (!job) return;
+  
+  switch (type) {
+    case 'progress':
+      job.onProgress?.(stage, progress);
+      break;
+    case 'partial':
+      job.onPartial?.(stage, result);
+      break;
+    case 'done':
+      jobs.delete(jobId);
+      job.resolve(result);
+      break;
+    case 'error':
+      jobs.delete(jobId);
+      job.reject(new Error(message));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Analizza una traccia: waveform, BPM e beatgrid, tonalità, loudness e picchi
+ * @param {AudioBuffer} audioBuffer - La traccia decodificata
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - (stage, progress) con progress da 0 a 1
+ * @param {Function} [callbacks.onPartial] - (stage, result) appena una fase è completata
+ * @returns {Promise<Object>} - Risultato completo (vedi runTrackAnalysis)
+ */
+export function analyzeTrack(audioBuffer, { onProgress, onPartial } = {}) {
+  const analysisWorker = getWorker();
+  
+  if (!analysisWorker) {
+    // Fallback sul main thread: lascia prima aggiornare l'interfaccia
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          resolve(runTrackAnalysis(audioBuffer, { onProgress, onPartial }));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+    });
+  }
+  
+  const channels = [];
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel).slice());
+  }
+  
+  return new Promise((resolve, reject) => {
+    const jobId = nextJobId++;
+    jobs.set(jobId, { resolve, reject, onProgress, onPartial });
+    analysisWorker.postMessage(
+      { jobId, channels, sampleRate: audioBuffer.sampleRate },
+      channels.map(data => data.buffer)
+    );
+  });
+}
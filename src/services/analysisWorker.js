@@ -0,0 +1,31 @@
+/**
+ * Worker di analisi delle tracce
+ * 
+ * Riceve i canali di una traccia (buffer trasferiti, senza copia) ed esegue la pipeline
+ * di analisi (vedi utils/trackAnalyzer) fuori dal main thread.
+ * 
+ * Messaggi:
+ * - in:  { jobId, channels: Float32Array[], sampleRate }
+ * - out: { type: 'progress', jobId, stage, progress }
+ *        { type: 'partial', jobId, stage, result }
+ *        { type: 'done', jobId, result } | { type: 'error', jobId, message }
+ * 
+ * Questo file viene avviato da services/analysisService, non va importato direttamente.
+ */
+
+import { createBufferView, runTrackAnalysis } from '../utils/trackAnalyzer';
+
+self.onmessage = (event) => {
+  const { jobId, channels, sampleRate } = event.data;
+  
+  try {
+    const buffer = createBufferView(channels, sampleRate);
+    const result = runTrackAnalysis(buffer, {
+      onProgress: (stage, progress) => self.postMessage({ type: 'progress', jobId, stage, progress }),
+      onPartial: (stage, partial) => self.postMessage({ type: 'partial', jobId, stage, result: partial })
+    });
+    self.postMessage({ type: 'done', jobId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, message: error.message });
+  }
+};
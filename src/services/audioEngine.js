@@ -0,0 +1,167 @@
+/**
+ * Motore audio condiviso dell'applicazione
+ *
+ * Tutti i deck usano lo stesso AudioContext, quindi condividono lo stesso clock:
+ * questo permette funzioni sample-accurate tra deck (sync, partenze quantizzate).
+ *
+ * Ogni deck termina la propria catena in un channel strip che viene sommato
+ * nel master bus:
+ * channel strip -> masterGain -> limiter (brickwall) -> masterAnalyser -> destination
+ *
+ * Il masterAnalyser è anche il punto di aggancio per registrazioni future.
+ */
+
+import keyLockProcessorUrl from './keyLockProcessor.js?url';
+
+let audioContext = null;
+let masterBus = null;
+let keyLockModulePromise = null;
+
+// Volume master massimo (2 = +6dB)
+const MAX_MASTER_VOLUME = 2;
+
+/**
+ * Restituisce l'AudioContext condiviso, creandolo se necessario
+ * @returns {AudioContext}
+ */
+export function getAudioContext() {
+  if (!audioContext || audioContext.state === 'closed') {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    masterBus = null;
+    keyLockModulePromise = null;
+  }
+  return audioContext;
+}
+
+/**
+ * Riprende l'AudioContext se è sospeso (i browser lo sospendono
+ * finché l'utente non interagisce con la pagina)
+ */
+export async function resumeAudioContext() {
+  const context = getAudioContext();
+  if (context.state === 'suspended') {
+    await context.resume();
+  }
+  return context;
+}
+
+/**
+ * Restituisce il master bus, creandolo se necessario
+ * @returns {{input: GainNode, masterGain: GainNode, limiter: DynamicsCompressorNode, analyser: AnalyserNode}}
+ */
+export function getMasterBus() {
+  const context = getAudioContext();
+
+  if (!masterBus) {
+    // Nodo di somma: tutti i channel strip si collegano qui
+    const input = context.createGain();
+    input.gain.value = 1;
+
+    // Volume master
+    const masterGain = context.createGain();
+    masterGain.gain.value = 1;
+
+    // Limiter brickwall: soglia appena sotto 0dBFS, ratio massimo, attacco istantaneo
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -1;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.001;
+    limiter.release.value = 0.1;
+
+    // Analyser master per meter e visualizzazioni
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+
+    input.connect(masterGain);
+    masterGain.connect(limiter);
+    limiter.connect(analyser);
+    analyser.connect(context.destination);
+
+    masterBus = { input, masterGain, limiter, analyser };
+    console.log('🎛️ Master bus inizializzato');
+  }
+
+  return masterBus;
+}
+
+/**
+ * Crea il channel strip di un deck: gain -> crossfaderGain -> analyser -> master bus
+ * @returns {{input: GainNode, gain: GainNode, crossfaderGain: GainNode, analyser: AnalyserNode}}
+ */
+export function createChannelStrip() {
+  const context = getAudioContext();
+  const bus = getMasterBus();
+
+  // Volume del canale
+  const gain = context.createGain();
+  gain.gain.value = 1;
+
+  // Gain del crossfader
+  const crossfaderGain = context.createGain();
+  crossfaderGain.gain.value = 1;
+
+  // Analyser del canale (post-fader)
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 256;
+
+  gain.connect(crossfaderGain);
+  crossfaderGain.connect(analyser);
+  analyser.connect(bus.input);
+
+  return { input: gain, gain, crossfaderGain, analyser };
+}
+
+/**
+ * Crea il nodo del KEY LOCK (pitch shift WSOLA in AudioWorklet, vedi keyLockProcessor.js)
+ * Il modulo del worklet viene caricato una sola volta per AudioContext.
+ * node.latency è il ritardo dell'uscita in secondi (0 finché il processor non lo comunica)
+ * @returns {Promise<AudioWorkletNode|null>} - Il nodo, o null se AudioWorklet non è supportato
+ */
+export async function createKeyLockNode() {
+  const context = getAudioContext();
+  if (!context.audioWorklet) {
+    console.warn('⚠️ AudioWorklet non supportato: KEY LOCK non disponibile');
+    return null;
+  }
+
+  try {
+    if (!keyLockModulePromise) {
+      keyLockModulePromise = context.audioWorklet.addModule(keyLockProcessorUrl);
+    }
+    await keyLockModulePromise;
+
+    const node = new AudioWorkletNode(context, 'key-lock-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2]
+    });
+    node.latency = 0;
+    node.port.onmessage = ({ data }) => {
+      if (data.latency) node.latency = data.latency / context.sampleRate;
+    };
+    return node;
+  } catch (error) {
+    console.error('❌ Errore nel caricamento del KEY LOCK:', error);
+    keyLockModulePromise = null;
+    return null;
+  }
+}
+
+/**
+ * Imposta il volume master
+ * @param {number} value - Volume lineare (0 a 2)
+ */
+export function setMasterVolume(value) {
+  const bus = getMasterBus();
+  const volume = Math.max(0, Math.min(MAX_MASTER_VOLUME, value));
+  bus.masterGain.gain.setTargetAtTime(volume, audioContext.currentTime, 0.01);
+}
+
+/**
+ * Restituisce l'analyser del master bus (per meter e registrazione)
+ * @returns {AnalyserNode}
+ */
+export function getMasterAnalyser() {
+  return getMasterBus().analyser;
+}
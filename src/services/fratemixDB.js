@@ -0,0 +1,169 @@
+/**
+ * Accesso al database IndexedDB dell'applicazione (FratemixDB)
+ * 
+ * Un unico punto di apertura/upgrade per tutti gli object store,
+ * così ogni funzionalità può aggiungere il proprio store senza conflitti di versione.
+ */
+
+const DB_NAME = 'FratemixDB';
+const DB_VERSION = 7;
+
+/**
+ * Object store del database
+ */
+export const STORES = {
+  // File audio dell'ultima traccia caricata in ogni deck (chiave: deckId)
+  AUDIO_FILES: 'audioFiles',
+  // Hot cue per traccia (chiave: trackId)
+  HOT_CUES: 'hotCues',
+  // Analisi e correzioni manuali per traccia: BPM, beatgrid, tonalità, waveform... (chiave: trackId)
+  TRACK_ANALYSIS: 'trackAnalysis',
+  // Libreria: metadati delle tracce (chiave: id della traccia in libreria)
+  LIBRARY_TRACKS: 'libraryTracks',
+  // Libreria: file audio delle tracce locali, separati dai metadati per poterli rimuovere (chiave: id)
+  LIBRARY_AUDIO: 'libraryAudio',
+  // Playlist e crate della libreria (chiave: id del nodo)
+  PLAYLISTS: 'playlists',
+  // Ultimo elenco delle tracce di ogni sorgente remota (chiave: sourceId)
+  REMOTE_LISTINGS: 'remoteListings',
+  // Cache offline delle tracce remote: dimensione e ultimo uso, per l'LRU (chiave: id della traccia)
+  REMOTE_CACHE: 'remoteCache',
+  // Cache offline delle tracce remote: i file scaricati (chiave: id della traccia)
+  REMOTE_CACHE_AUDIO: 'remoteCacheAudio'
+};
+
+// Definizione degli store: nome -> opzioni di createObjectStore
+const STORE_DEFINITIONS = {
+  [STORES.AUDIO_FILES]: { keyPath: 'deckId' },
+  [STORES.HOT_CUES]: { keyPath: 'trackId' },
+  [STORES.TRACK_ANALYSIS]: { keyPath: 'trackId' },
+  [STORES.LIBRARY_TRACKS]: { keyPath: 'id' },
+  [STORES.LIBRARY_AUDIO]: { keyPath: 'id' },
+  [STORES.PLAYLISTS]: { keyPath: 'id' },
+  [STORES.REMOTE_LISTINGS]: { keyPath: 'sourceId' },
+  [STORES.REMOTE_CACHE]: { keyPath: 'id' },
+  [STORES.REMOTE_CACHE_AUDIO]: { keyPath: 'id' }
+};
+
+// Indici degli store: nome dello store -> campi indicizzati (il nome dell'indice è il campo)
+const STORE_INDEXES = {
+  [STORES.LIBRARY_TRACKS]: ['trackId']
+};
+
+let dbPromise = null;
+
+/**
+ * Apre (o crea/aggiorna) il database
+ * La connessione viene riutilizzata tra le chiamate
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+    
+    request.onsuccess = () => {
+      const db = request.result;
+      // Se un'altra scheda aggiorna il database, chiudi questa connessione
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      Object.entries(STORE_DEFINITIONS).forEach(([storeName, options]) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, options);
+          (STORE_INDEXES[storeName] || []).forEach(field => store.createIndex(field, field));
+        }
+      });
+    };
+  });
+  
+  return dbPromise;
+}
+
+/**
+ * Converte una IDBRequest in una Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Esegue un'operazione su uno store e attende la fine della transazione
+ * @param {string} storeName - Nome dello store
+ * @param {IDBTransactionMode} mode - 'readonly' o 'readwrite'
+ * @param {Function} operation - Riceve lo store e restituisce una IDBRequest
+ */
+async function runTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction([storeName], mode);
+  const store = transaction.objectStore(storeName);
+  const result = promisifyRequest(operation(store));
+  
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  
+  return result;
+}
+
+/**
+ * Legge un record per chiave
+ * @returns {Promise<*>} Il record o undefined se non esiste
+ */
+export function getRecord(storeName, key) {
+  return runTransaction(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Legge tutti i record di uno store
+ * @returns {Promise<Array>}
+ */
+export function getAllRecords(storeName) {
+  return runTransaction(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Legge i record con un certo valore in un campo indicizzato
+ * @returns {Promise<Array>}
+ */
+export function getRecordsByIndex(storeName, indexName, value) {
+  return runTransaction(storeName, 'readonly', store => store.index(indexName).getAll(value));
+}
+
+/**
+ * Salva (inserisce o sostituisce) un record
+ */
+export function putRecord(storeName, value) {
+  return runTransaction(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Elimina un record per chiave
+ */
+export function deleteRecord(storeName, key) {
+  return runTransaction(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Elimina tutti i record di uno store
+ */
+export function clearStore(storeName) {
+  return runTransaction(storeName, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,110 @@
+/**
+ * Provider "indice HTTP" per le sorgenti remote (vedi remoteSources)
+ *
+ * Legge un manifest JSON da un URL qualsiasi (il server deve permettere le richieste CORS):
+ * un array di tracce, oppure un oggetto { tracks: [...] }. Ogni traccia è una stringa (URL)
+ * o un oggetto { url, name?, size?, type?, modifiedTime? }.
+ * Gli URL relativi sono risolti rispetto al manifest, quindi basta servire una cartella
+ * con i file audio e un index.json (anche da un server locale).
+ *
+ * Configurazione della sorgente: { url }
+ */
+
+import { isAudioFile } from '../utils/folderScan';
+import { getFileName } from '../utils/playlistFiles';
+
+/**
+ * Converte una voce del manifest nel formato comune dei provider
+ */
+function toRemoteFile(entry, manifestUrl) {
+  const item = typeof entry === 'string' ? { url: entry } : entry;
+  if (!item?.url) return null;
+
+  const url = new URL(item.url, manifestUrl).href;
+  return {
+    fileId: url,
+    name: item.name || getFileName(url),
+    size: parseInt(item.size) || 0,
+    type: item.type || '',
+    modifiedTime: item.modifiedTime || null
+  };
+}
+
+/**
+ * Legge il manifest e restituisce i file audio
+ * @param {Object} config - Configurazione della sorgente
+ * @returns {Promise<Array>} File audio nel formato comune dei provider
+ * @throws {Error} se il manifest non è raggiungibile o non è valido
+ */
+async function listFiles(config) {
+  console.log(`🔍 Lettura indice ${config.url}...`);
+
+  const response = await fetch(config.url, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Indice HTTP: errore ${response.status}`);
+  }
+
+  const manifest = await response.json();
+  const entries = Array.isArray(manifest) ? manifest : manifest?.tracks;
+  if (!Array.isArray(entries)) {
+    throw new Error('Indice HTTP: il manifest deve essere un array o un oggetto { tracks: [...] }');
+  }
+
+  const audioFiles = entries
+    .map(entry => toRemoteFile(entry, response.url || config.url))
+    .filter(file => file && isAudioFile({ name: file.name, type: file.type }));
+
+  console.log(`✅ Trovati ${audioFiles.length} file audio`);
+  return audioFiles;
+}
+
+/**
+ * Legge i metadati aggiornati di un file (richiesta HEAD)
+ * @param {Object} config - Configurazione della sorgente
+ * @param {string} fileId - URL del file
+ * @returns {Promise<Object|null>}
+ */
+async function fetchMetadata(config, fileId) {
+  try {
+    const response = await fetch(fileId, { method: 'HEAD' });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return {
+      fileId,
+      name: getFileName(fileId),
+      size: parseInt(response.headers.get('Content-Length')) || 0,
+      type: response.headers.get('Content-Type') || '',
+      modifiedTime: response.headers.get('Last-Modified')
+    };
+  } catch (error) {
+    console.error('❌ Errore nella lettura dei metadati del file:', error);
+    return null;
+  }
+}
+
+/**
+ * Richiesta per il download di un file (l'id del file è il suo URL)
+ */
+function getDownloadRequest(config, fileId) {
+  return { url: fileId, headers: {} };
+}
+
+/**
+ * URL da esportare nelle playlist: l'indice non ha credenziali, è lo stesso del download
+ */
+function getShareUrl(config, fileId) {
+  return fileId;
+}
+
+export const httpIndexProvider = {
+  type: 'http-index',
+  idPrefix: 'http',
+  label: 'Indice HTTP (JSON)',
+  badge: '🌐 HTTP',
+  fields: [
+    { name: 'url', label: 'URL del manifest', type: 'url', required: true, placeholder: 'https://esempio.it/musica/index.json' }
+  ],
+  listFiles,
+  fetchMetadata,
+  getDownloadRequest,
+  getShareUrl
+};
@@ -0,0 +1,200 @@
+/**
+ * AudioWorklet del KEY LOCK (master tempo) e del KEY SHIFT
+ *
+ * Il deck cambia il tempo con il playbackRate del source, che sposta anche l'intonazione.
+ * Questo processor riporta l'intonazione all'originale (e/o la sposta del key shift
+ * del deck) con un pitch shift WSOLA
+ * (Waveform Similarity Overlap-Add):
+ * - l'ingresso viene scritto in un buffer circolare
+ * - l'uscita è una somma di grani con finestra di Hann sovrapposti al 50%
+ * - ogni grano legge l'ingresso ricampionato del fattore pitchRatio
+ *   (es. 1 / playbackRate per il key lock), quindi cambia l'intonazione ma non la durata
+ * - l'inizio di ogni grano viene cercato (entro ±SEARCH_RANGE campioni) dove la forma d'onda
+ *   è più simile alla continuazione naturale del grano precedente, per evitare cancellazioni
+ *   e "phasing" nelle sovrapposizioni
+ *
+ * L'uscita è sempre ritardata di una latenza fissa (this.latency campioni, circa 80 ms),
+ * comunicata al thread principale con un messaggio { latency } appena il processor è creato:
+ * il deck mette il nodo nella catena solo con KEY LOCK o KEY SHIFT attivi e ne compensa
+ * la latenza nella posizione di riproduzione (vedi hooks/useDeckAudio).
+ *
+ * Il processor lavora solo sul flusso audio: loop, seek e cambi di tempo (anche dal sync)
+ * restano gestiti dal source, basta aggiornare pitchRatio.
+ *
+ * Questo file viene caricato con audioWorklet.addModule (vedi services/audioEngine),
+ * non va importato come modulo dell'applicazione.
+ */
+
+// Dimensione del grano (campioni) e passo di sovrapposizione
+const GRAIN_SIZE = 2048;
+const HOP_SIZE = GRAIN_SIZE / 2;
+// Spostamento massimo dell'inizio del grano nella ricerca di similarità (campioni)
+const SEARCH_RANGE = 256;
+const SEARCH_STEP = 2;
+// Lunghezza e passo del confronto tra forme d'onda
+const CORRELATION_LENGTH = 512;
+const CORRELATION_STRIDE = 4;
+// Rapporto di pitch massimo supportato: key shift di ±12 semitoni (×2)
+// più la compensazione del key lock (pitch ±8% e correzione di fase)
+const MAX_PITCH_RATIO = 2.3;
+// Buffer circolari (potenza di 2, maggiore di latenza + grano più lungo)
+const BUFFER_SIZE = 16384;
+const BUFFER_MASK = BUFFER_SIZE - 1;
+const CHANNELS = 2;
+
+class KeyLockProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'pitchRatio',
+      defaultValue: 1,
+      minValue: 1 / MAX_PITCH_RATIO,
+      maxValue: MAX_PITCH_RATIO,
+      automationRate: 'k-rate'
+    }];
+  }
+
+  constructor() {
+    super();
+
+    // Finestra di Hann periodica: con sovrapposizione al 50% la somma è esattamente 1
+    this.window = new Float32Array(GRAIN_SIZE);
+    for (let i = 0; i < GRAIN_SIZE; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / GRAIN_SIZE);
+    }
+
+    // Latenza: il grano più lungo (con la ricerca) deve trovare già scritto tutto l'ingresso
+    this.latency = Math.ceil(GRAIN_SIZE / 2 + GRAIN_SIZE * MAX_PITCH_RATIO / 2 + SEARCH_RANGE) + 2;
+    this.port.postMessage({ latency: this.latency });
+
+    this.inputBuffers = Array.from({ length: CHANNELS }, () => new Float32Array(BUFFER_SIZE));
+    this.outputBuffers = Array.from({ length: CHANNELS }, () => new Float32Array(BUFFER_SIZE));
+
+    // Contatori assoluti (in campioni) di ingresso scritto e uscita letta
+    this.written = 0;
+    this.read = 0;
+    // Posizione (in uscita) del prossimo grano
+    this.nextGrain = 0;
+    // Lettura del grano precedente: inizio (in ingresso) e rapporto usato
+    this.lastReadStart = null;
+    this.lastRatio = 1;
+  }
+
+  /**
+   * Legge un campione del buffer circolare con interpolazione lineare
+   */
+  sample(buffer, position) {
+    const index = Math.floor(position);
+    const fraction = position - index;
+    return buffer[index & BUFFER_MASK] * (1 - fraction) + buffer[(index + 1) & BUFFER_MASK] * fraction;
+  }
+
+  /**
+   * Cerca l'inizio del grano più simile alla continuazione naturale del grano precedente
+   * @param {number} nominal - Inizio nominale del grano (in ingresso)
+   * @param {number} natural - Continuazione naturale del grano precedente (in ingresso)
+   * @param {number} ratio - Rapporto di pitch
+   * @returns {number} - Spostamento rispetto all'inizio nominale
+   */
+  findBestDelta(nominal, natural, ratio) {
+    const buffer = this.inputBuffers[0];
+    const step = CORRELATION_STRIDE * ratio;
+    const points = CORRELATION_LENGTH / CORRELATION_STRIDE;
+
+    let bestDelta = 0;
+    let bestScore = -Infinity;
+    for (let delta = -SEARCH_RANGE; delta <= SEARCH_RANGE; delta += SEARCH_STEP) {
+      const candidate = nominal + delta;
+      let correlation = 0;
+      let energy = 1e-9;
+      for (let j = 0; j < points; j++) {
+        const value = buffer[Math.round(candidate + j * step) & BUFFER_MASK];
+        correlation += value * buffer[Math.round(natural + j * step) & BUFFER_MASK];
+        energy += value * value;
+      }
+      const score = correlation / Math.sqrt(energy);
+      if (score > bestScore) {
+        bestScore = score;
+        bestDelta = delta;
+      }
+    }
+    return bestDelta;
+  }
+
+  /**
+   * Aggiunge all'uscita il grano che inizia in this.nextGrain
+   */
+  addGrain(ratio) {
+    const grainStart = this.nextGrain;
+
+    // Il centro del grano in uscita corrisponde al centro della lettura in ingresso,
+    // ritardato della latenza: il tempo resta invariato, cambia solo l'intonazione
+    const nominal = grainStart + GRAIN_SIZE / 2 - this.latency - GRAIN_SIZE * ratio / 2;
+
+    let delta = 0;
+    if (this.lastReadStart !== null) {
+      const natural = this.lastReadStart + HOP_SIZE * this.lastRatio;
+      const isUnity = Math.abs(ratio - 1) < 1e-6 && Math.abs(this.lastRatio - 1) < 1e-6;
+      const naturalDelta = natural - nominal;
+
+      // A rapporto unitario la continuazione naturale è già allineata: niente ricerca
+      delta = isUnity && Math.abs(naturalDelta) <= SEARCH_RANGE
+        ? naturalDelta
+        : this.findBestDelta(nominal, natural, ratio);
+    }
+
+    const readStart = nominal + delta;
+    for (let channel = 0; channel < CHANNELS; channel++) {
+      const input = this.inputBuffers[channel];
+      const output = this.outputBuffers[channel];
+      for (let i = 0; i < GRAIN_SIZE; i++) {
+        output[(grainStart + i) & BUFFER_MASK] += this.sample(input, readStart + i * ratio) * this.window[i];
+      }
+    }
+
+    this.lastReadStart = readStart;
+    this.lastRatio = ratio;
+    this.nextGrain += HOP_SIZE;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const frames = output[0].length;
+    const ratio = parameters.pitchRatio[0];
+
+    // 1. Scrivi l'ingresso stereo (un ingresso mono va su entrambi i canali, silenzio se non c'è source)
+    for (let channel = 0; channel < CHANNELS; channel++) {
+      const source = input.length > 0 ? (input[channel] || input[0]) : null;
+      const buffer = this.inputBuffers[channel];
+      for (let i = 0; i < frames; i++) {
+        buffer[(this.written + i) & BUFFER_MASK] = source ? source[i] : 0;
+      }
+    }
+    this.written += frames;
+
+    // 2. Aggiungi i grani che iniziano entro la fine di questo blocco
+    while (this.nextGrain < this.read + frames) {
+      this.addGrain(ratio);
+    }
+
+    // 3. Leggi l'uscita e libera il buffer per i grani successivi
+    for (let channel = 0; channel < output.length; channel++) {
+      const buffer = this.outputBuffers[Math.min(channel, CHANNELS - 1)];
+      const target = output[channel];
+      for (let i = 0; i < frames; i++) {
+        target[i] = buffer[(this.read + i) & BUFFER_MASK];
+      }
+    }
+    for (let channel = 0; channel < CHANNELS; channel++) {
+      const buffer = this.outputBuffers[channel];
+      for (let i = 0; i < frames; i++) {
+        buffer[(this.read + i) & BUFFER_MASK] = 0;
+      }
+    }
+    this.read += frames;
+
+    return true;
+  }
+}
+
+registerProcessor('key-lock-processor', KeyLockProcessor);
@@ -0,0 +1,286 @@
+/**
+ * Import ed export della libreria verso altri software
+ *
+ * Formati supportati:
+ * - M3U8 e PLS: solo elenchi di tracce (vedi utils/playlistFiles)
+ * - Traktor NML e Rekordbox XML: collezione con BPM, tonalità, beatgrid, cue e
+ *   albero delle playlist (vedi utils/djCollectionFiles)
+ *
+ * Tutti i file importati vengono portati al modello { tracks, playlists } di djCollectionFiles.
+ * Le tracce importate vengono associate a quelle in libreria dal nome del file
+ * (e dalla dimensione, quando il file la riporta): i percorsi originali non sono leggibili dal browser.
+ *
+ * I dati di preparazione importati (beatgrid, cue point, hot cue) vengono salvati come
+ * correzioni della traccia (vedi trackAnalysisStore) e come hot cue (vedi hooks/useHotCues).
+ * Le tracce remote non ancora scaricate non hanno un trackId: la preparazione resta
+ * in sospeso nel record della libreria (importedPrep) e viene salvata al primo caricamento.
+ */
+
+import { parseM3U, parsePLS, serializeM3U, serializePLS, getFileName } from '../utils/playlistFiles';
+import { parseTraktorNML, serializeTraktorNML, parseRekordboxXML, serializeRekordboxXML } from '../utils/djCollectionFiles';
+import { getTrackTitle, getTrackArtist } from '../utils/trackFilters';
+import { loadTrackAnalysis, saveTrackCorrections } from './trackAnalysisStore';
+import { findTrackSource, getRemoteTrackShareUrl } from './remoteSources';
+import { STORES, getRecord, putRecord } from './fratemixDB';
+import { PLAYLIST_TYPES } from './playlistLibrary';
+import { HOT_CUE_COUNT, HOT_CUE_COLORS } from '../hooks/useHotCues';
+
+export const EXCHANGE_FORMATS = {
+  M3U: { id: 'm3u', label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  PLS: { id: 'pls', label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  NML: { id: 'nml', label: 'Traktor NML', extension: 'nml', mimeType: 'application/xml' },
+  REKORDBOX: { id: 'rekordbox', label: 'Rekordbox XML', extension: 'xml', mimeType: 'application/xml' }
+};
+
+// Estensioni accettate dall'import (attributo accept dell'input file)
+export const IMPORT_ACCEPT = '.m3u,.m3u8,.pls,.nml,.xml';
+
+/**
+ * Nome di un file senza estensione
+ */
+function getBaseName(fileName) {
+  return fileName.replace(/\.[^.]+$/, '') || fileName;
+}
+
+/**
+ * Riconosce il formato di un file da importare
+ * @param {string} fileName - Nome del file
+ * @param {string} text - Contenuto del file
+ * @returns {Object|null} - Uno degli EXCHANGE_FORMATS, null se non supportato
+ */
+export function detectExchangeFormat(fileName, text) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'm3u' || extension === 'm3u8') return EXCHANGE_FORMATS.M3U;
+  if (extension === 'pls') return EXCHANGE_FORMATS.PLS;
+  if (extension === 'nml' || /<NML[\s>]/.test(text)) return EXCHANGE_FORMATS.NML;
+  if (/<DJ_PLAYLISTS[\s>]/.test(text)) return EXCHANGE_FORMATS.REKORDBOX;
+  return null;
+}
+
+/**
+ * Legge un file da importare
+ * Le playlist M3U/PLS diventano una collezione con una sola playlist, chiamata come il file.
+ * @param {string} fileName - Nome del file
+ * @param {string} text - Contenuto del file
+ * @returns {{format: Object, tracks: Array<Object>, playlists: Array<Object>}}
+ * @throws {Error} se il formato non è supportato o il file non è valido
+ */
+export function parseExchangeFile(fileName, text) {
+  const format = detectExchangeFormat(fileName, text);
+  if (!format) throw new Error(`Formato di "${fileName}" non supportato`);
+
+  if (format === EXCHANGE_FORMATS.NML) return { format, ...parseTraktorNML(text) };
+  if (format === EXCHANGE_FORMATS.REKORDBOX) return { format, ...parseRekordboxXML(text) };
+
+  const entries = format === EXCHANGE_FORMATS.M3U ? parseM3U(text) : parsePLS(text);
+  const tracks = new Map();
+  entries.forEach(entry => {
+    if (tracks.has(entry.path)) return;
+    tracks.set(entry.path, {
+      ref: entry.path,
+      fileName: getFileName(entry.path),
+      size: null,
+      sizeTolerance: 0,
+      title: entry.title,
+      artist: null,
+      duration: entry.duration,
+      bpm: null,
+      key: null,
+      beatgrid: null,
+      cuePoint: null,
+      hotCues: []
+    });
+  });
+
+  return {
+    format,
+    tracks: Array.from(tracks.values()),
+    playlists: [{ type: 'playlist', name: getBaseName(fileName), refs: entries.map(entry => entry.path) }]
+  };
+}
+
+/**
+ * Associa le tracce importate a quelle della libreria
+ * A parità di nome vince la traccia con la stessa dimensione; se il file importato
+ * riporta una dimensione diversa da quella di tutte le tracce con quel nome, la traccia non viene associata.
+ * @param {Array<Object>} importedTracks - Tracce lette con parseExchangeFile
+ * @param {Array<Object>} libraryTracks - Tracce della libreria (locali e remote)
+ * @returns {Map<string, Object>} - ref della traccia importata → traccia della libreria
+ */
+export function matchImportedTracks(importedTracks, libraryTracks) {
+  const byName = new Map();
+  libraryTracks.forEach(track => {
+    const name = (track.name || '').toLowerCase();
+    byName.set(name, [...(byName.get(name) || []), track]);
+  });
+
+  const matches = new Map();
+  importedTracks.forEach(imported => {
+    const candidates = byName.get(imported.fileName.toLowerCase()) || [];
+    const match = imported.size
+      ? candidates.find(track => track.size && Math.abs(track.size - imported.size) <= imported.sizeTolerance)
+        || candidates.find(track => !track.size)
+      : candidates[0];
+    if (match) matches.set(imported.ref, match);
+  });
+  return matches;
+}
+
+/**
+ * Dati di preparazione di una traccia importata
+ * @returns {{corrections: Object, hotCues: Array<Object>}|null} - null se il file non ne riporta
+ */
+export function getImportedPrep(imported) {
+  const corrections = {};
+  if (imported.beatgrid) {
+    corrections.bpm = imported.beatgrid.bpm;
+    corrections.beatgrid = imported.beatgrid;
+  } else if (imported.bpm) {
+    corrections.bpm = imported.bpm;
+  }
+  if (imported.cuePoint !== null && imported.cuePoint !== undefined) {
+    corrections.cuePoint = imported.cuePoint;
+  }
+
+  const hotCues = imported.hotCues.filter(cue => cue.index < HOT_CUE_COUNT);
+  if (Object.keys(corrections).length === 0 && hotCues.length === 0) return null;
+  return { corrections, hotCues };
+}
+
+/**
+ * Salva i dati di preparazione importati per una traccia
+ * Gli hot cue importati sostituiscono quelli negli stessi slot, gli altri restano.
+ * @param {string} trackId - Identità della traccia (hash del contenuto)
+ * @param {{corrections: Object, hotCues: Array<Object>}} prep - Vedi getImportedPrep
+ */
+export async function saveImportedPrep(trackId, prep) {
+  if (!trackId || !prep) return;
+
+  if (Object.keys(prep.corrections).length > 0) {
+    await saveTrackCorrections(trackId, prep.corrections);
+  }
+  if (prep.hotCues.length === 0) return;
+
+  try {
+    const existing = await getRecord(STORES.HOT_CUES, trackId);
+    const cues = Array.from({ length: HOT_CUE_COUNT }, (_, index) => existing?.cues?.[index] || null);
+    prep.hotCues.forEach(cue => {
+      cues[cue.index] = {
+        time: cue.time,
+        name: cue.name || `Cue ${cue.index + 1}`,
+        color: cue.color || HOT_CUE_COLORS[cue.index % HOT_CUE_COLORS.length]
+      };
+    });
+    await putRecord(STORES.HOT_CUES, { trackId, cues, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio degli hot cue importati:', error);
+  }
+}
+
+/**
+ * Traccia della libreria nel modello di export, con la preparazione salvata
+ * (le correzioni prevalgono sull'analisi, come nei deck)
+ */
+async function toExchangeTrack(track) {
+  const analysis = await loadTrackAnalysis(track.trackId);
+  const corrections = { ...analysis?.corrections, ...track.importedPrep?.corrections };
+  const hotCueRecord = track.trackId ? await getRecord(STORES.HOT_CUES, track.trackId).catch(() => null) : null;
+  const hotCues = hotCueRecord?.cues
+    ? hotCueRecord.cues
+      .map((cue, index) => cue && { index, time: cue.time, name: cue.name, color: cue.color })
+      .filter(Boolean)
+    : track.importedPrep?.hotCues || [];
+
+  return {
+    ref: track.id,
+    fileName: track.name,
+    size: track.size || null,
+    title: getTrackTitle(track),
+    artist: getTrackArtist(track) || null,
+    duration: track.duration || null,
+    bpm: corrections.bpm ?? track.bpm ?? null,
+    key: track.key || null,
+    beatgrid: corrections.beatgrid ?? analysis?.beatgrid ?? null,
+    cuePoint: corrections.cuePoint ?? null,
+    hotCues
+  };
+}
+
+/**
+ * Albero delle playlist nel modello di export
+ * Le crate diventano cartelle (le loro tracce una playlist con lo stesso nome),
+ * le smart playlist vengono esportate con le tracce che soddisfano le regole.
+ * @param {Array<Object>} nodes - Tutti i nodi (vedi playlistLibrary)
+ * @param {Map<string, Array<Object>>} smartTracks - Tracce di ogni smart playlist
+ * @returns {Array<Object>}
+ */
+export function buildExchangePlaylists(nodes, smartTracks) {
+  const build = (parentId) => nodes
+    .filter(node => node.parentId === parentId)
+    .sort((a, b) => a.position - b.position || a.createdAt - b.createdAt)
+    .map(node => {
+      if (node.type === PLAYLIST_TYPES.CRATE) {
+        const children = build(node.id);
+        if (node.trackIds.length > 0) {
+          children.unshift({ type: 'playlist', name: node.name, refs: node.trackIds });
+        }
+        return { type: 'folder', name: node.name, children };
+      }
+      const refs = node.type === PLAYLIST_TYPES.SMART
+        ? (smartTracks.get(node.id) || []).map(track => track.id)
+        : node.trackIds;
+      return { type: 'playlist', name: node.name, refs };
+    });
+  return build(null);
+}
+
+/**
+ * Crea il file di export
+ * - M3U8 / PLS: le tracce passate, nell'ordine (le tracce remote con il loro URL senza
+ *   credenziali, se la sorgente è tra quelle passate e ne ha uno, altrimenti con il nome del file)
+ * - NML / Rekordbox: la collezione con i dati di preparazione e l'albero delle playlist
+ * @param {Object} format - Uno degli EXCHANGE_FORMATS
+ * @param {{name: string, tracks: Array<Object>, playlists?: Array<Object>, sources?: Array<Object>}} content - Contenuto da esportare
+ * @returns {Promise<{fileName: string, text: string}>}
+ */
+export async function exportLibrary(format, { name, tracks, playlists = [], sources = [] }) {
+  const fileName = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${format.extension}`;
+
+  if (format === EXCHANGE_FORMATS.M3U || format === EXCHANGE_FORMATS.PLS) {
+    const entries = tracks.map(track => {
+      const source = track.isRemote ? findTrackSource(sources, track) : null;
+      return {
+        path: (source && getRemoteTrackShareUrl(source, track)) || track.name,
+        title: [getTrackArtist(track), getTrackTitle(track)].filter(Boolean).join(' - '),
+        duration: track.duration
+      };
+    });
+    const text = format === EXCHANGE_FORMATS.M3U ? serializeM3U(entries) : serializePLS(entries);
+    return { fileName, text };
+  }
+
+  const exchangeTracks = [];
+  for (const track of tracks) {
+    exchangeTracks.push(await toExchangeTrack(track));
+  }
+  const collection = { tracks: exchangeTracks, playlists };
+  const text = format === EXCHANGE_FORMATS.NML ? serializeTraktorNML(collection) : serializeRekordboxXML(collection);
+  return { fileName, text };
+}
+
+/**
+ * Fa scaricare un file di testo al browser
+ * @param {string} fileName - Nome del file
+ * @param {string} text - Contenuto
+ * @param {string} mimeType - Tipo MIME
+ */
+export function downloadTextFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,169 @@
+/**
+ * Playlist e crate della libreria (IndexedDB, store playlists)
+ *
+ * Ogni nodo dell'albero è un record:
+ * { id, name, type: 'playlist' | 'crate' | 'smart', parentId, position, trackIds, createdAt }
+ * - le crate sono cartelle: contengono playlist e altre crate (parentId),
+ *   e possono contenere a loro volta delle tracce
+ * - le playlist contengono tracce nell'ordine scelto dall'utente
+ * - le smart playlist hanno delle regole (campo rules, vedi utils/smartPlaylist)
+ *   al posto delle tracce, e vengono calcolate sulla libreria
+ * - position ordina i nodi con lo stesso parentId
+ *
+ * trackIds sono gli id delle tracce in libreria (vedi trackLibrary), quindi una playlist
+ * può contenere sia file locali sia tracce remote; ogni traccia compare una sola volta per nodo.
+ */
+
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord } from './fratemixDB';
+
+export const PLAYLIST_TYPES = {
+  PLAYLIST: 'playlist',
+  CRATE: 'crate',
+  SMART: 'smart'
+};
+
+/**
+ * Genera l'id di un nuovo nodo
+ */
+function createPlaylistId() {
+  return `playlist_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Valori di default di un nodo
+ */
+function createPlaylistNode(fields) {
+  return {
+    id: createPlaylistId(),
+    name: '',
+    type: PLAYLIST_TYPES.PLAYLIST,
+    parentId: null,
+    position: 0,
+    trackIds: [],
+    createdAt: Date.now(),
+    ...fields
+  };
+}
+
+/**
+ * Restituisce gli id di un nodo e di tutti i suoi discendenti
+ * @param {Array<Object>} playlists - Tutti i nodi
+ * @param {string} id - Nodo di partenza
+ * @returns {string[]}
+ */
+export function getDescendantIds(playlists, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    playlists.forEach(node => {
+      if (node.parentId === ids[i]) ids.push(node.id);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Legge tutti i nodi (playlist e crate)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPlaylists() {
+  try {
+    return await getAllRecords(STORES.PLAYLISTS);
+  } catch (error) {
+    console.error('❌ Errore nella lettura delle playlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Salva un nodo, unito a quello già presente (senza id ne crea uno nuovo)
+ * @param {Object} fields - Campi del nodo
+ * @returns {Promise<Object|null>} - Il nodo salvato
+ */
+export async function savePlaylist(fields) {
+  try {
+    const existing = fields.id ? await getRecord(STORES.PLAYLISTS, fields.id) : null;
+    const saved = createPlaylistNode({ ...existing, ...fields });
+    await putRecord(STORES.PLAYLISTS, saved);
+    return saved;
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio della playlist:', error);
+    return null;
+  }
+}
+
+/**
+ * Elimina un nodo e, se è una crate, tutto il suo contenuto
+ * @param {string} id - Id del nodo
+ * @returns {Promise<string[]>} - Gli id dei nodi eliminati
+ */
+export async function deletePlaylist(id) {
+  try {
+    const ids = getDescendantIds(await listPlaylists(), id);
+    for (const nodeId of ids) {
+      await deleteRecord(STORES.PLAYLISTS, nodeId);
+    }
+    return ids;
+  } catch (error) {
+    console.error('❌ Errore nell\'eliminazione della playlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Duplica un nodo (con il suo contenuto, se è una crate) accanto all'originale
+ * @param {string} id - Id del nodo
+ * @returns {Promise<Array<Object>>} - I nodi creati (il primo è la copia del nodo)
+ */
+export async function duplicatePlaylist(id) {
+  try {
+    const playlists = await listPlaylists();
+    const original = playlists.find(node => node.id === id);
+    if (!original) return [];
+
+    // Nuovo id per ogni nodo copiato, per ricollegare i figli alla copia del genitore
+    const ids = getDescendantIds(playlists, id);
+    const newIds = new Map(ids.map(nodeId => [nodeId, createPlaylistId()]));
+
+    const copies = [];
+    for (const nodeId of ids) {
+      const node = playlists.find(n => n.id === nodeId);
+      const isRoot = nodeId === id;
+      const copy = createPlaylistNode({
+        ...node,
+        id: newIds.get(nodeId),
+        name: isRoot ? `${node.name} (copia)` : node.name,
+        parentId: isRoot ? node.parentId : newIds.get(node.parentId),
+        position: isRoot ? node.position + 0.5 : node.position,
+        trackIds: [...node.trackIds],
+        createdAt: Date.now()
+      });
+      await putRecord(STORES.PLAYLISTS, copy);
+      copies.push(copy);
+    }
+    return copies;
+  } catch (error) {
+    console.error('❌ Errore nella duplicazione della playlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Toglie una traccia da tutti i nodi (es. quando viene eliminata dalla libreria)
+ * @param {string} trackId - Id della traccia in libreria
+ * @returns {Promise<Array<Object>>} - I nodi modificati
+ */
+export async function removeTrackFromPlaylists(trackId) {
+  try {
+    const updated = [];
+    for (const node of await listPlaylists()) {
+      if (!node.trackIds.includes(trackId)) continue;
+      const saved = { ...node, trackIds: node.trackIds.filter(id => id !== trackId) };
+      await putRecord(STORES.PLAYLISTS, saved);
+      updated.push(saved);
+    }
+    return updated;
+  } catch (error) {
+    console.error('❌ Errore nell\'aggiornamento delle playlist:', error);
+    return [];
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Cache offline delle tracce remote (IndexedDB, store remoteCache e remoteCacheAudio)
+ *
+ * Come per la libreria (vedi trackLibrary), i metadati e i file sono in store separati:
+ * - remoteCache: { id, name, size, cachedAt, lastUsedAt }, letto all'avvio per sapere
+ *   quali tracce sono disponibili offline senza caricare i file
+ * - remoteCacheAudio: { id, file }, il file scaricato
+ *
+ * La cache ha una dimensione massima: quando viene superata si eliminano le tracce
+ * usate meno di recente (LRU, in base a lastUsedAt).
+ */
+
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from './fratemixDB';
+
+// Limite di default della cache (byte)
+export const DEFAULT_CACHE_LIMIT = 2 * 1024 * 1024 * 1024;
+
+// Limiti proposti nel pannello dei download (byte)
+export const CACHE_LIMIT_OPTIONS = [512, 1024, 2048, 5120, 10240].map(mb => mb * 1024 * 1024);
+
+/**
+ * Elenca le tracce nella cache (solo i metadati)
+ * @returns {Promise<Array<{id: string, name: string, size: number, cachedAt: number, lastUsedAt: number}>>}
+ */
+export async function listCachedTracks() {
+  try {
+    return await getAllRecords(STORES.REMOTE_CACHE);
+  } catch (error) {
+    console.error('❌ Errore nella lettura della cache offline:', error);
+    return [];
+  }
+}
+
+/**
+ * Legge il file di una traccia dalla cache e la segna come usata ora
+ * @param {string} id - Id della traccia remota
+ * @returns {Promise<File|null>} - null se la traccia non è nella cache
+ */
+export async function loadCachedTrack(id) {
+  try {
+    const [entry, audio] = await Promise.all([
+      getRecord(STORES.REMOTE_CACHE, id),
+      getRecord(STORES.REMOTE_CACHE_AUDIO, id)
+    ]);
+    if (!entry || !audio?.file) return null;
+
+    await putRecord(STORES.REMOTE_CACHE, { ...entry, lastUsedAt: Date.now() });
+    console.log(`⚡ Traccia caricata dalla cache offline: ${entry.name}`);
+    return audio.file;
+  } catch (error) {
+    console.error('❌ Errore nella lettura dalla cache offline:', error);
+    return null;
+  }
+}
+
+/**
+ * Elimina una traccia dalla cache
+ * @param {string} id - Id della traccia remota
+ * @returns {Promise<boolean>} - true se la traccia è stata eliminata
+ */
+export async function removeCachedTrack(id) {
+  try {
+    await deleteRecord(STORES.REMOTE_CACHE_AUDIO, id);
+    await deleteRecord(STORES.REMOTE_CACHE, id);
+    return true;
+  } catch (error) {
+    console.error('❌ Errore nell\'eliminazione dalla cache offline:', error);
+    return false;
+  }
+}
+
+/**
+ * Svuota la cache
+ * @returns {Promise<boolean>} - true se la cache è stata svuotata
+ */
+export async function clearRemoteCache() {
+  try {
+    await clearStore(STORES.REMOTE_CACHE_AUDIO);
+    await clearStore(STORES.REMOTE_CACHE);
+    console.log('🧹 Cache offline svuotata');
+    return true;
+  } catch (error) {
+    console.error('❌ Errore nello svuotamento della cache offline:', error);
+    return false;
+  }
+}
+
+/**
+ * Elimina le tracce usate meno di recente finché la cache non rientra nel limite
+ * @param {number} limit - Dimensione massima (byte)
+ * @param {string} [keepId] - Traccia da non eliminare (es. quella appena salvata)
+ * @returns {Promise<string[]>} - Id delle tracce effettivamente eliminate
+ */
+export async function trimRemoteCache(limit, keepId = null) {
+  const entries = await listCachedTracks();
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+
+  const candidates = entries
+    .filter(entry => entry.id !== keepId)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  for (const entry of candidates) {
+    if (total <= limit) break;
+    // Una traccia che non si riesce a eliminare resta nella cache (e nel conto)
+    if (!await removeCachedTrack(entry.id)) continue;
+    total -= entry.size;
+    evicted.push(entry.id);
+  }
+
+  if (evicted.length > 0) {
+    console.log(`🧹 Cache offline: ${evicted.length} tracce meno recenti eliminate`);
+  }
+  return evicted;
+}
+
+/**
+ * Salva nella cache il file scaricato di una traccia remota, poi la riporta nel limite
+ * I file più grandi del limite non vengono salvati.
+ * @param {Object} track - Traccia remota
+ * @param {File} file - File scaricato
+ * @param {number} limit - Dimensione massima della cache (byte)
+ * @returns {Promise<{entry: Object|null, evicted: string[]}>} - entry è null se il file non è stato salvato
+ */
+export async function cacheRemoteTrack(track, file, limit) {
+  if (file.size > limit) {
+    console.warn(`⚠️ ${track.name} è più grande della cache offline: non viene salvato`);
+    return { entry: null, evicted: [] };
+  }
+
+  try {
+    const now = Date.now();
+    const entry = { id: track.id, name: track.name, size: file.size, cachedAt: now, lastUsedAt: now };
+    await putRecord(STORES.REMOTE_CACHE_AUDIO, { id: track.id, file });
+    await putRecord(STORES.REMOTE_CACHE, entry);
+    console.log(`💾 Traccia salvata nella cache offline: ${track.name}`);
+    return { entry, evicted: await trimRemoteCache(limit, track.id) };
+  } catch (error) {
+    // Spazio esaurito o IndexedDB non disponibile: la traccia resta comunque caricabile
+    console.error('❌ Errore nel salvataggio nella cache offline:', error);
+    return { entry: null, evicted: [] };
+  }
+}
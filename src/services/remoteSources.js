@@ -0,0 +1,304 @@
+/**
+ * Sorgenti remote di tracce
+ *
+ * Ogni sorgente configurata dall'utente è { id, type, name, enabled, ...campi del provider }
+ * (salvata nel localStorage, vedi hooks/useRemoteSources). Il type sceglie il provider.
+ *
+ * Un provider è un oggetto:
+ * {
+ *   type,        // tipo del provider (anche valore di track.source delle sue tracce)
+ *   idPrefix,    // prefisso degli id delle tracce in libreria (es. gdrive_<fileId>)
+ *   label,       // nome mostrato nelle impostazioni
+ *   badge,       // etichetta della colonna Origine
+ *   fields,      // campi di configurazione: [{ name, label, type, required, placeholder }]
+ *   listFiles(config)                  → Promise<RemoteFile[]> (lancia un errore se fallisce),
+ *                                        o Promise<{ files, errors }> se una parte della sorgente
+ *                                        non è leggibile (es. una delle cartelle di Drive)
+ *   fetchMetadata(config, fileId)      → Promise<RemoteFile|null>
+ *   getDownloadRequest(config, fileId) → { url, headers }
+ *   getShareUrl?(config, fileId)       → URL senza credenziali da scrivere nei file esportati
+ *                                        (assente o null: si esporta il nome del file)
+ * }
+ * RemoteFile è { fileId, name, size, type, modifiedTime, folder? }: fileId deve essere unico
+ * per il provider (Drive: id del file, HTTP e WebDAV: URL assoluto), perché forma l'id della traccia.
+ *
+ * Download (con avanzamento) e conversione in tracce sono comuni a tutti i provider.
+ * Gli elenchi delle tracce vengono salvati in IndexedDB (store remoteListings) e riusati
+ * finché la configurazione della sorgente non cambia o l'utente non li aggiorna.
+ * Il campo folder dei file ("Cartella/Sottocartella") forma l'albero delle cartelle remote.
+ */
+
+import { googleDriveProvider } from './googleDriveService';
+import { httpIndexProvider } from './httpIndexService';
+import { webdavProvider } from './webdavService';
+import { STORES, getRecord, putRecord, deleteRecord } from './fratemixDB';
+
+export const REMOTE_PROVIDERS = {
+  [googleDriveProvider.type]: googleDriveProvider,
+  [httpIndexProvider.type]: httpIndexProvider,
+  [webdavProvider.type]: webdavProvider
+};
+
+/**
+ * Provider di un tipo di sorgente (o di una traccia remota, dal suo campo source)
+ * @param {string} type - Tipo del provider
+ * @returns {Object|null}
+ */
+export function getProvider(type) {
+  return REMOTE_PROVIDERS[type] || null;
+}
+
+/**
+ * Crea la configurazione di una nuova sorgente
+ * @param {string} type - Tipo del provider
+ * @returns {Object}
+ */
+export function createRemoteSource(type) {
+  const provider = getProvider(type);
+  return {
+    id: `source_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    name: provider.label,
+    enabled: true,
+    ...Object.fromEntries(provider.fields.map(field => [field.name, '']))
+  };
+}
+
+/**
+ * Verifica se una sorgente ha tutti i campi obbligatori
+ * @param {Object} source - Configurazione della sorgente
+ * @returns {boolean}
+ */
+export function isSourceConfigured(source) {
+  const provider = getProvider(source.type);
+  return Boolean(provider) && provider.fields
+    .filter(field => field.required)
+    .every(field => String(source[field.name] || '').trim());
+}
+
+/**
+ * Converte un file remoto in una traccia del browser
+ * @param {Object} source - Configurazione della sorgente
+ * @param {Object} file - RemoteFile restituito dal provider
+ * @returns {Object} Oggetto Track
+ */
+export function toRemoteTrack(source, file) {
+  const provider = getProvider(source.type);
+  return {
+    id: `${provider.idPrefix}_${file.fileId}`,
+    name: file.name,
+    fileId: file.fileId,
+    sourceId: source.id,
+    size: file.size || 0,
+    type: file.type,
+    addedAt: new Date(file.modifiedTime || Date.now()),
+    isRemote: true,
+    source: provider.type,
+    folder: file.folder || ''
+  };
+}
+
+/**
+ * Elenca le tracce di una sorgente
+ * @param {Object} source - Configurazione della sorgente
+ * @returns {Promise<{tracks: Array<Object>, errors: string[]}>} - errors: parti della sorgente non lette
+ * @throws {Error} se il provider non riesce a leggere la sorgente
+ */
+export async function listSourceTracks(source) {
+  const provider = getProvider(source.type);
+  if (!provider) throw new Error(`Tipo di sorgente sconosciuto: ${source.type}`);
+  const result = await provider.listFiles(source);
+  const { files, errors = [] } = Array.isArray(result) ? { files: result } : result;
+  return { tracks: files.map(file => toRemoteTrack(source, file)), errors };
+}
+
+/**
+ * Chiave della configurazione di una sorgente: un elenco salvato con una configurazione
+ * diversa (es. altre cartelle) non è più valido. Nome e stato attivo non contano.
+ */
+function getSourceConfigKey(source) {
+  const provider = getProvider(source.type);
+  return JSON.stringify([source.type, ...(provider?.fields || []).map(field => source[field.name] || '')]);
+}
+
+/**
+ * Legge l'ultimo elenco salvato di una sorgente
+ * @param {Object} source - Configurazione della sorgente
+ * @returns {Promise<{tracks: Array<Object>, errors: string[], fetchedAt: number}|null>} - null se manca o non è più valido
+ */
+export async function loadCachedListing(source) {
+  try {
+    const record = await getRecord(STORES.REMOTE_LISTINGS, source.id);
+    return record && record.configKey === getSourceConfigKey(source) ? { errors: [], ...record } : null;
+  } catch (error) {
+    console.error('❌ Errore nella lettura dell\'elenco salvato:', error);
+    return null;
+  }
+}
+
+/**
+ * Salva l'elenco delle tracce di una sorgente (con gli errori della lettura, anche se parziale)
+ * @param {Object} source - Configurazione della sorgente
+ * @param {{tracks: Array<Object>, errors: string[]}} listing - Risultato di listSourceTracks
+ * @returns {Promise<number>} - Data della lettura (ms)
+ */
+export async function saveCachedListing(source, { tracks, errors }) {
+  const fetchedAt = Date.now();
+  try {
+    await putRecord(STORES.REMOTE_LISTINGS, {
+      sourceId: source.id,
+      configKey: getSourceConfigKey(source),
+      tracks,
+      errors,
+      fetchedAt
+    });
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio dell\'elenco della sorgente:', error);
+  }
+  return fetchedAt;
+}
+
+/**
+ * Elimina l'elenco salvato di una sorgente (es. quando la sorgente viene eliminata)
+ * @param {string} sourceId - Id della sorgente
+ */
+export async function deleteCachedListing(sourceId) {
+  try {
+    await deleteRecord(STORES.REMOTE_LISTINGS, sourceId);
+  } catch (error) {
+    console.error('❌ Errore nell\'eliminazione dell\'elenco salvato:', error);
+  }
+}
+
+/**
+ * Albero delle cartelle delle sorgenti: un nodo radice per sorgente, poi le cartelle
+ * ordinate per nome; count conta le tracce del nodo e delle sue sottocartelle
+ * @param {Array<Object>} sources - Sorgenti da mostrare
+ * @param {Object} tracksBySource - Tracce di ogni sorgente (sourceId → tracce)
+ * @returns {Array<{sourceId: string, path: string, name: string, count: number, children: Array}>}
+ */
+export function buildRemoteFolderTree(sources, tracksBySource) {
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.children.forEach(sortChildren);
+    return node;
+  };
+
+  return sources
+    .filter(source => tracksBySource[source.id])
+    .map(source => {
+      const root = { sourceId: source.id, path: '', name: source.name, count: 0, children: [] };
+      const nodes = new Map([['', root]]);
+      const getNode = (path) => {
+        if (nodes.has(path)) return nodes.get(path);
+        const parts = path.split('/');
+        const node = { sourceId: source.id, path, name: parts[parts.length - 1], count: 0, children: [] };
+        getNode(parts.slice(0, -1).join('/')).children.push(node);
+        nodes.set(path, node);
+        return node;
+      };
+
+      tracksBySource[source.id].forEach(track => {
+        getNode(track.folder || '');
+        const parts = track.folder ? track.folder.split('/') : [];
+        for (let i = 0; i <= parts.length; i++) {
+          nodes.get(parts.slice(0, i).join('/')).count++;
+        }
+      });
+      return sortChildren(root);
+    });
+}
+
+/**
+ * Verifica se una traccia remota è in una cartella (o nelle sue sottocartelle)
+ * @param {Object} track - Traccia remota
+ * @param {{sourceId: string, path: string}} folder - Cartella ('' = tutta la sorgente)
+ * @returns {boolean}
+ */
+export function isTrackInFolder(track, folder) {
+  if (!track.isRemote || track.sourceId !== folder.sourceId) return false;
+  if (!folder.path) return true;
+  return track.folder === folder.path || (track.folder || '').startsWith(`${folder.path}/`);
+}
+
+/**
+ * Sorgente da cui scaricare una traccia remota
+ * Le tracce salvate prima delle sorgenti configurabili non hanno sourceId:
+ * viene usata la prima sorgente attiva dello stesso tipo.
+ * @param {Array<Object>} sources - Sorgenti configurate
+ * @param {Object} track - Traccia remota
+ * @returns {Object|null}
+ */
+export function findTrackSource(sources, track) {
+  return sources.find(source => source.id === track.sourceId)
+    || sources.find(source => source.enabled && source.type === track.source)
+    || null;
+}
+
+/**
+ * URL di una traccia remota da scrivere nelle playlist esportate: non contiene mai
+ * credenziali (l'URL di download può contenerle, es. la API key di Drive)
+ * @param {Object} source - Configurazione della sorgente
+ * @param {Object} track - Traccia remota
+ * @returns {string|null} - null se il provider non ha un URL condivisibile
+ */
+export function getRemoteTrackShareUrl(source, track) {
+  return getProvider(source.type)?.getShareUrl?.(source, track.fileId) || null;
+}
+
+/**
+ * Legge i metadati aggiornati di una traccia remota
+ * @param {Object} source - Configurazione della sorgente
+ * @param {Object} track - Traccia remota
+ * @returns {Promise<Object|null>} - RemoteFile, null se non disponibile
+ */
+export function fetchRemoteMetadata(source, track) {
+  return getProvider(source.type).fetchMetadata(source, track.fileId);
+}
+
+/**
+ * Scarica una traccia remota leggendo la risposta a blocchi, per l'avanzamento
+ * @param {Object} source - Configurazione della sorgente
+ * @param {Object} track - Traccia remota
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - onProgress riceve { loaded, total }
+ * @returns {Promise<File>} File object
+ * @throws {Error} se il download fallisce (AbortError se annullato con signal)
+ */
+export async function downloadRemoteTrack(source, track, { onProgress, signal } = {}) {
+  try {
+    console.log(`⬇️ Download in corso: ${track.name}`);
+
+    const { url, headers } = getProvider(source.type).getDownloadRequest(source, track.fileId);
+    const response = await fetch(url, { headers, signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const type = (response.headers.get('Content-Type') || track.type || '').split(';')[0];
+    const total = parseInt(response.headers.get('Content-Length')) || track.size || 0;
+    let blob;
+    if (response.body?.getReader) {
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress?.({ loaded, total: Math.max(total, loaded) });
+      }
+      blob = new Blob(chunks, { type });
+    } else {
+      blob = await response.blob();
+      onProgress?.({ loaded: blob.size, total: blob.size });
+    }
+
+    console.log(`✅ Download completato: ${track.name} (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+    return new File([blob], track.name, { type: blob.type || type });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error(`❌ Errore download ${track.name}:`, error);
+    throw new Error(`Impossibile scaricare ${track.name}. Verifica la connessione e la sorgente "${source.name}".`);
+  }
+}
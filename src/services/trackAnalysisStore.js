@@ -0,0 +1,93 @@
+/**
+ * Archivio dei risultati dell'analisi delle tracce (IndexedDB, store trackAnalysis)
+ * 
+ * Ogni record è identificato dal trackId (hash del contenuto), quindi l'analisi
+ * resta valida anche se lo stesso file viene ricaricato con un altro nome.
+ * 
+ * Un record contiene:
+ * - i risultati dell'analisi (vedi utils/trackAnalyzer): bpm, beatgrid, key,
+ *   loudness, waveform, peaks e la versione dell'analisi che li ha prodotti
+ * - le correzioni manuali in `corrections`: bpm, beatgrid, beatgridLocked, cuePoint
+ *   (gli hot cue hanno uno store dedicato, sempre per trackId: vedi hooks/useHotCues)
+ * 
+ * Le correzioni sono separate dall'analisi, quindi una nuova analisi non le sovrascrive.
+ */
+
+import { STORES, getRecord, putRecord } from './fratemixDB';
+
+// Versione dell'analisi: le analisi salvate con una versione diversa vengono ripetute
+export const ANALYSIS_VERSION = 1;
+
+/**
+ * Legge l'analisi salvata di una traccia
+ * @param {string} trackId - Identità della traccia
+ * @returns {Promise<Object|null>} - L'analisi o null se la traccia non è mai stata analizzata
+ */
+export async function loadTrackAnalysis(trackId) {
+  if (!trackId) return null;
+  
+  try {
+    return (await getRecord(STORES.TRACK_ANALYSIS, trackId)) || null;
+  } catch (error) {
+    console.error('❌ Errore nel caricamento dell\'analisi della traccia:', error);
+    return null;
+  }
+}
+
+/**
+ * Verifica se un'analisi salvata è completa e aggiornata (e può sostituire una nuova analisi)
+ * @param {Object|null} record - Record letto con loadTrackAnalysis
+ * @returns {boolean}
+ */
+export function isAnalysisComplete(record) {
+  return Boolean(record &&
+    record.analysisVersion === ANALYSIS_VERSION &&
+    record.waveform &&
+    record.peaks);
+}
+
+/**
+ * Salva (o aggiorna) l'analisi di una traccia
+ * I campi passati vengono uniti a quelli già salvati
+ * @param {string} trackId - Identità della traccia
+ * @param {Object} analysis - Campi dell'analisi da salvare (es. { bpm, beatgrid })
+ */
+export async function saveTrackAnalysis(trackId, analysis) {
+  if (!trackId) return;
+  
+  try {
+    const existing = await getRecord(STORES.TRACK_ANALYSIS, trackId);
+    await putRecord(STORES.TRACK_ANALYSIS, {
+      ...existing,
+      ...analysis,
+      trackId,
+      updatedAt: Date.now()
+    });
+    console.log(`💾 Analisi salvata per la traccia ${trackId.slice(0, 16)}...`);
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio dell\'analisi della traccia:', error);
+  }
+}
+
+/**
+ * Salva (o aggiorna) le correzioni manuali di una traccia
+ * I campi passati vengono uniti alle correzioni già salvate
+ * @param {string} trackId - Identità della traccia
+ * @param {Object} corrections - Correzioni da salvare (es. { bpm, beatgrid, beatgridLocked, cuePoint })
+ */
+export async function saveTrackCorrections(trackId, corrections) {
+  if (!trackId) return;
+  
+  try {
+    const existing = await getRecord(STORES.TRACK_ANALYSIS, trackId);
+    const record = existing || { trackId };
+    await putRecord(STORES.TRACK_ANALYSIS, {
+      ...record,
+      corrections: { ...record.corrections, ...corrections },
+      trackId,
+      updatedAt: Date.now()
+    });
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio delle correzioni della traccia:', error);
+  }
+}
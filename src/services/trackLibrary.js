@@ -0,0 +1,248 @@
+/**
+ * Libreria delle tracce (IndexedDB, store libraryTracks e libraryAudio)
+ * 
+ * I metadati e i file audio sono in store separati:
+ * - libraryTracks: nome, dimensione, sorgente, data di aggiunta, conteggio e data
+ *   dell'ultima riproduzione, tag (vedi utils/audioTags, con la copertina ridotta a miniatura),
+ *   riepilogo dell'analisi (BPM, tonalità, loudness, durata)
+ * - libraryAudio: il file audio delle tracce locali
+ * così l'elenco si legge senza caricare i file, e l'audio può essere rimosso
+ * per liberare spazio mantenendo i metadati (hasAudio = false).
+ * 
+ * Le tracce locali sono identificate dall'hash del contenuto (vedi utils/trackIdentity),
+ * quindi lo stesso file non viene aggiunto due volte; le tracce remote dal loro id
+ * (es. gdrive_<fileId>) e ricevono il trackId quando vengono scaricate.
+ * L'analisi completa resta nello store trackAnalysis (vedi trackAnalysisStore).
+ */
+
+import { STORES, getRecord, getAllRecords, getRecordsByIndex, putRecord, deleteRecord } from './fratemixDB';
+import { computeTrackId } from '../utils/trackIdentity';
+import { readAudioTags } from '../utils/audioTags';
+import { getAudioType } from '../utils/folderScan';
+
+// Lato massimo delle miniature delle copertine (pixel)
+const COVER_THUMBNAIL_SIZE = 128;
+
+/**
+ * Valori di default di una traccia in libreria
+ */
+function createLibraryTrack(fields) {
+  return {
+    trackId: null,
+    name: '',
+    size: 0,
+    type: '',
+    source: 'local',
+    isRemote: false,
+    addedAt: Date.now(),
+    playCount: 0,
+    lastPlayedAt: null,
+    hasAudio: false,
+    ...fields
+  };
+}
+
+/**
+ * Riduce una copertina a miniatura (l'elenco della libreria carica tutte le copertine)
+ * @param {Blob} cover - Immagine originale
+ * @returns {Promise<Blob>} - Miniatura JPEG, o l'originale se già piccola o non decodificabile
+ */
+async function createCoverThumbnail(cover) {
+  if (!cover || typeof createImageBitmap === 'undefined') return cover;
+  
+  try {
+    const bitmap = await createImageBitmap(cover);
+    const scale = Math.min(1, COVER_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1) {
+      bitmap.close();
+      return cover;
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    
+    return await new Promise(resolve => canvas.toBlob(blob => resolve(blob || cover), 'image/jpeg', 0.85));
+  } catch (error) {
+    console.warn('⚠️ Copertina non decodificabile:', error);
+    return cover;
+  }
+}
+
+/**
+ * Legge tutte le tracce della libreria (solo metadati), dalla più recente
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLibraryTracks() {
+  try {
+    const tracks = await getAllRecords(STORES.LIBRARY_TRACKS);
+    return tracks.sort((a, b) => b.addedAt - a.addedAt);
+  } catch (error) {
+    console.error('❌ Errore nella lettura della libreria:', error);
+    return [];
+  }
+}
+
+/**
+ * Salva i metadati di una traccia, uniti a quelli già presenti
+ * (usato anche per registrare in libreria le tracce remote)
+ * @param {Object} track - Campi della traccia (id obbligatorio)
+ * @returns {Promise<Object|null>} - La traccia salvata
+ */
+export async function saveLibraryTrack(track) {
+  if (!track?.id) return null;
+  
+  try {
+    const existing = await getRecord(STORES.LIBRARY_TRACKS, track.id);
+    const tags = track.tags && { ...track.tags, cover: await createCoverThumbnail(track.tags.cover) };
+    const saved = createLibraryTrack({ ...existing, ...track, ...(tags && { tags }) });
+    await putRecord(STORES.LIBRARY_TRACKS, saved);
+    return saved;
+  } catch (error) {
+    console.error('❌ Errore nel salvataggio della traccia in libreria:', error);
+    return null;
+  }
+}
+
+/**
+ * Aggiunge un file locale alla libreria (metadati + audio)
+ * Se il file è già presente (stesso contenuto) viene saltato, o ne viene ripristinato
+ * l'audio se era stato rimosso
+ * @param {File} file - Il file audio
+ * @returns {Promise<{track: Object, isNew: boolean}|null>}
+ */
+export async function addLocalFile(file) {
+  if (!file) return null;
+  
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    const trackId = await computeTrackId(arrayBuffer, file);
+    const existing = await getRecord(STORES.LIBRARY_TRACKS, trackId);
+    if (existing?.hasAudio) {
+      console.log(`⚠️ Traccia già presente nella libreria: ${file.name}`);
+      return { track: existing, isNew: false };
+    }
+    
+    await putRecord(STORES.LIBRARY_AUDIO, { id: trackId, file, savedAt: Date.now() });
+    const track = await saveLibraryTrack({
+      id: trackId,
+      trackId,
+      name: existing?.name || file.name,
+      size: file.size,
+      type: getAudioType(file),
+      tags: readAudioTags(arrayBuffer, file.name),
+      hasAudio: true
+    });
+    
+    if (existing) {
+      console.log(`📚 Audio ripristinato nella libreria: ${file.name}`);
+    } else {
+      console.log(`📚 Traccia aggiunta alla libreria: ${file.name}`);
+    }
+    return { track, isNew: !existing };
+  } catch (error) {
+    console.error('❌ Errore nell\'aggiunta del file alla libreria:', error);
+    return null;
+  }
+}
+
+/**
+ * Legge il file audio di una traccia locale
+ * @param {string} id - Id della traccia in libreria
+ * @returns {Promise<File|null>} - Il file, null se l'audio è stato rimosso
+ */
+export async function loadLibraryFile(id) {
+  try {
+    const record = await getRecord(STORES.LIBRARY_AUDIO, id);
+    return record ? record.file : null;
+  } catch (error) {
+    console.error('❌ Errore nella lettura del file dalla libreria:', error);
+    return null;
+  }
+}
+
+/**
+ * Registra la riproduzione di una traccia (conteggio e data dell'ultima riproduzione)
+ * @param {string} trackId - Identità della traccia (hash del contenuto)
+ * @returns {Promise<Array<Object>>} - Le tracce aggiornate (più voci possono avere lo stesso contenuto)
+ */
+export async function recordTrackPlay(trackId) {
+  if (!trackId) return [];
+  
+  try {
+    const tracks = await getRecordsByIndex(STORES.LIBRARY_TRACKS, 'trackId', trackId);
+    const lastPlayedAt = Date.now();
+    return await Promise.all(tracks.map(async track => {
+      const updated = { ...track, playCount: (track.playCount || 0) + 1, lastPlayedAt };
+      await putRecord(STORES.LIBRARY_TRACKS, updated);
+      return updated;
+    }));
+  } catch (error) {
+    console.error('❌ Errore nella registrazione della riproduzione:', error);
+    return [];
+  }
+}
+
+/**
+ * Rimuove il file audio di una traccia mantenendone i metadati
+ * @param {string} id - Id della traccia in libreria
+ * @returns {Promise<Object|null>} - La traccia aggiornata
+ */
+export async function evictLibraryAudio(id) {
+  try {
+    await deleteRecord(STORES.LIBRARY_AUDIO, id);
+    console.log(`🧹 Audio rimosso dalla libreria: ${id.slice(0, 16)}...`);
+    return await saveLibraryTrack({ id, hasAudio: false });
+  } catch (error) {
+    console.error('❌ Errore nella rimozione dell\'audio:', error);
+    return null;
+  }
+}
+
+/**
+ * Elimina una traccia dalla libreria (metadati e audio)
+ * L'analisi e gli hot cue restano associati al contenuto, se il file viene riaggiunto
+ * @param {string} id - Id della traccia in libreria
+ */
+export async function removeLibraryTrack(id) {
+  try {
+    await deleteRecord(STORES.LIBRARY_AUDIO, id);
+    await deleteRecord(STORES.LIBRARY_TRACKS, id);
+  } catch (error) {
+    console.error('❌ Errore nell\'eliminazione della traccia:', error);
+  }
+}
+
+/**
+ * Spazio di archiviazione usato e disponibile per l'applicazione
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>} - In byte, null se non supportato
+ */
+export async function getStorageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return { usage, quota, persisted };
+  } catch (error) {
+    console.error('❌ Errore nella lettura dello spazio di archiviazione:', error);
+    return null;
+  }
+}
+
+/**
+ * Chiede al browser di non cancellare i dati dell'applicazione quando lo spazio scarseggia
+ * @returns {Promise<boolean>} - true se lo storage è persistente
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  
+  try {
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.error('❌ Errore nella richiesta di storage persistente:', error);
+    return false;
+  }
+}
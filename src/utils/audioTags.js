@@ -0,0 +1,554 @@
+/**
+ * Lettura dei tag dei file audio
+ *
+ * Formati supportati:
+ * - ID3v2.2/2.3/2.4 (MP3, ma anche WAV/AIFF/FLAC con tag ID3 in testa) e ID3v1 come ripiego
+ * - Vorbis comment per FLAC (blocchi di metadati) e OGG (Vorbis e Opus)
+ * - Atomi iTunes (moov/udta/meta/ilst) per M4A/MP4
+ *
+ * Campi letti: titolo, artista, album, genere, anno, commento, BPM e tonalità
+ * dichiarati nei tag, copertina (come Blob).
+ * Se il titolo manca viene ricavato dal nome del file ("Artista - Titolo.mp3").
+ */
+
+// Generi ID3v1 (usati anche da ID3v2 con la forma "(n)" e dal gnre di MP4)
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+// Frame ID3v2 di testo -> campo (ID a 4 lettere per v2.3/2.4, a 3 lettere per v2.2)
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TCON: 'genre', TCO: 'genre',
+  TYER: 'year', TYE: 'year', TDRC: 'year',
+  TBPM: 'bpm', TBP: 'bpm',
+  TKEY: 'key', TKE: 'key'
+};
+
+// Vorbis comment -> campo
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  GENRE: 'genre',
+  DATE: 'year',
+  YEAR: 'year',
+  COMMENT: 'comment',
+  DESCRIPTION: 'comment',
+  BPM: 'bpm',
+  TEMPO: 'bpm',
+  INITIALKEY: 'key',
+  KEY: 'key'
+};
+
+// Atomi iTunes -> campo (i nomi con © iniziano con il byte 0xA9)
+const MP4_FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  'aART': 'artist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©day': 'year',
+  '©cmt': 'comment',
+  'tmpo': 'bpm'
+};
+
+// Nomi degli atomi "----" (freeform) con la tonalità o il BPM
+const MP4_FREEFORM_FIELDS = {
+  INITIALKEY: 'key',
+  KEY: 'key',
+  BPM: 'bpm'
+};
+
+// Contenitori MP4 da attraversare per arrivare ai tag
+const MP4_TAG_PATH = ['moov', 'udta', 'meta', 'ilst'];
+
+// Tipo di immagine ID3/FLAC della copertina frontale
+const FRONT_COVER_TYPE = 3;
+
+/**
+ * Decodifica un testo con una codifica ID3 (0 = ISO-8859-1, 1 = UTF-16 con BOM, 2 = UTF-16BE, 3 = UTF-8)
+ */
+function decodeText(bytes, encoding = 3) {
+  if (bytes.length === 0) return '';
+  let label = 'utf-8';
+  if (encoding === 0) label = 'iso-8859-1';
+  if (encoding === 1) label = bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-16le';
+  if (encoding === 2) label = 'utf-16be';
+  return new TextDecoder(label).decode(bytes).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Trova la fine di una stringa terminata da zero (1 byte, o 2 allineati per UTF-16)
+ * @returns {number} - Indice del terminatore, o la lunghezza se manca
+ */
+function findTerminator(bytes, start, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+}
+
+/**
+ * Legge una stringa terminata da zero
+ * @returns {{text: string, next: number}} - Testo e indice dopo il terminatore
+ */
+function readTerminated(bytes, start, encoding) {
+  const end = findTerminator(bytes, start, encoding);
+  const wide = encoding === 1 || encoding === 2;
+  return {
+    text: decodeText(bytes.subarray(start, end), encoding),
+    next: Math.min(bytes.length, end + (wide ? 2 : 1))
+  };
+}
+
+function readAscii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, offset) {
+  return ((bytes[offset + 3] << 24) | (bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]) >>> 0;
+}
+
+/**
+ * Intero "syncsafe" di ID3v2 (7 bit per byte)
+ */
+function readSyncsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+/**
+ * Annulla l'unsynchronisation di ID3v2 (0xFF 0x00 -> 0xFF)
+ */
+function removeUnsynchronisation(bytes) {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return result.subarray(0, length);
+}
+
+/**
+ * Risolve i generi ID3 numerici ("(17)", "17", "(17)Rock")
+ */
+function normalizeGenre(genre) {
+  const match = /^\((\d+)\)(.*)$/.exec(genre) || /^(\d+)()$/.exec(genre);
+  if (!match) return genre;
+  return match[2] || ID3_GENRES[Number(match[1])] || genre;
+}
+
+/**
+ * Copertina da byte e tipo MIME
+ */
+function createCover(bytes, mimeType) {
+  if (!bytes || bytes.length === 0) return null;
+  let type = mimeType || 'image/jpeg';
+  if (type === 'JPG') type = 'image/jpeg';
+  if (type === 'PNG') type = 'image/png';
+  if (!type.includes('/')) type = `image/${type.toLowerCase()}`;
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Tag ID3v2 all'inizio del file
+ * @returns {{tags: Object, size: number}|null} - Tag letti e dimensione totale del blocco ID3
+ */
+function parseID3v2(bytes) {
+  if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return null;
+
+  const major = bytes[3];
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+  const totalSize = 10 + size + (flags & 0x10 ? 10 : 0);
+  if (major < 2 || major > 4) return { tags: {}, size: totalSize };
+
+  let tag = bytes.subarray(10, Math.min(10 + size, bytes.length));
+  if ((flags & 0x80) && major < 4) tag = removeUnsynchronisation(tag);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    // Header esteso: in v2.3 la dimensione non include i 4 byte della dimensione stessa
+    offset = major === 4 ? readSyncsafe(tag, 0) : readUint32BE(tag, 0) + 4;
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const tags = {};
+  let cover = null;
+  let coverType = -1;
+
+  while (offset + headerLength <= tag.length) {
+    const id = readAscii(tag, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    const frameSize = major === 2
+      ? (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5]
+      : major === 4 ? readSyncsafe(tag, offset + 4) : readUint32BE(tag, offset + 4);
+    const formatFlags = major === 2 ? 0 : tag[offset + 9];
+    let data = tag.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    // Frame compressi o cifrati: non supportati
+    if (major === 3 && (formatFlags & 0xc0)) continue;
+    if (major === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+      if (formatFlags & 0x01) data = data.subarray(4); // Indicatore della lunghezza dei dati
+    }
+    if (data.length < 2) continue;
+
+    const encoding = data[0];
+
+    if (ID3_TEXT_FRAMES[id]) {
+      // Valori multipli (v2.4) separati da zero
+      const values = decodeText(data.subarray(1), encoding).split('\u0000').filter(Boolean);
+      if (values.length > 0 && !tags[ID3_TEXT_FRAMES[id]]) {
+        tags[ID3_TEXT_FRAMES[id]] = values.join(', ');
+      }
+    } else if (id === 'COMM' || id === 'COM') {
+      // Commento: codifica, lingua (3), descrizione, testo
+      const description = readTerminated(data, 4, encoding);
+      const text = decodeText(data.subarray(description.next), encoding).replace(/\u0000+$/, '');
+      // I commenti con descrizione sono dati tecnici (es. iTunNORM): meglio quello senza
+      if (text && (!tags.comment || !description.text) && !description.text.startsWith('iTun')) {
+        tags.comment = text;
+      }
+    } else if (id === 'APIC' || id === 'PIC') {
+      // Copertina: v2.3/2.4 con tipo MIME, v2.2 con formato a 3 lettere
+      let mimeType;
+      let next;
+      if (id === 'APIC') {
+        const mime = readTerminated(data, 1, 0);
+        mimeType = mime.text;
+        next = mime.next;
+      } else {
+        mimeType = readAscii(data, 1, 3);
+        next = 4;
+      }
+      const pictureType = data[next];
+      const description = readTerminated(data, next + 1, encoding);
+      // Preferisci la copertina frontale
+      if (!cover || (pictureType === FRONT_COVER_TYPE && coverType !== FRONT_COVER_TYPE)) {
+        cover = createCover(data.subarray(description.next), mimeType);
+        coverType = pictureType;
+      }
+    }
+  }
+
+  if (cover) tags.cover = cover;
+  return { tags, size: totalSize };
+}
+
+/**
+ * Tag ID3v1 (ultimi 128 byte del file)
+ */
+function parseID3v1(bytes) {
+  if (bytes.length < 128) return null;
+  const tag = bytes.subarray(bytes.length - 128);
+  if (readAscii(tag, 0, 3) !== 'TAG') return null;
+
+  const text = (start, length) => decodeText(tag.subarray(start, start + length), 0).replace(/[\u0000\s]+$/, '');
+  const genre = ID3_GENRES[tag[127]];
+  return {
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: text(93, 4),
+    comment: text(97, tag[125] === 0 ? 28 : 30),
+    ...(genre && { genre })
+  };
+}
+
+/**
+ * Vorbis comment (little-endian): vendor, numero di commenti, "CHIAVE=valore"
+ */
+function parseVorbisComment(bytes, tags) {
+  let offset = 0;
+  const vendorLength = readUint32LE(bytes, offset);
+  offset += 4 + vendorLength;
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const comment = decodeText(bytes.subarray(offset + 4, offset + 4 + length), 3);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator < 0) continue;
+    const name = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+
+    if (VORBIS_FIELDS[name] && value && !tags[VORBIS_FIELDS[name]]) {
+      tags[VORBIS_FIELDS[name]] = value;
+    } else if (name === 'METADATA_BLOCK_PICTURE' && !tags.cover) {
+      // Copertina in OGG: blocco PICTURE di FLAC in base64
+      try {
+        const binary = atob(value);
+        const picture = new Uint8Array(binary.length);
+        for (let j = 0; j < binary.length; j++) picture[j] = binary.charCodeAt(j);
+        tags.cover = parseFlacPicture(picture);
+      } catch (error) {
+        console.warn('⚠️ Copertina OGG non valida:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Blocco PICTURE di FLAC (big-endian): tipo, MIME, descrizione, dimensioni, dati
+ */
+function parseFlacPicture(bytes) {
+  let offset = 4;
+  const mimeLength = readUint32BE(bytes, offset);
+  const mimeType = readAscii(bytes, offset + 4, mimeLength);
+  offset += 4 + mimeLength;
+  const descriptionLength = readUint32BE(bytes, offset);
+  offset += 4 + descriptionLength + 16;
+  const dataLength = readUint32BE(bytes, offset);
+  return createCover(bytes.subarray(offset + 4, offset + 4 + dataLength), mimeType);
+}
+
+/**
+ * Blocchi di metadati FLAC dopo la firma "fLaC"
+ */
+function parseFlac(bytes, start) {
+  const tags = {};
+  let coverType = -1;
+  let offset = start + 4;
+
+  while (offset + 4 <= bytes.length) {
+    const header = bytes[offset];
+    const type = header & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const block = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (type === 4) parseVorbisComment(block, tags);
+    if (type === 6) {
+      // Preferisci la copertina frontale
+      const pictureType = readUint32BE(block, 0);
+      if (!tags.cover || (pictureType === FRONT_COVER_TYPE && coverType !== FRONT_COVER_TYPE)) {
+        tags.cover = parseFlacPicture(block);
+        coverType = pictureType;
+      }
+    }
+    if (header & 0x80) break; // Ultimo blocco
+  }
+
+  return tags;
+}
+
+/**
+ * OGG: il secondo pacchetto del flusso è l'header dei commenti (Vorbis o Opus)
+ */
+function parseOgg(bytes) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (packets.length < 2 && offset + 27 <= bytes.length && readAscii(bytes, offset, 4) === 'OggS') {
+    const segmentCount = bytes[offset + 26];
+    let dataOffset = offset + 27 + segmentCount;
+    for (let i = 0; i < segmentCount; i++) {
+      const segmentLength = bytes[offset + 27 + i];
+      current.push(bytes.subarray(dataOffset, dataOffset + segmentLength));
+      dataOffset += segmentLength;
+      // Un segmento più corto di 255 byte chiude il pacchetto
+      if (segmentLength < 255) {
+        packets.push(current);
+        current = [];
+        if (packets.length === 2) break;
+      }
+    }
+    offset = dataOffset;
+  }
+  if (packets.length < 2) return {};
+
+  const length = packets[1].reduce((sum, segment) => sum + segment.length, 0);
+  const packet = new Uint8Array(length);
+  let position = 0;
+  packets[1].forEach(segment => {
+    packet.set(segment, position);
+    position += segment.length;
+  });
+
+  const tags = {};
+  if (packet[0] === 3 && readAscii(packet, 1, 6) === 'vorbis') {
+    parseVorbisComment(packet.subarray(7), tags);
+  } else if (readAscii(packet, 0, 8) === 'OpusTags') {
+    parseVorbisComment(packet.subarray(8), tags);
+  }
+  return tags;
+}
+
+/**
+ * Scorre gli atomi MP4 figli in un intervallo
+ * @returns {Array<{type: string, start: number, end: number}>} - start è l'inizio del contenuto
+ */
+function readAtoms(bytes, start, end) {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = decodeText(bytes.subarray(offset + 4, offset + 8), 0);
+    let headerSize = 8;
+    if (size === 1) {
+      // Dimensione a 64 bit (la parte alta è sempre 0 per file gestibili nel browser)
+      size = readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    atoms.push({ type, start: offset + headerSize, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+
+  return atoms;
+}
+
+/**
+ * Contenuto dell'atomo "data" di un tag iTunes
+ * @returns {{type: number, value: Uint8Array}|null}
+ */
+function readMp4Data(bytes, atom) {
+  const data = readAtoms(bytes, atom.start, atom.end).find(child => child.type === 'data');
+  if (!data) return null;
+  return {
+    type: readUint32BE(bytes, data.start) & 0xffffff,
+    value: bytes.subarray(data.start + 8, data.end)
+  };
+}
+
+/**
+ * Tag iTunes di M4A/MP4 (moov/udta/meta/ilst)
+ */
+function parseMp4(bytes) {
+  let atoms = readAtoms(bytes, 0, bytes.length);
+  let container = null;
+
+  for (const name of MP4_TAG_PATH) {
+    container = atoms.find(atom => atom.type === name);
+    if (!container) return {};
+    // "meta" è un full box (4 byte di versione e flag) tranne in alcuni file QuickTime
+    const start = name === 'meta' && readAscii(bytes, container.start + 4, 4) !== 'hdlr'
+      ? container.start + 4
+      : container.start;
+    atoms = readAtoms(bytes, start, container.end);
+  }
+
+  const tags = {};
+  atoms.forEach(atom => {
+    if (atom.type === '----') {
+      // Tag "freeform" (mean + name + data), es. com.apple.iTunes:initialkey
+      const children = readAtoms(bytes, atom.start, atom.end);
+      const nameAtom = children.find(child => child.type === 'name');
+      const field = nameAtom && MP4_FREEFORM_FIELDS[decodeText(bytes.subarray(nameAtom.start + 4, nameAtom.end)).toUpperCase()];
+      const data = readMp4Data(bytes, atom);
+      if (field && data && !tags[field]) tags[field] = decodeText(data.value);
+      return;
+    }
+
+    const data = readMp4Data(bytes, atom);
+    if (!data) return;
+
+    if (atom.type === 'covr') {
+      if (!tags.cover) tags.cover = createCover(data.value, data.type === 14 ? 'image/png' : 'image/jpeg');
+    } else if (atom.type === 'gnre') {
+      // Genere ID3v1 (indice + 1)
+      const genre = ID3_GENRES[((data.value[0] << 8) | data.value[1]) - 1];
+      if (genre && !tags.genre) tags.genre = genre;
+    } else if (atom.type === 'tmpo') {
+      tags.bpm = String((data.value[0] << 8) | data.value[1]);
+    } else if (MP4_FIELDS[atom.type] && !tags[MP4_FIELDS[atom.type]]) {
+      tags[MP4_FIELDS[atom.type]] = decodeText(data.value);
+    }
+  });
+
+  return tags;
+}
+
+/**
+ * Titolo (ed eventualmente artista) dal nome del file: "Artista - Titolo.mp3"
+ * @param {string} fileName - Nome del file
+ * @returns {{title: string, artist: string|null}}
+ */
+export function parseFileName(fileName) {
+  const base = (fileName || '').replace(/\.[^./]+$/, '').replace(/_/g, ' ').trim();
+  const separator = base.indexOf(' - ');
+  if (separator > 0) {
+    return { title: base.slice(separator + 3).trim(), artist: base.slice(0, separator).trim() };
+  }
+  return { title: base, artist: null };
+}
+
+/**
+ * Legge i tag di un file audio
+ * @param {ArrayBuffer} arrayBuffer - Contenuto del file (va letto prima di decodeAudioData, che lo svuota)
+ * @param {string} fileName - Nome del file (per il titolo di ripiego)
+ * @returns {{title: string, artist: string|null, album: string|null, genre: string|null, year: string|null,
+ *   comment: string|null, bpm: number|null, key: string|null, cover: Blob|null, hasTags: boolean}}
+ */
+export function readAudioTags(arrayBuffer, fileName = '') {
+  let tags = {};
+
+  try {
+    const bytes = new Uint8Array(arrayBuffer);
+    const id3 = parseID3v2(bytes);
+    const start = id3 ? id3.size : 0;
+
+    if (readAscii(bytes, start, 4) === 'fLaC') {
+      tags = { ...id3?.tags, ...parseFlac(bytes, start) };
+    } else if (readAscii(bytes, 0, 4) === 'OggS') {
+      tags = parseOgg(bytes);
+    } else if (readAscii(bytes, 4, 4) === 'ftyp') {
+      tags = parseMp4(bytes);
+    } else if (id3) {
+      tags = id3.tags;
+    }
+
+    if (!tags.title && !tags.artist) {
+      tags = { ...parseID3v1(bytes), ...tags };
+    }
+  } catch (error) {
+    console.warn(`⚠️ Impossibile leggere i tag di ${fileName}:`, error);
+  }
+
+  const clean = value => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+  const hasTags = Boolean(clean(tags.title) || clean(tags.artist));
+  const fallback = parseFileName(fileName);
+  const bpm = parseFloat(clean(tags.bpm)?.replace(',', '.'));
+  const year = clean(tags.year);
+
+  return {
+    title: clean(tags.title) || fallback.title,
+    artist: clean(tags.artist) || (hasTags ? null : fallback.artist),
+    album: clean(tags.album),
+    genre: clean(tags.genre) ? normalizeGenre(clean(tags.genre)) : null,
+    year: year ? year.slice(0, 4) : null,
+    comment: clean(tags.comment),
+    bpm: bpm > 0 ? bpm : null,
+    key: clean(tags.key),
+    cover: tags.cover || null,
+    hasTags
+  };
+}
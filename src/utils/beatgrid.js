@@ -0,0 +1,120 @@
+/**
+ * Beatgrid: modello della posizione dei beat in una traccia
+ * 
+ * Una beatgrid è un oggetto { bpm, firstBeat, beatsPerBar } dove:
+ * - bpm: tempo originale della traccia
+ * - firstBeat: posizione (in secondi) del primo downbeat, l'ancora della griglia
+ * - beatsPerBar: beat per battuta (4 per il 4/4)
+ * 
+ * La griglia si estende anche prima dell'ancora, quindi ogni istante della traccia
+ * ha una posizione in beat (può essere negativa prima dell'ancora).
+ */
+
+export const DEFAULT_BEATS_PER_BAR = 4;
+
+/**
+ * Crea una beatgrid
+ * @param {number} bpm - Tempo della traccia
+ * @param {number} firstBeat - Posizione del primo downbeat (in secondi)
+ * @param {number} beatsPerBar - Beat per battuta
+ * @returns {{bpm: number, firstBeat: number, beatsPerBar: number}|null}
+ */
+export function createBeatgrid(bpm, firstBeat = 0, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  if (!bpm || bpm <= 0) return null;
+  return { bpm, firstBeat, beatsPerBar };
+}
+
+/**
+ * Durata di un beat (in secondi)
+ */
+export function getBeatDuration(grid) {
+  return 60 / grid.bpm;
+}
+
+/**
+ * Posizione in beat (frazionaria) di un istante della traccia
+ * @param {Object} grid - Beatgrid
+ * @param {number} time - Posizione nella traccia (in secondi)
+ * @returns {number} - Indice del beat (0 = primo downbeat)
+ */
+export function getBeatPosition(grid, time) {
+  return (time - grid.firstBeat) / getBeatDuration(grid);
+}
+
+/**
+ * Tempo (in secondi) di una posizione in beat
+ */
+export function getTimeAtBeat(grid, beat) {
+  return grid.firstBeat + beat * getBeatDuration(grid);
+}
+
+/**
+ * Fase all'interno del beat: 0 = sul beat, 0.5 = a metà tra due beat
+ * @returns {number} - Valore in [0, 1)
+ */
+export function getBeatPhase(grid, time) {
+  const position = getBeatPosition(grid, time);
+  return position - Math.floor(position);
+}
+
+/**
+ * Fase all'interno della battuta: 0 = sul downbeat
+ * @returns {number} - Valore in [0, beatsPerBar)
+ */
+export function getBarPhase(grid, time) {
+  const position = getBeatPosition(grid, time);
+  const bars = grid.beatsPerBar;
+  return ((position % bars) + bars) % bars;
+}
+
+/**
+ * Beat più vicino a un istante (in secondi)
+ */
+export function getNearestBeatTime(grid, time) {
+  return getTimeAtBeat(grid, Math.round(getBeatPosition(grid, time)));
+}
+
+/**
+ * Prossimo beat a partire da un istante (incluso se già sul beat)
+ */
+export function getNextBeatTime(grid, time) {
+  return getTimeAtBeat(grid, Math.ceil(getBeatPosition(grid, time) - 1e-6));
+}
+
+/**
+ * Differenza di fase tra due posizioni in beat, riportata nell'intervallo [-period/2, period/2)
+ * Positiva se a è avanti rispetto a b
+ * @param {number} a - Posizione in beat
+ * @param {number} b - Posizione in beat
+ * @param {number} period - Periodo di confronto (1 = beat, beatsPerBar = battuta)
+ */
+export function getPhaseDifference(a, b, period = 1) {
+  const diff = (a - b) % period;
+  const wrapped = ((diff % period) + period) % period;
+  return wrapped >= period / 2 ? wrapped - period : wrapped;
+}
+
+/**
+ * Calcola la posizione in cui far partire una traccia perché sia in fase con un'altra
+ * 
+ * Restituisce la posizione più vicina a `time` la cui fase coincide con quella
+ * della traccia di riferimento (a livello di beat o di battuta).
+ * 
+ * @param {Object} grid - Beatgrid della traccia da allineare
+ * @param {number} time - Posizione corrente della traccia da allineare (in secondi)
+ * @param {Object} referenceGrid - Beatgrid della traccia di riferimento
+ * @param {number} referenceTime - Posizione corrente della traccia di riferimento
+ * @param {boolean} alignBars - Se true allinea anche i downbeat
+ * @returns {number} - Nuova posizione (in secondi)
+ */
+export function getPhaseAlignedTime(grid, time, referenceGrid, referenceTime, alignBars = false) {
+  const period = alignBars ? grid.beatsPerBar : 1;
+  const referencePhase = alignBars
+    ? getBarPhase(referenceGrid, referenceTime)
+    : getBeatPhase(referenceGrid, referenceTime);
+  
+  const position = getBeatPosition(grid, time);
+  const alignedPosition = Math.round((position - referencePhase) / period) * period + referencePhase;
+  
+  return getTimeAtBeat(grid, alignedPosition);
+}
@@ -0,0 +1,261 @@
+/**
+ * Analisi del tempo e della beatgrid di una traccia
+ * 
+ * Calcola:
+ * - una stima del tempo (autocorrelazione dell'inviluppo di onset)
+ * - il tempo rifinito (ricerca fine attorno alla stima)
+ * - la fase dei beat (offset del primo beat)
+ * - la posizione dei downbeat (inizio battuta) e l'ancora della griglia
+ *   sul primo downbeat dopo l'inizio della musica
+ * 
+ * L'analisi usa un inviluppo di onset (aumento di energia per frame) su banda piena
+ * e su banda bassa (cassa/basso), che marca meglio i downbeat.
+ * 
+ * Non usa API Web Audio: funziona anche nel worker di analisi (vedi services/analysisWorker),
+ * con un oggetto che espone la stessa interfaccia di lettura di un AudioBuffer.
+ */
+
+import { createBeatgrid, DEFAULT_BEATS_PER_BAR } from './beatgrid';
+
+// Dimensione del frame di analisi (in campioni)
+const HOP_SIZE = 512;
+// Frequenza di taglio del filtro per la banda bassa (Hz)
+const LOW_BAND_CUTOFF = 150;
+// Intervallo di tempo della stima (i tempi fuori intervallo vengono raddoppiati/dimezzati)
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+// Tempo preferito dalla stima in caso di ambiguità (metà/doppio) e sua tolleranza (in ottave)
+const PREFERRED_BPM = 120;
+const PREFERENCE_WIDTH = 1;
+// Ricerca del tempo attorno alla stima: prima grossolana, poi fine
+const BPM_COARSE_RANGE = 2;
+const BPM_COARSE_STEP = 0.05;
+const BPM_FINE_RANGE = 0.05;
+const BPM_FINE_STEP = 0.01;
+
+/**
+ * Calcola gli inviluppi di onset (banda piena e banda bassa)
+ * @param {Float32Array} channelData - Campioni mono
+ * @param {number} sampleRate - Frequenza di campionamento
+ * @returns {{full: Float32Array, low: Float32Array, frameRate: number}}
+ */
+function computeOnsetEnvelopes(channelData, sampleRate) {
+  const frameCount = Math.floor(channelData.length / HOP_SIZE);
+  const fullEnergy = new Float32Array(frameCount);
+  const lowEnergy = new Float32Array(frameCount);
+  
+  // Filtro passa-basso a un polo per la banda bassa
+  const alpha = 1 - Math.exp(-2 * Math.PI * LOW_BAND_CUTOFF / sampleRate);
+  let lowState = 0;
+  
+  for (let frame = 0; frame < frameCount; frame++) {
+    let full = 0;
+    let low = 0;
+    const start = frame * HOP_SIZE;
+    for (let i = start; i < start + HOP_SIZE; i++) {
+      const sample = channelData[i];
+      lowState += alpha * (sample - lowState);
+      full += sample * sample;
+      low += lowState * lowState;
+    }
+    fullEnergy[frame] = Math.log(1e-9 + full / HOP_SIZE);
+    lowEnergy[frame] = Math.log(1e-9 + low / HOP_SIZE);
+  }
+  
+  // Onset = aumento di energia rispetto al frame precedente (solo parte positiva)
+  const full = new Float32Array(frameCount);
+  const low = new Float32Array(frameCount);
+  for (let frame = 1; frame < frameCount; frame++) {
+    full[frame] = Math.max(0, fullEnergy[frame] - fullEnergy[frame - 1]);
+    low[frame] = Math.max(0, lowEnergy[frame] - lowEnergy[frame - 1]);
+  }
+  
+  return { full, low, frameRate: sampleRate / HOP_SIZE };
+}
+
+/**
+ * Valuta una griglia (periodo + fase) sommando l'onset sui beat previsti
+ * @param {Float32Array} envelope - Inviluppo di onset
+ * @param {number} period - Periodo del beat (in frame, frazionario)
+ * @param {number} phase - Fase del primo beat (in frame, frazionaria)
+ * @returns {number} - Punteggio medio per beat
+ */
+function scoreGrid(envelope, period, phase) {
+  let score = 0;
+  let count = 0;
+  for (let position = phase; position < envelope.length - 1; position += period) {
+    // Interpolazione lineare tra i due frame vicini
+    const index = Math.floor(position);
+    const fraction = position - index;
+    score += envelope[index] * (1 - fraction) + envelope[index + 1] * fraction;
+    count++;
+  }
+  return count > 0 ? score / count : 0;
+}
+
+/**
+ * Trova la fase migliore per un periodo dato
+ * @returns {{phase: number, score: number}}
+ */
+function findBestPhase(envelope, period, phaseStep = 1) {
+  let bestPhase = 0;
+  let bestScore = -Infinity;
+  for (let phase = 0; phase < period; phase += phaseStep) {
+    const score = scoreGrid(envelope, period, phase);
+    if (score > bestScore) {
+      bestScore = score;
+      bestPhase = phase;
+    }
+  }
+  return { phase: bestPhase, score: bestScore };
+}
+
+/**
+ * Stima il tempo dall'autocorrelazione dell'inviluppo di onset
+ * Ogni periodo candidato viene valutato anche sul suo doppio (due beat), e pesato
+ * con una preferenza attorno a PREFERRED_BPM per scegliere tra metà e doppio tempo
+ * @param {Float32Array} envelope - Inviluppo di onset
+ * @param {number} frameRate - Frame al secondo dell'inviluppo
+ * @returns {number|null} - BPM stimato o null se non c'è una periodicità
+ */
+function estimateTempo(envelope, frameRate) {
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centered = envelope.map(value => value - mean);
+  
+  const minLag = Math.floor(frameRate * 60 / 200);
+  const maxLag = Math.ceil(frameRate * 60 / 60);
+  const autocorrelation = new Float32Array(2 * maxLag + 2);
+  for (let lag = minLag; lag < autocorrelation.length; lag++) {
+    let sum = 0;
+    for (let i = lag; i < centered.length; i++) {
+      sum += centered[i] * centered[i - lag];
+    }
+    autocorrelation[lag] = sum / (centered.length - lag);
+  }
+  
+  let bestLag = 0;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = frameRate * 60 / lag;
+    const preference = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM) / PREFERENCE_WIDTH, 2));
+    const score = (autocorrelation[lag] + 0.5 * autocorrelation[2 * lag]) * preference;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (!bestLag) return null;
+  
+  // Interpolazione parabolica del picco per una stima sotto il frame
+  const before = autocorrelation[bestLag - 1];
+  const peak = autocorrelation[bestLag];
+  const after = autocorrelation[bestLag + 1];
+  const curvature = before - 2 * peak + after;
+  const offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+  
+  let bpm = frameRate * 60 / (bestLag + Math.max(-0.5, Math.min(0.5, offset)));
+  while (bpm < MIN_BPM) bpm *= 2;
+  while (bpm >= MAX_BPM) bpm /= 2;
+  return bpm;
+}
+
+/**
+ * Cerca il tempo con il punteggio di griglia migliore in un intervallo
+ * @returns {number} - BPM migliore
+ */
+function searchTempo(envelope, frameRate, centerBPM, range, step) {
+  let bestBPM = centerBPM;
+  let bestScore = -Infinity;
+  for (let bpm = centerBPM - range; bpm <= centerBPM + range + 1e-9; bpm += step) {
+    const { score } = findBestPhase(envelope, frameRate * 60 / bpm, 2);
+    if (score > bestScore) {
+      bestScore = score;
+      bestBPM = bpm;
+    }
+  }
+  return bestBPM;
+}
+
+/**
+ * Media i canali in un unico canale mono
+ */
+function toMono(buffer) {
+  if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+  
+  const left = buffer.getChannelData(0);
+  const right = buffer.getChannelData(1);
+  const mono = new Float32Array(left.length);
+  for (let i = 0; i < left.length; i++) {
+    mono[i] = (left[i] + right[i]) / 2;
+  }
+  return mono;
+}
+
+/**
+ * Analizza il tempo e la beatgrid di una traccia
+ * 
+ * @param {AudioBuffer} buffer - Il buffer audio da analizzare
+ * @param {number|null} estimatedBPM - BPM di partenza; se assente viene stimato dalla traccia
+ * @returns {{bpm: number, firstBeat: number, beatsPerBar: number, confidence: number}|null}
+ *   Beatgrid ancorata al primo downbeat, o null se l'analisi non è possibile
+ */
+export function analyzeBeatgrid(buffer, estimatedBPM = null) {
+  if (!buffer) return null;
+  
+  try {
+    console.log('📐 Analisi tempo e beatgrid...');
+    const { full, low, frameRate } = computeOnsetEnvelopes(toMono(buffer), buffer.sampleRate);
+    if (full.length < frameRate * 4) {
+      return estimatedBPM ? createBeatgrid(estimatedBPM, 0) : null;
+    }
+    
+    // 1. Tempo: stima (se non fornita), poi ricerca grossolana e fine del punteggio di griglia
+    const startBPM = estimatedBPM || estimateTempo(full, frameRate);
+    if (!startBPM) return null;
+    const coarseBPM = searchTempo(full, frameRate, startBPM, BPM_COARSE_RANGE, BPM_COARSE_STEP);
+    let bestBPM = searchTempo(full, frameRate, coarseBPM, BPM_FINE_RANGE, BPM_FINE_STEP);
+    bestBPM = Math.round(bestBPM * 100) / 100;
+    const period = frameRate * 60 / bestBPM;
+    
+    // 2. Fase dei beat: ricerca a passo di un quarto di frame
+    const { phase, score: phaseScore } = findBestPhase(full, period, 0.25);
+    
+    // 3. Downbeat: tra le beatsPerBar possibili fasi della battuta, scegli quella
+    // con più energia in banda bassa (la cassa/il basso marcano il primo beat)
+    const beatsPerBar = DEFAULT_BEATS_PER_BAR;
+    let bestBarOffset = 0;
+    let bestBarScore = -Infinity;
+    for (let offset = 0; offset < beatsPerBar; offset++) {
+      const score = scoreGrid(low, period * beatsPerBar, phase + offset * period) +
+        0.5 * scoreGrid(full, period * beatsPerBar, phase + offset * period);
+      if (score > bestBarScore) {
+        bestBarScore = score;
+        bestBarOffset = offset;
+      }
+    }
+    
+    // 4. Ancora: primo downbeat dopo l'inizio della musica (salta l'intro silenziosa)
+    const musicThreshold = phaseScore * 0.5;
+    const barPeriod = period * beatsPerBar;
+    let anchorFrame = phase + bestBarOffset * period;
+    while (anchorFrame + barPeriod < full.length) {
+      const index = Math.round(anchorFrame);
+      const neighborhood = full.slice(Math.max(0, index - 1), index + 2);
+      if (Math.max(...neighborhood) >= musicThreshold) break;
+      anchorFrame += barPeriod;
+    }
+    
+    // Confidenza: quanto l'onset sui beat supera la media dell'inviluppo
+    const average = full.reduce((sum, value) => sum + value, 0) / full.length;
+    const confidence = average > 0 ? Math.min(1, Math.max(0, (phaseScore / average - 1) / 3)) : 0;
+    
+    // +0.5: l'onset cade in media a metà del frame che lo contiene
+    const firstBeat = (anchorFrame + 0.5) / frameRate;
+    console.log(`✅ Beatgrid: ${bestBPM} BPM, primo downbeat a ${firstBeat.toFixed(3)}s (confidenza ${(confidence * 100).toFixed(0)}%)`);
+    
+    return { ...createBeatgrid(bestBPM, firstBeat, beatsPerBar), confidence };
+  } catch (error) {
+    console.error('❌ Errore nell\'analisi della beatgrid:', error);
+    return estimatedBPM ? createBeatgrid(estimatedBPM, 0) : null;
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Collezioni dei software DJ desktop: Traktor (NML) e Rekordbox (XML)
+ *
+ * Entrambi i formati vengono letti e scritti con lo stesso modello:
+ * {
+ *   tracks: [{ ref, fileName, size, sizeTolerance, title, artist, duration,
+ *              bpm, key, beatgrid, cuePoint, hotCues }],
+ *   playlists: [{ type: 'folder', name, children } | { type: 'playlist', name, refs }]
+ * }
+ * - ref identifica la traccia nel file (Traktor: volume + percorso, Rekordbox: TrackID)
+ * - size in byte (Traktor salva i kB: sizeTolerance indica l'arrotondamento)
+ * - key è una tonalità (vedi utils/musicalKey), beatgrid { bpm, firstBeat, beatsPerBar }
+ * - cuePoint e i tempi degli hot cue ({ index, time, name, color }) sono in secondi
+ */
+
+import { createKey, parseKeyName } from './musicalKey';
+import { DEFAULT_BEATS_PER_BAR } from './beatgrid';
+import { getFileName } from './playlistFiles';
+
+// Tipi dei cue di Traktor (attributo TYPE di CUE_V2)
+const TRAKTOR_CUE_TYPES = { CUE: 0, LOAD: 3, GRID: 4 };
+
+/**
+ * Legge un documento XML
+ * @throws {Error} se il testo non è XML valido
+ */
+function parseXml(text, label) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`File ${label} non valido`);
+  }
+  return doc;
+}
+
+/**
+ * Escape dei valori degli attributi XML
+ */
+function xmlAttr(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Figli diretti di un elemento con un certo nome
+ */
+function childElements(element, tagName) {
+  return Array.from(element?.children || []).filter(child => child.tagName === tagName);
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+// ==================== TRAKTOR (NML) ====================
+
+/**
+ * Indice MUSICAL_KEY di Traktor: 0-11 maggiori da C, 12-23 minori da Cm
+ */
+function traktorKeyToKey(value) {
+  const index = parseInt(value, 10);
+  if (!(index >= 0 && index < 24)) return null;
+  return createKey(index % 12, index < 12 ? 'major' : 'minor');
+}
+
+function keyToTraktorKey(key) {
+  return key.tonic + (key.mode === 'minor' ? 12 : 0);
+}
+
+/**
+ * Legge una collezione Traktor (collection.nml o playlist esportata)
+ * @param {string} text - Contenuto del file NML
+ */
+export function parseTraktorNML(text) {
+  const doc = parseXml(text, 'NML');
+  const collection = doc.querySelector('NML > COLLECTION');
+
+  const tracks = childElements(collection, 'ENTRY').map(entry => {
+    const location = entry.querySelector('LOCATION');
+    const info = entry.querySelector('INFO');
+    const tempo = entry.querySelector('TEMPO');
+    const musicalKey = entry.querySelector('MUSICAL_KEY');
+    const fileName = location?.getAttribute('FILE') || '';
+    const fileSizeKB = parseNumber(info?.getAttribute('FILESIZE'));
+    const bpm = parseNumber(tempo?.getAttribute('BPM'));
+
+    let beatgrid = null;
+    let cuePoint = null;
+    const hotCues = [];
+    entry.querySelectorAll('CUE_V2').forEach(cue => {
+      const type = parseInt(cue.getAttribute('TYPE'), 10);
+      const time = (parseNumber(cue.getAttribute('START')) ?? 0) / 1000;
+      const hotCue = parseInt(cue.getAttribute('HOTCUE'), 10);
+
+      if (type === TRAKTOR_CUE_TYPES.GRID) {
+        if (!beatgrid && bpm) beatgrid = { bpm, firstBeat: time, beatsPerBar: DEFAULT_BEATS_PER_BAR };
+        return;
+      }
+      if (hotCue >= 0) {
+        hotCues.push({ index: hotCue, time, name: cue.getAttribute('NAME') || null, color: null });
+      }
+      if (type === TRAKTOR_CUE_TYPES.LOAD || (type === TRAKTOR_CUE_TYPES.CUE && hotCue < 0 && cuePoint === null)) {
+        cuePoint = time;
+      }
+    });
+
+    return {
+      ref: `${location?.getAttribute('VOLUME') || ''}${location?.getAttribute('DIR') || ''}${fileName}`,
+      fileName,
+      size: fileSizeKB !== null ? fileSizeKB * 1024 : null,
+      sizeTolerance: 1024,
+      title: entry.getAttribute('TITLE') || null,
+      artist: entry.getAttribute('ARTIST') || null,
+      duration: parseNumber(info?.getAttribute('PLAYTIME')),
+      bpm,
+      key: musicalKey ? traktorKeyToKey(musicalKey.getAttribute('VALUE')) : parseKeyName(info?.getAttribute('KEY')),
+      beatgrid,
+      cuePoint,
+      hotCues
+    };
+  });
+
+  /**
+   * Nodi delle playlist: NODE TYPE="FOLDER" (SUBNODES) o TYPE="PLAYLIST"
+   */
+  const parseNodes = (subnodes) => childElements(subnodes, 'NODE').map(node => {
+    const name = node.getAttribute('NAME') || '';
+    if (node.getAttribute('TYPE') === 'FOLDER') {
+      return { type: 'folder', name, children: parseNodes(node.querySelector(':scope > SUBNODES')) };
+    }
+    const refs = Array.from(node.querySelectorAll(':scope > PLAYLIST > ENTRY > PRIMARYKEY'))
+      .map(key => key.getAttribute('KEY'));
+    return { type: 'playlist', name, refs };
+  });
+
+  const root = doc.querySelector('NML > PLAYLISTS > NODE');
+  const playlists = root ? parseNodes(root.querySelector(':scope > SUBNODES')) : [];
+
+  return { tracks, playlists };
+}
+
+/**
+ * Scrive una collezione Traktor (NML)
+ * I percorsi non sono noti nel browser: ogni traccia ha solo il nome del file,
+ * da ricollegare in Traktor (Relocate) se necessario.
+ * @param {{tracks: Array<Object>, playlists: Array<Object>}} collection - Modello della collezione
+ * @returns {string}
+ */
+export function serializeTraktorNML({ tracks, playlists }) {
+  const primaryKey = track => `/:${track.fileName}`;
+  const keysByRef = new Map(tracks.map(track => [track.ref, primaryKey(track)]));
+
+  const entries = tracks.map(track => {
+    const cues = [];
+    if (track.beatgrid) {
+      cues.push(`<CUE_V2 NAME="AutoGrid" DISPLAY_ORDER="0" TYPE="${TRAKTOR_CUE_TYPES.GRID}" START="${(track.beatgrid.firstBeat * 1000).toFixed(6)}" LEN="0.000000" REPEATS="-1" HOTCUE="-1"></CUE_V2>`);
+    }
+    if (track.cuePoint !== null && track.cuePoint !== undefined) {
+      cues.push(`<CUE_V2 NAME="Cue" DISPLAY_ORDER="0" TYPE="${TRAKTOR_CUE_TYPES.LOAD}" START="${(track.cuePoint * 1000).toFixed(6)}" LEN="0.000000" REPEATS="-1" HOTCUE="-1"></CUE_V2>`);
+    }
+    track.hotCues.forEach(cue => {
+      cues.push(`<CUE_V2 NAME="${xmlAttr(cue.name || `Cue ${cue.index + 1}`)}" DISPLAY_ORDER="0" TYPE="${TRAKTOR_CUE_TYPES.CUE}" START="${(cue.time * 1000).toFixed(6)}" LEN="0.000000" REPEATS="-1" HOTCUE="${cue.index}"></CUE_V2>`);
+    });
+
+    return [
+      `<ENTRY TITLE="${xmlAttr(track.title)}" ARTIST="${xmlAttr(track.artist)}">`,
+      `<LOCATION DIR="/:" FILE="${xmlAttr(track.fileName)}" VOLUME="" VOLUMEID=""></LOCATION>`,
+      `<INFO FILESIZE="${Math.round((track.size || 0) / 1024)}"${track.duration ? ` PLAYTIME="${Math.round(track.duration)}" PLAYTIME_FLOAT="${track.duration.toFixed(6)}"` : ''}${track.key ? ` KEY="${xmlAttr(track.key.name)}"` : ''}></INFO>`,
+      track.bpm ? `<TEMPO BPM="${track.bpm.toFixed(6)}" BPM_QUALITY="100.000000"></TEMPO>` : '',
+      track.key ? `<MUSICAL_KEY VALUE="${keyToTraktorKey(track.key)}"></MUSICAL_KEY>` : '',
+      ...cues,
+      '</ENTRY>'
+    ].filter(Boolean).join('\n');
+  });
+
+  const serializeNodes = nodes => nodes.map(node => {
+    if (node.type === 'folder') {
+      return `<NODE TYPE="FOLDER" NAME="${xmlAttr(node.name)}"><SUBNODES COUNT="${node.children.length}">\n${serializeNodes(node.children)}\n</SUBNODES></NODE>`;
+    }
+    const refs = node.refs.filter(ref => keysByRef.has(ref));
+    return [
+      `<NODE TYPE="PLAYLIST" NAME="${xmlAttr(node.name)}"><PLAYLIST ENTRIES="${refs.length}" TYPE="LIST" UUID="">`,
+      ...refs.map(ref => `<ENTRY><PRIMARYKEY TYPE="TRACK" KEY="${xmlAttr(keysByRef.get(ref))}"></PRIMARYKEY></ENTRY>`),
+      '</PLAYLIST></NODE>'
+    ].join('\n');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<NML VERSION="19"><HEAD COMPANY="www.native-instruments.com" PROGRAM="Traktor"></HEAD>',
+    `<COLLECTION ENTRIES="${tracks.length}">`,
+    ...entries,
+    '</COLLECTION>',
+    `<PLAYLISTS><NODE TYPE="FOLDER" NAME="$ROOT"><SUBNODES COUNT="${playlists.length}">`,
+    serializeNodes(playlists),
+    '</SUBNODES></NODE></PLAYLISTS>',
+    '</NML>',
+    ''
+  ].join('\n');
+}
+
+// ==================== REKORDBOX (XML) ====================
+
+/**
+ * Colore di un hot cue Rekordbox (attributi Red, Green, Blue)
+ */
+function rekordboxColor(mark) {
+  if (!mark.hasAttribute('Red')) return null;
+  return `#${['Red', 'Green', 'Blue']
+    .map(channel => Math.max(0, Math.min(255, parseInt(mark.getAttribute(channel), 10) || 0)).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Legge una collezione Rekordbox (File > Esporta collezione in formato xml)
+ * @param {string} text - Contenuto del file XML
+ */
+export function parseRekordboxXML(text) {
+  const doc = parseXml(text, 'Rekordbox XML');
+  const collection = doc.querySelector('DJ_PLAYLISTS > COLLECTION');
+
+  const tracks = childElements(collection, 'TRACK').map(track => {
+    const bpm = parseNumber(track.getAttribute('AverageBpm'));
+
+    // Il primo marker di tempo ancora la griglia; Battito è il numero del beat nella battuta
+    let beatgrid = null;
+    const tempo = childElements(track, 'TEMPO')[0];
+    if (tempo) {
+      const tempoBpm = parseNumber(tempo.getAttribute('Bpm')) || bpm;
+      const beatsPerBar = parseInt(tempo.getAttribute('Metro'), 10) || DEFAULT_BEATS_PER_BAR;
+      const beat = parseInt(tempo.getAttribute('Battito'), 10) || 1;
+      const start = parseNumber(tempo.getAttribute('Inizio')) ?? 0;
+      if (tempoBpm) {
+        const beatLength = 60 / tempoBpm;
+        let firstBeat = start - (beat - 1) * beatLength;
+        if (firstBeat < 0) firstBeat += beatsPerBar * beatLength;
+        beatgrid = { bpm: tempoBpm, firstBeat, beatsPerBar };
+      }
+    }
+
+    let cuePoint = null;
+    const hotCues = [];
+    childElements(track, 'POSITION_MARK').forEach(mark => {
+      const time = parseNumber(mark.getAttribute('Start')) ?? 0;
+      const num = parseInt(mark.getAttribute('Num'), 10);
+      if (num >= 0) {
+        hotCues.push({ index: num, time, name: mark.getAttribute('Name') || null, color: rekordboxColor(mark) });
+      } else if (cuePoint === null) {
+        cuePoint = time;
+      }
+    });
+
+    const location = track.getAttribute('Location') || '';
+    return {
+      ref: track.getAttribute('TrackID'),
+      fileName: getFileName(location),
+      size: parseNumber(track.getAttribute('Size')),
+      sizeTolerance: 0,
+      title: track.getAttribute('Name') || null,
+      artist: track.getAttribute('Artist') || null,
+      duration: parseNumber(track.getAttribute('TotalTime')),
+      bpm,
+      key: parseKeyName(track.getAttribute('Tonality')),
+      beatgrid,
+      cuePoint,
+      hotCues
+    };
+  });
+
+  /**
+   * Nodi delle playlist: Type="0" cartella, Type="1" playlist (KeyType="0": chiave = TrackID)
+   */
+  const parseNodes = (parent) => childElements(parent, 'NODE').map(node => {
+    const name = node.getAttribute('Name') || '';
+    if (node.getAttribute('Type') === '0') {
+      return { type: 'folder', name, children: parseNodes(node) };
+    }
+    return { type: 'playlist', name, refs: childElements(node, 'TRACK').map(entry => entry.getAttribute('Key')) };
+  });
+
+  const root = doc.querySelector('DJ_PLAYLISTS > PLAYLISTS > NODE');
+  return { tracks, playlists: root ? parseNodes(root) : [] };
+}
+
+/**
+ * Scrive una collezione Rekordbox (XML)
+ * Come per Traktor, le tracce hanno solo il nome del file (da ricollegare in Rekordbox)
+ * @param {{tracks: Array<Object>, playlists: Array<Object>}} collection - Modello della collezione
+ * @returns {string}
+ */
+export function serializeRekordboxXML({ tracks, playlists }) {
+  const idsByRef = new Map(tracks.map((track, i) => [track.ref, i + 1]));
+
+  const entries = tracks.map((track, i) => {
+    const children = [];
+    if (track.beatgrid) {
+      children.push(`<TEMPO Inizio="${track.beatgrid.firstBeat.toFixed(3)}" Bpm="${track.beatgrid.bpm.toFixed(2)}" Metro="${track.beatgrid.beatsPerBar}/4" Battito="1"/>`);
+    }
+    if (track.cuePoint !== null && track.cuePoint !== undefined) {
+      children.push(`<POSITION_MARK Name="" Type="0" Start="${track.cuePoint.toFixed(3)}" Num="-1"/>`);
+    }
+    track.hotCues.forEach(cue => {
+      const rgb = /^#[0-9a-f]{6}$/i.test(cue.color || '')
+        ? ` Red="${parseInt(cue.color.slice(1, 3), 16)}" Green="${parseInt(cue.color.slice(3, 5), 16)}" Blue="${parseInt(cue.color.slice(5, 7), 16)}"`
+        : '';
+      children.push(`<POSITION_MARK Name="${xmlAttr(cue.name)}" Type="0" Start="${cue.time.toFixed(3)}" Num="${cue.index}"${rgb}/>`);
+    });
+
+    const attributes = [
+      `TrackID="${i + 1}"`,
+      `Name="${xmlAttr(track.title)}"`,
+      `Artist="${xmlAttr(track.artist)}"`,
+      `Size="${Math.round(track.size || 0)}"`,
+      `TotalTime="${Math.round(track.duration || 0)}"`,
+      `AverageBpm="${(track.bpm || 0).toFixed(2)}"`,
+      `Tonality="${xmlAttr(track.key?.name || '')}"`,
+      `Location="file://localhost/${encodeURIComponent(track.fileName)}"`
+    ].join(' ');
+
+    return children.length > 0
+      ? `<TRACK ${attributes}>\n${children.join('\n')}\n</TRACK>`
+      : `<TRACK ${attributes}/>`;
+  });
+
+  const serializeNodes = nodes => nodes.map(node => {
+    if (node.type === 'folder') {
+      return `<NODE Type="0" Name="${xmlAttr(node.name)}" Count="${node.children.length}">\n${serializeNodes(node.children)}\n</NODE>`;
+    }
+    const ids = node.refs.filter(ref => idsByRef.has(ref)).map(ref => idsByRef.get(ref));
+    return [
+      `<NODE Name="${xmlAttr(node.name)}" Type="1" KeyType="0" Entries="${ids.length}">`,
+      ...ids.map(id => `<TRACK Key="${id}"/>`),
+      '</NODE>'
+    ].join('\n');
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<DJ_PLAYLISTS Version="1.0.0">',
+    '<PRODUCT Name="Fratemix" Version="1.0" Company=""/>',
+    `<COLLECTION Entries="${tracks.length}">`,
+    ...entries,
+    '</COLLECTION>',
+    '<PLAYLISTS>',
+    `<NODE Type="0" Name="ROOT" Count="${playlists.length}">`,
+    serializeNodes(playlists),
+    '</NODE>',
+    '</PLAYLISTS>',
+    '</DJ_PLAYLISTS>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,19 @@
+/**
+ * Tipi MIME dei dati trascinati all'interno del browser delle tracce
+ * (durante il dragover si possono leggere solo i tipi, non i dati)
+ */
+export const DRAG_TYPES = {
+  // Id delle tracce in libreria (array JSON)
+  TRACKS: 'application/x-fratemix-tracks',
+  // Id di una playlist o crate
+  PLAYLIST: 'application/x-fratemix-playlist'
+};
+
+/**
+ * Verifica se un evento di drag trasporta un certo tipo di dati
+ * @param {DragEvent} e - Evento di drag
+ * @param {string} type - Uno dei DRAG_TYPES
+ */
+export function hasDragType(e, type) {
+  return Array.from(e.dataTransfer?.types || []).includes(type);
+}
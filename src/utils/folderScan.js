@@ -0,0 +1,124 @@
+/**
+ * Scansione di cartelle di file audio
+ *
+ * Le cartelle arrivano in due modi:
+ * - dall'input file con webkitdirectory: i file hanno webkitRelativePath ("Cartella/Sotto/file.mp3")
+ * - dal drag and drop: DataTransferItem.webkitGetAsEntry(), da visitare ricorsivamente
+ *
+ * In entrambi i casi il risultato è una lista di { file, folder }, dove folder è il percorso
+ * della cartella del file rispetto a quella importata ('' per i file sciolti).
+ */
+
+// Estensioni audio riconosciute quando il browser non assegna un tipo al file (file.type vuoto)
+const AUDIO_EXTENSIONS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  aif: 'audio/aiff',
+  aiff: 'audio/aiff',
+  webm: 'audio/webm'
+};
+
+function getExtension(fileName) {
+  const parts = fileName.toLowerCase().split('.');
+  return parts.length > 1 ? parts.pop() : '';
+}
+
+/**
+ * Verifica se un file è audio (dal tipo o, se manca, dall'estensione)
+ * @param {File} file - Il file
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+  // application/octet-stream (tipo generico dei server remoti) vale come tipo sconosciuto
+  if (file.type && file.type !== 'application/octet-stream') return file.type.startsWith('audio/');
+  return getExtension(file.name) in AUDIO_EXTENSIONS;
+}
+
+/**
+ * Tipo MIME di un file audio (dall'estensione se il browser non lo conosce)
+ * @param {File} file - Il file
+ * @returns {string}
+ */
+export function getAudioType(file) {
+  return file.type || AUDIO_EXTENSIONS[getExtension(file.name)] || '';
+}
+
+/**
+ * Cartella di un percorso relativo ("A/B/file.mp3" → "A/B")
+ */
+function getFolder(relativePath) {
+  return relativePath.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * File scelti con l'input file (con o senza webkitdirectory)
+ * @param {FileList|File[]} files - File selezionati
+ * @returns {Array<{file: File, folder: string}>}
+ */
+export function getSelectedFiles(files) {
+  return Array.from(files || []).map(file => ({
+    file,
+    folder: getFolder(file.webkitRelativePath || '')
+  }));
+}
+
+/**
+ * Legge tutte le voci di una cartella (readEntries restituisce al massimo 100 voci per chiamata)
+ */
+async function readDirectoryEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Visita ricorsivamente una voce (file o cartella) del drag and drop
+ */
+async function scanEntry(entry, folder, results) {
+  if (entry.isFile) {
+    try {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      results.push({ file, folder });
+    } catch (error) {
+      console.warn(`⚠️ Impossibile leggere ${entry.fullPath}:`, error);
+    }
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const path = folder ? `${folder}/${entry.name}` : entry.name;
+    for (const child of await readDirectoryEntries(entry)) {
+      await scanEntry(child, path, results);
+    }
+  }
+}
+
+/**
+ * File trascinati (cartelle comprese, visitate ricorsivamente)
+ * Le voci vanno lette subito: il DataTransfer non è più accessibile dopo il primo await.
+ * @param {DataTransfer} dataTransfer - Dati del drop
+ * @returns {Promise<Array<{file: File, folder: string}>>}
+ */
+export async function getDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+
+  // Browser senza webkitGetAsEntry: solo i file sciolti
+  if (entries.length === 0) return getSelectedFiles(dataTransfer.files);
+
+  const results = [];
+  for (const entry of entries) {
+    await scanEntry(entry, '', results);
+  }
+  return results;
+}
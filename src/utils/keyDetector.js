@@ -0,0 +1,224 @@
+/**
+ * Rilevazione della tonalità di una traccia
+ * 
+ * Algoritmo (template matching sul cromagramma):
+ * 1. Mixdown mono e decimazione a ~11 kHz (le fondamentali utili stanno sotto i 4 kHz)
+ * 2. FFT su frame distribuiti lungo la traccia, energia di ogni bin sommata
+ *    nella sua classe di altezza (C, C#, ..., B) → cromagramma medio
+ * 3. Correlazione del cromagramma con i profili di Krumhansl-Kessler
+ *    delle 24 tonalità (12 maggiori, 12 minori): vince la correlazione più alta
+ */
+
+import { createKey } from './musicalKey';
+
+// Frequenza di analisi dopo la decimazione (circa)
+const ANALYSIS_SAMPLE_RATE = 11025;
+// Dimensione della FFT (a ~11 kHz: risoluzione ~1.35 Hz, sufficiente per le note basse)
+const FFT_SIZE = 8192;
+// Numero massimo di frame analizzati (distribuiti su tutta la traccia)
+const MAX_FRAMES = 200;
+// Intervallo di frequenze considerato (da A1 a A7)
+const MIN_FREQUENCY = 55;
+const MAX_FREQUENCY = 3520;
+
+// Profili tonali di Krumhansl-Kessler (tonica in posizione 0)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * FFT radix-2 in place (parte reale e immaginaria separate)
+ */
+function fft(real, imag) {
+  const n = real.length;
+  
+  // Permutazione bit-reversal
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = -2 * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+/**
+ * Mixdown mono e decimazione (media di gruppi di campioni, che fa anche da passa-basso)
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+function downmix(buffer) {
+  const factor = Math.max(1, Math.round(buffer.sampleRate / ANALYSIS_SAMPLE_RATE));
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+  
+  const length = Math.floor(channels[0].length / factor);
+  const samples = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (const data of channels) {
+      for (let j = i * factor; j < (i + 1) * factor; j++) {
+        sum += data[j];
+      }
+    }
+    samples[i] = sum * scale;
+  }
+  
+  return { samples, sampleRate: buffer.sampleRate / factor };
+}
+
+/**
+ * Coefficiente di correlazione di Pearson tra due vettori di 12 elementi,
+ * con il profilo ruotato sulla tonica
+ */
+function correlate(chroma, profile, tonic) {
+  let meanChroma = 0;
+  let meanProfile = 0;
+  for (let i = 0; i < 12; i++) {
+    meanChroma += chroma[i] / 12;
+    meanProfile += profile[i] / 12;
+  }
+  
+  let covariance = 0;
+  let varianceChroma = 0;
+  let varianceProfile = 0;
+  for (let i = 0; i < 12; i++) {
+    const c = chroma[(i + tonic) % 12] - meanChroma;
+    const p = profile[i] - meanProfile;
+    covariance += c * p;
+    varianceChroma += c * c;
+    varianceProfile += p * p;
+  }
+  
+  const denominator = Math.sqrt(varianceChroma * varianceProfile);
+  return denominator > 0 ? covariance / denominator : 0;
+}
+
+/**
+ * Calcola il cromagramma medio della traccia
+ * @returns {Float32Array} - Energia relativa delle 12 classi di altezza
+ */
+function computeChroma(samples, sampleRate) {
+  const chroma = new Float32Array(12);
+  if (samples.length < FFT_SIZE) return chroma;
+  
+  // Classe di altezza di ogni bin (-1 = fuori intervallo)
+  const binPitchClass = new Int8Array(FFT_SIZE / 2).fill(-1);
+  for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+    const frequency = bin * sampleRate / FFT_SIZE;
+    if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) continue;
+    const midi = 69 + 12 * Math.log2(frequency / 440);
+    binPitchClass[bin] = ((Math.round(midi) % 12) + 12) % 12;
+  }
+  
+  // Finestra di Hann
+  const hannWindow = new Float32Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) {
+    hannWindow[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE);
+  }
+  
+  const frameCount = Math.min(MAX_FRAMES, Math.floor(samples.length / FFT_SIZE));
+  const frameStep = (samples.length - FFT_SIZE) / Math.max(1, frameCount - 1);
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  const frameChroma = new Float32Array(12);
+  
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = Math.floor(frame * frameStep);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      real[i] = samples[start + i] * hannWindow[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    
+    frameChroma.fill(0);
+    let total = 0;
+    for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+      const pitchClass = binPitchClass[bin];
+      if (pitchClass < 0) continue;
+      const magnitude = Math.sqrt(real[bin] * real[bin] + imag[bin] * imag[bin]);
+      frameChroma[pitchClass] += magnitude;
+      total += magnitude;
+    }
+    
+    // Ogni frame pesa allo stesso modo (i passaggi forti non dominano il risultato)
+    if (total > 0) {
+      for (let i = 0; i < 12; i++) {
+        chroma[i] += frameChroma[i] / total;
+      }
+    }
+  }
+  
+  return chroma;
+}
+
+/**
+ * Rileva la tonalità di una traccia
+ * 
+ * @param {AudioBuffer} buffer - Il buffer audio da analizzare
+ * @returns {{tonic: number, mode: string, name: string, camelot: string, confidence: number}|null}
+ *   La tonalità rilevata, o null se l'analisi non è possibile
+ */
+export function detectKey(buffer) {
+  if (!buffer) return null;
+  
+  try {
+    console.log('🎼 Analisi tonalità...');
+    const { samples, sampleRate } = downmix(buffer);
+    const chroma = computeChroma(samples, sampleRate);
+    if (chroma.every(value => value === 0)) return null;
+    
+    // Correlazione con le 24 tonalità
+    const candidates = [];
+    for (let tonic = 0; tonic < 12; tonic++) {
+      candidates.push({ tonic, mode: 'major', score: correlate(chroma, MAJOR_PROFILE, tonic) });
+      candidates.push({ tonic, mode: 'minor', score: correlate(chroma, MINOR_PROFILE, tonic) });
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    
+    // Confidenza: forza della correlazione × distacco dalla miglior alternativa.
+    // La relativa (stesse note) non conta come alternativa: sulla ruota Camelot è compatibile
+    const relativeTonic = best.mode === 'major' ? (best.tonic + 9) % 12 : (best.tonic + 3) % 12;
+    const runnerUp = candidates.find(candidate =>
+      candidate !== best && !(candidate.tonic === relativeTonic && candidate.mode !== best.mode)
+    );
+    const strength = Math.max(0, Math.min(1, best.score));
+    const separation = Math.max(0, Math.min(1, (best.score - runnerUp.score) / 0.2));
+    const confidence = Math.round(Math.sqrt(strength * separation) * 100) / 100;
+    
+    const key = createKey(best.tonic, best.mode, confidence);
+    console.log(`✅ Tonalità rilevata: ${key.name} (${key.camelot}), confidenza ${(confidence * 100).toFixed(0)}%`);
+    return key;
+  } catch (error) {
+    console.error('❌ Errore nella rilevazione della tonalità:', error);
+    return null;
+  }
+}
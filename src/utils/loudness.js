@@ -0,0 +1,133 @@
+/**
+ * Misura della loudness di una traccia (ITU-R BS.1770 / EBU R128)
+ * 
+ * 1. Filtro K (shelf sugli alti + passa-alto) su ogni canale
+ * 2. Energia in blocchi di 400ms sovrapposti al 75%
+ * 3. Gate assoluto a -70 LUFS, poi gate relativo a -10 LU dalla media
+ * 4. Loudness integrata = media dell'energia dei blocchi rimasti
+ * 
+ * Restituisce anche il picco (sample peak, in dBFS).
+ */
+
+// Blocco di misura e passo (in secondi)
+const BLOCK_DURATION = 0.4;
+const BLOCK_STEP = 0.1;
+// Gate assoluto (LUFS) e relativo (LU)
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+/**
+ * Coefficienti dei due biquad del filtro K per una frequenza di campionamento
+ * (stessa derivazione di libebur128, valida per qualsiasi sample rate)
+ */
+function getKWeightingCoefficients(sampleRate) {
+  // Stadio 1: high shelf (+4dB sopra ~1.7kHz, modello della testa)
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const Q1 = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q1 + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q1 + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q1 + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q1 + K * K) / a0
+  };
+  
+  // Stadio 2: passa-alto (RLB) a ~38Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  const Q2 = 0.5003270373238773;
+  a0 = 1 + K / Q2 + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q2 + K * K) / a0
+  };
+  
+  return [shelf, highpass];
+}
+
+/**
+ * Converte un'energia media in LUFS
+ */
+function energyToLoudness(energy) {
+  return -0.691 + 10 * Math.log10(energy);
+}
+
+/**
+ * Misura la loudness integrata e il picco di una traccia
+ * @param {AudioBuffer} buffer - Il buffer audio da analizzare
+ * @returns {{integrated: number, peak: number}|null} - LUFS integrati e picco in dBFS,
+ *   null se la traccia è troppo corta o silenziosa
+ */
+export function measureLoudness(buffer) {
+  if (!buffer) return null;
+  
+  const sampleRate = buffer.sampleRate;
+  const stepSize = Math.round(sampleRate * BLOCK_STEP);
+  const stepsPerBlock = Math.round(BLOCK_DURATION / BLOCK_STEP);
+  const stepCount = Math.floor(buffer.length / stepSize);
+  if (stepCount < stepsPerBlock) return null;
+  
+  const filters = getKWeightingCoefficients(sampleRate);
+  
+  // Energia filtrata per ogni passo di 100ms, sommata sui canali
+  const stepEnergy = new Float64Array(stepCount);
+  let peak = 0;
+  
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    const states = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    
+    for (let step = 0; step < stepCount; step++) {
+      let sum = 0;
+      const end = (step + 1) * stepSize;
+      for (let i = step * stepSize; i < end; i++) {
+        let value = data[i];
+        const magnitude = Math.abs(value);
+        if (magnitude > peak) peak = magnitude;
+        
+        for (let f = 0; f < filters.length; f++) {
+          const c = filters[f];
+          const s = states[f];
+          const output = c.b0 * value + c.b1 * s.x1 + c.b2 * s.x2 - c.a1 * s.y1 - c.a2 * s.y2;
+          s.x2 = s.x1;
+          s.x1 = value;
+          s.y2 = s.y1;
+          s.y1 = output;
+          value = output;
+        }
+        sum += value * value;
+      }
+      stepEnergy[step] += sum / stepSize;
+    }
+  }
+  
+  // Blocchi di 400ms (4 passi) con passo di 100ms
+  const blocks = [];
+  for (let step = 0; step + stepsPerBlock <= stepCount; step++) {
+    let energy = 0;
+    for (let i = 0; i < stepsPerBlock; i++) {
+      energy += stepEnergy[step + i];
+    }
+    energy /= stepsPerBlock;
+    if (energyToLoudness(energy) > ABSOLUTE_GATE) {
+      blocks.push(energy);
+    }
+  }
+  if (blocks.length === 0) return null;
+  
+  // Gate relativo: scarta i blocchi 10 LU sotto la media dei blocchi udibili
+  const ungatedEnergy = blocks.reduce((sum, energy) => sum + energy, 0) / blocks.length;
+  const relativeThreshold = energyToLoudness(ungatedEnergy) + RELATIVE_GATE;
+  const gated = blocks.filter(energy => energyToLoudness(energy) > relativeThreshold);
+  const integratedEnergy = gated.reduce((sum, energy) => sum + energy, 0) / gated.length;
+  
+  return {
+    integrated: Math.round(energyToLoudness(integratedEnergy) * 10) / 10,
+    peak: peak > 0 ? Math.round(20 * Math.log10(peak) * 10) / 10 : -Infinity
+  };
+}
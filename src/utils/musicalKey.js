@@ -0,0 +1,125 @@
+/**
+ * Tonalità musicali e notazione Camelot
+ * 
+ * Una tonalità è un oggetto { tonic, mode, name, camelot, confidence } dove:
+ * - tonic: classe di altezza della tonica (0 = C, 1 = C#, ..., 11 = B)
+ * - mode: 'major' o 'minor'
+ * - name: nome breve ('C', 'F#m', ...)
+ * - camelot: codice della ruota Camelot ('8B' = C maggiore, '8A' = A minore)
+ * - confidence: affidabilità della rilevazione (0-1), se nota
+ */
+
+export const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Codice Camelot di una tonalità
+ * Sulla ruota le tonalità adiacenti sono a una quinta di distanza;
+ * la minore relativa ha lo stesso numero della maggiore (lettera A invece di B)
+ * @param {number} tonic - Classe di altezza della tonica (0-11)
+ * @param {string} mode - 'major' o 'minor'
+ * @returns {string} - Es. '8B'
+ */
+export function getCamelotCode(tonic, mode) {
+  // La minore ha lo stesso numero della sua relativa maggiore (una terza minore sopra)
+  const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+  // Posizione sul circolo delle quinte (C = 0, G = 1, D = 2, ...)
+  const fifths = (majorTonic * 7) % 12;
+  const number = ((fifths + 7) % 12) + 1;
+  return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+}
+
+/**
+ * Crea una tonalità
+ * @param {number} tonic - Classe di altezza della tonica (0-11)
+ * @param {string} mode - 'major' o 'minor'
+ * @param {number|null} confidence - Affidabilità della rilevazione (0-1)
+ */
+export function createKey(tonic, mode, confidence = null) {
+  const normalizedTonic = ((tonic % 12) + 12) % 12;
+  return {
+    tonic: normalizedTonic,
+    mode,
+    name: `${PITCH_CLASS_NAMES[normalizedTonic]}${mode === 'minor' ? 'm' : ''}`,
+    camelot: getCamelotCode(normalizedTonic, mode),
+    confidence
+  };
+}
+
+/**
+ * Trasporta una tonalità di un numero intero di semitoni
+ * @param {Object} key - Tonalità
+ * @param {number} semitones - Semitoni (positivi = verso l'alto)
+ * @returns {Object|null}
+ */
+export function transposeKey(key, semitones) {
+  if (!key) return null;
+  if (!semitones) return key;
+  return createKey(key.tonic + semitones, key.mode, key.confidence);
+}
+
+/**
+ * Spostamento di intonazione (in semitoni, frazionario) prodotto da una velocità di riproduzione
+ * Es. +6% di velocità ≈ +1 semitono
+ * @param {number} playbackRate - Velocità di riproduzione (1 = originale)
+ */
+export function getPlaybackRateSemitones(playbackRate) {
+  if (!playbackRate || playbackRate <= 0) return 0;
+  return 12 * Math.log2(playbackRate);
+}
+
+/**
+ * Compatibilità armonica tra due tonalità secondo la ruota Camelot
+ * - 'perfect': stesso codice (es. 8A e 8A)
+ * - 'compatible': numero adiacente con la stessa lettera (7A, 9A)
+ *   o stesso numero con l'altra lettera (relativa maggiore/minore, 8B)
+ * - null: non compatibili (o tonalità sconosciuta)
+ * @param {Object} keyA - Tonalità
+ * @param {Object} keyB - Tonalità
+ * @returns {'perfect'|'compatible'|null}
+ */
+export function getHarmonicMatch(keyA, keyB) {
+  if (!keyA || !keyB) return null;
+  
+  const numberA = parseInt(keyA.camelot, 10);
+  const numberB = parseInt(keyB.camelot, 10);
+  const sameLetter = keyA.camelot.slice(-1) === keyB.camelot.slice(-1);
+  
+  if (numberA === numberB && sameLetter) return 'perfect';
+  
+  const distance = Math.min((numberA - numberB + 12) % 12, (numberB - numberA + 12) % 12);
+  if ((distance === 1 && sameLetter) || (distance === 0 && !sameLetter)) return 'compatible';
+  
+  return null;
+}
+
+// Classi di altezza delle note naturali
+const NATURAL_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Legge una tonalità scritta come testo da altri software o dai tag
+ * Formati supportati: nome ('Am', 'F#m', 'Dbmaj', 'C minor') e codice Camelot ('8A', '08B')
+ * @param {string} text - Tonalità come testo
+ * @returns {Object|null} - La tonalità, o null se il testo non è riconosciuto
+ */
+export function parseKeyName(text) {
+  const value = String(text || '').trim();
+  
+  const camelot = value.match(/^0?(1[0-2]|[1-9])\s*([AB])$/i);
+  if (camelot) {
+    const code = `${parseInt(camelot[1], 10)}${camelot[2].toUpperCase()}`;
+    const mode = code.endsWith('A') ? 'minor' : 'major';
+    for (let tonic = 0; tonic < 12; tonic++) {
+      if (getCamelotCode(tonic, mode) === code) return createKey(tonic, mode);
+    }
+  }
+  
+  const named = value.match(/^([A-G])\s*([#♯b♭]?)\s*(m|min|minor|maj|major)?$/i);
+  if (!named) return null;
+  
+  const letter = named[1].toUpperCase();
+  const accidental = named[2] === '#' || named[2] === '♯' ? 1 : named[2] ? -1 : 0;
+  // 'm' minuscola = minore, 'M' = maggiore (notazione di alcuni software)
+  const suffix = named[3] || '';
+  const mode = /^(m|min|minor)$/i.test(suffix) && suffix !== 'M' ? 'minor' : 'major';
+  return createKey(NATURAL_PITCH_CLASSES[letter] + accidental, mode);
+}
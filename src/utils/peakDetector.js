@@ -0,0 +1,78 @@
+/**
+ * Rilevazione dei picchi di energia di una traccia
+ * 
+ * L'energia viene calcolata in finestre di 100ms (sovrapposte al 50%):
+ * sono picchi i massimi locali sopra il 70° percentile, distanti almeno 0.3s tra loro.
+ */
+
+// Finestra di analisi e distanza minima tra i picchi (in secondi)
+const WINDOW_DURATION = 0.1;
+const MIN_PEAK_DISTANCE = 0.3;
+// Percentile dell'energia usato come soglia
+const THRESHOLD_PERCENTILE = 0.7;
+
+/**
+ * Media i canali stereo in un unico canale
+ */
+function averageChannels(buffer) {
+  const left = buffer.getChannelData(0);
+  const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+  const averaged = new Float32Array(left.length);
+  for (let i = 0; i < left.length; i++) {
+    averaged[i] = (left[i] + right[i]) / 2;
+  }
+  return averaged;
+}
+
+/**
+ * Rileva i picchi nella traccia audio
+ * @param {AudioBuffer} buffer - Il buffer audio da analizzare
+ * @returns {Array<number>} - Array di tempi (in secondi) dove si trovano i picchi
+ */
+export function detectPeaks(buffer) {
+  if (!buffer) return [];
+  
+  try {
+    const channelData = buffer.numberOfChannels > 1 
+      ? averageChannels(buffer) 
+      : buffer.getChannelData(0);
+    const sampleRate = buffer.sampleRate;
+    
+    // Calcola energia in finestre di 100ms
+    const windowSize = Math.floor(sampleRate * WINDOW_DURATION);
+    const hopSize = Math.floor(windowSize / 2);
+    const energyValues = [];
+    
+    for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
+      let energy = 0;
+      for (let j = i; j < i + windowSize && j < channelData.length; j++) {
+        energy += channelData[j] * channelData[j];
+      }
+      energyValues.push(energy / windowSize);
+    }
+    
+    // Trova picchi usando soglia adattiva
+    const sortedValues = [...energyValues].sort((a, b) => a - b);
+    const threshold = sortedValues[Math.floor(sortedValues.length * THRESHOLD_PERCENTILE)];
+    const minPeakDistance = Math.floor(MIN_PEAK_DISTANCE * sampleRate / hopSize);
+    
+    const peaks = [];
+    let lastPeakIndex = -minPeakDistance;
+    
+    for (let i = 1; i < energyValues.length - 1; i++) {
+      if (energyValues[i] > threshold && 
+          energyValues[i] > energyValues[i - 1] && 
+          energyValues[i] > energyValues[i + 1] &&
+          (i - lastPeakIndex) >= minPeakDistance) {
+        // Converti indice in tempo (secondi)
+        peaks.push((i * hopSize) / sampleRate);
+        lastPeakIndex = i;
+      }
+    }
+    
+    return peaks;
+  } catch (error) {
+    console.error('Errore nel rilevamento dei picchi:', error);
+    return [];
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Playlist in formato testo: M3U8 e PLS
+ *
+ * Le voci sono { path, title, duration } (durata in secondi, null se non nota).
+ * I software desktop scrivono percorsi completi: il browser non li può leggere,
+ * quindi le voci vengono associate alle tracce della libreria dal nome del file (vedi getFileName).
+ */
+
+/**
+ * Nome del file di un percorso (Windows, Unix o URL)
+ * @param {string} path - Percorso o URL
+ */
+export function getFileName(path) {
+  const clean = String(path || '').split(/[?#]/)[0];
+  const name = clean.split(/[\\/]/).pop() || '';
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * Legge una playlist M3U / M3U8 (con o senza intestazione #EXTM3U)
+ * @param {string} text - Contenuto del file
+ * @returns {Array<{path: string, title: string|null, duration: number|null}>}
+ */
+export function parseM3U(text) {
+  const entries = [];
+  let info = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    // #EXTINF:durata,Artista - Titolo
+    const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+    if (extinf) {
+      const duration = parseFloat(extinf[1]);
+      info = { duration: duration > 0 ? duration : null, title: extinf[2].trim() || null };
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    entries.push({ path: line, title: info?.title ?? null, duration: info?.duration ?? null });
+    info = null;
+  });
+
+  return entries;
+}
+
+/**
+ * Scrive una playlist M3U8
+ * @param {Array<{path: string, title?: string, duration?: number}>} entries - Voci
+ * @returns {string}
+ */
+export function serializeM3U(entries) {
+  const lines = ['#EXTM3U'];
+  entries.forEach(entry => {
+    lines.push(`#EXTINF:${Math.round(entry.duration || -1)},${entry.title || getFileName(entry.path)}`);
+    lines.push(entry.path);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Legge una playlist PLS
+ * @param {string} text - Contenuto del file
+ * @returns {Array<{path: string, title: string|null, duration: number|null}>}
+ */
+export function parsePLS(text) {
+  const byIndex = new Map();
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) return;
+    const index = parseInt(match[2], 10);
+    const entry = byIndex.get(index) || { path: null, title: null, duration: null };
+    const field = match[1].toLowerCase();
+    if (field === 'file') entry.path = match[3].trim();
+    if (field === 'title') entry.title = match[3].trim() || null;
+    if (field === 'length') {
+      const duration = parseFloat(match[3]);
+      entry.duration = duration > 0 ? duration : null;
+    }
+    byIndex.set(index, entry);
+  });
+
+  return Array.from(byIndex.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([, entry]) => entry)
+    .filter(entry => entry.path);
+}
+
+/**
+ * Scrive una playlist PLS
+ * @param {Array<{path: string, title?: string, duration?: number}>} entries - Voci
+ * @returns {string}
+ */
+export function serializePLS(entries) {
+  const lines = ['[playlist]'];
+  entries.forEach((entry, i) => {
+    lines.push(`File${i + 1}=${entry.path}`);
+    lines.push(`Title${i + 1}=${entry.title || getFileName(entry.path)}`);
+    lines.push(`Length${i + 1}=${Math.round(entry.duration || -1)}`);
+  });
+  lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+}
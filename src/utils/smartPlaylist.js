@@ -0,0 +1,198 @@
+/**
+ * Regole delle smart playlist
+ *
+ * Una smart playlist non contiene tracce: le ricava dalla libreria con delle regole
+ * { match: 'all' | 'any', conditions: [{ field, operator, value, value2 }] }
+ * - match 'all': la traccia deve soddisfare tutte le condizioni (AND)
+ * - match 'any': basta una condizione (OR)
+ * Senza condizioni (complete) la playlist contiene tutta la libreria.
+ *
+ * Le regole vengono valutate sullo stato corrente della libreria, quindi la playlist
+ * si aggiorna da sola quando le tracce vengono aggiunte, analizzate o riprodotte.
+ */
+
+import { getTrackTitle, getTrackArtist, getTrackBPM, getEnergyLevel } from './trackFilters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Operatori per tipo di campo: chiave -> etichetta
+ */
+export const RULE_OPERATORS = {
+  number: {
+    between: 'tra',
+    atLeast: '≥',
+    atMost: '≤',
+    equals: '='
+  },
+  text: {
+    contains: 'contiene',
+    notContains: 'non contiene',
+    is: 'è',
+    isEmpty: 'è vuoto'
+  },
+  key: {
+    in: 'tra',
+    notIn: 'non tra'
+  },
+  date: {
+    inLast: 'negli ultimi (giorni)',
+    notInLast: 'non negli ultimi (giorni)',
+    never: 'mai'
+  },
+  source: {
+    is: 'è'
+  }
+};
+
+// Operatori senza valore
+const VALUELESS_OPERATORS = ['isEmpty', 'never'];
+
+/**
+ * Campi su cui si possono scrivere le regole
+ */
+export const RULE_FIELDS = {
+  bpm: { label: 'BPM', type: 'number', get: getTrackBPM },
+  key: { label: 'Key (Camelot)', type: 'key', get: track => track.key?.camelot || null },
+  genre: { label: 'Genere', type: 'text', get: track => track.tags?.genre || '' },
+  artist: { label: 'Artista', type: 'text', get: getTrackArtist },
+  title: { label: 'Titolo', type: 'text', get: getTrackTitle },
+  album: { label: 'Album', type: 'text', get: track => track.tags?.album || '' },
+  comment: { label: 'Commento', type: 'text', get: track => track.tags?.comment || '' },
+  year: { label: 'Anno', type: 'number', get: track => parseInt(track.tags?.year, 10) || null },
+  rating: { label: 'Voto', type: 'number', get: track => track.rating || 0 },
+  energy: { label: 'Energia', type: 'number', get: getEnergyLevel },
+  playCount: { label: 'Riproduzioni', type: 'number', get: track => track.playCount || 0 },
+  addedAt: { label: 'Aggiunta', type: 'date', get: track => track.addedAt },
+  lastPlayedAt: { label: 'Ultima riproduzione', type: 'date', get: track => track.lastPlayedAt },
+  // 'local' o il tipo della sorgente remota (vedi services/remoteSources)
+  source: { label: 'Origine', type: 'source', get: track => (track.isRemote ? track.source || 'remote' : 'local') }
+};
+
+/**
+ * Verifica se un operatore richiede un valore
+ */
+export function operatorNeedsValue(operator) {
+  return !VALUELESS_OPERATORS.includes(operator);
+}
+
+/**
+ * Verifica se una condizione è completa (le condizioni ancora da compilare
+ * nell'editor vengono ignorate, sia con AND sia con OR)
+ */
+export function isConditionComplete({ field, operator, value }) {
+  if (!RULE_FIELDS[field]) return false;
+  if (!operatorNeedsValue(operator)) return true;
+  return value !== '' && value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Crea una condizione con l'operatore e il valore di default del campo
+ * @param {string} field - Chiave del campo (vedi RULE_FIELDS)
+ */
+export function createCondition(field = 'bpm') {
+  const type = RULE_FIELDS[field].type;
+  const operator = Object.keys(RULE_OPERATORS[type])[0];
+  const defaults = {
+    number: { value: '', value2: '' },
+    text: { value: '' },
+    key: { value: '' },
+    date: { value: 30 },
+    source: { value: 'local' }
+  };
+  return { field, operator, ...defaults[type] };
+}
+
+/**
+ * Regole di una nuova smart playlist
+ */
+export function createSmartRules() {
+  return { match: 'all', conditions: [createCondition()] };
+}
+
+/**
+ * Codici Camelot di un valore come "8A, 9A 8b"
+ */
+function parseCamelotList(value) {
+  return String(value).toUpperCase().split(/[\s,;]+/).filter(Boolean);
+}
+
+/**
+ * Valuta una condizione su una traccia
+ * @param {Object} track - Traccia della libreria
+ * @param {Object} condition - { field, operator, value, value2 }
+ * @param {number} now - Istante di riferimento per le date (ms)
+ */
+export function matchesCondition(track, { field, operator, value, value2 }, now = Date.now()) {
+  const definition = RULE_FIELDS[field];
+  if (!definition) return false;
+  const actual = definition.get(track);
+
+  switch (definition.type) {
+    case 'number': {
+      if (actual === null || actual === undefined) return false;
+      const number = Number(value);
+      if (operator === 'atLeast') return actual >= number;
+      if (operator === 'atMost') return actual <= number;
+      if (operator === 'equals') return Math.abs(actual - number) < 0.05;
+      if (operator === 'between') {
+        const upper = value2 === '' || value2 === null || value2 === undefined ? number : Number(value2);
+        return actual >= Math.min(number, upper) && actual <= Math.max(number, upper);
+      }
+      return false;
+    }
+    case 'text': {
+      const text = String(actual || '').toLowerCase();
+      const query = String(value || '').toLowerCase().trim();
+      if (operator === 'isEmpty') return text === '';
+      if (operator === 'is') return text === query;
+      if (operator === 'contains') return text.includes(query);
+      if (operator === 'notContains') return !text.includes(query);
+      return false;
+    }
+    case 'key': {
+      const codes = parseCamelotList(value);
+      if (operator === 'in') return codes.includes(actual);
+      if (operator === 'notIn') return Boolean(actual) && !codes.includes(actual);
+      return false;
+    }
+    case 'date': {
+      const time = actual ? new Date(actual).getTime() : null;
+      if (operator === 'never') return !time;
+      const since = now - Number(value || 0) * DAY_MS;
+      if (operator === 'inLast') return Boolean(time) && time >= since;
+      if (operator === 'notInLast') return !time || time < since;
+      return false;
+    }
+    case 'source':
+      // 'remote' vale per tutte le sorgenti remote
+      return value === 'remote' ? actual !== 'local' : actual === value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Verifica se una traccia soddisfa le regole di una smart playlist
+ * @param {Object} track - Traccia della libreria
+ * @param {{match: 'all'|'any', conditions: Array<Object>}} rules - Regole
+ * @param {number} now - Istante di riferimento per le date (ms)
+ */
+export function matchesSmartRules(track, rules, now = Date.now()) {
+  const conditions = (rules?.conditions || []).filter(isConditionComplete);
+  if (conditions.length === 0) return true;
+  return rules.match === 'any'
+    ? conditions.some(condition => matchesCondition(track, condition, now))
+    : conditions.every(condition => matchesCondition(track, condition, now));
+}
+
+/**
+ * Tracce della libreria che soddisfano le regole
+ * @param {Array<Object>} tracks - Tracce della libreria
+ * @param {Object} rules - Regole della smart playlist
+ * @returns {Array<Object>}
+ */
+export function getSmartPlaylistTracks(tracks, rules) {
+  const now = Date.now();
+  return tracks.filter(track => matchesSmartRules(track, rules, now));
+}
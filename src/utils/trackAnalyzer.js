@@ -0,0 +1,88 @@
+/**
+ * Pipeline di analisi di una traccia
+ * 
+ * Esegue in sequenza tutte le analisi di una traccia caricata:
+ * 1. waveform  - riassunti per overview e dettaglio (subito, per disegnare la traccia)
+ * 2. tempo     - BPM e beatgrid (vedi beatgridAnalyzer)
+ * 3. key       - tonalità (vedi keyDetector)
+ * 4. loudness  - loudness integrata e picco (vedi loudness)
+ * 5. peaks     - picchi di energia (vedi peakDetector)
+ * 
+ * Ogni fase notifica l'avanzamento e il proprio risultato parziale, così l'interfaccia
+ * può usarli appena pronti. La pipeline è puro calcolo: gira nel worker di analisi
+ * (vedi services/analysisWorker) o, se i worker non sono disponibili, sul main thread.
+ */
+
+import { computeWaveformData } from './waveformSummary';
+import { analyzeBeatgrid } from './beatgridAnalyzer';
+import { detectKey } from './keyDetector';
+import { measureLoudness } from './loudness';
+import { detectPeaks } from './peakDetector';
+
+/**
+ * Fasi della pipeline con il loro peso sull'avanzamento totale
+ * (proporzionale al tempo di calcolo tipico)
+ */
+const STAGES = [
+  { name: 'waveform', weight: 0.1, run: buffer => ({ waveform: computeWaveformData(buffer) }) },
+  {
+    name: 'tempo',
+    weight: 0.4,
+    run: buffer => {
+      const beatgrid = analyzeBeatgrid(buffer);
+      return { bpm: beatgrid ? beatgrid.bpm : null, beatgrid };
+    }
+  },
+  { name: 'key', weight: 0.2, run: buffer => ({ key: detectKey(buffer) }) },
+  { name: 'loudness', weight: 0.2, run: buffer => ({ loudness: measureLoudness(buffer) }) },
+  { name: 'peaks', weight: 0.1, run: buffer => ({ peaks: detectPeaks(buffer) }) }
+];
+
+/**
+ * Crea un oggetto con l'interfaccia di lettura di un AudioBuffer a partire dai canali
+ * (nei worker AudioBuffer non esiste)
+ * @param {Float32Array[]} channels - Campioni dei canali
+ * @param {number} sampleRate - Frequenza di campionamento
+ * @returns {{numberOfChannels: number, sampleRate: number, length: number, duration: number, getChannelData: Function}}
+ */
+export function createBufferView(channels, sampleRate) {
+  const length = channels[0] ? channels[0].length : 0;
+  return {
+    numberOfChannels: channels.length,
+    sampleRate,
+    length,
+    duration: length / sampleRate,
+    getChannelData: channel => channels[channel]
+  };
+}
+
+/**
+ * Esegue la pipeline di analisi
+ * @param {AudioBuffer} buffer - Il buffer (o una vista creata con createBufferView)
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onProgress] - (stage, progress) con progress da 0 a 1 sul totale
+ * @param {Function} [callbacks.onPartial] - (stage, result) al termine di ogni fase
+ * @returns {{waveform: Object, bpm: number|null, beatgrid: Object|null, key: Object|null, loudness: Object|null, peaks: number[]}}
+ */
+export function runTrackAnalysis(buffer, { onProgress, onPartial } = {}) {
+  const result = {};
+  let completed = 0;
+  
+  for (const stage of STAGES) {
+    onProgress?.(stage.name, completed);
+    let partial;
+    try {
+      partial = stage.run(buffer);
+    } catch (error) {
+      // Una fase fallita non blocca le altre
+      console.error(`❌ Errore nella fase di analisi "${stage.name}":`, error);
+      partial = {};
+    }
+    Object.assign(result, partial);
+    completed += stage.weight;
+    onPartial?.(stage.name, partial);
+  }
+  
+  onProgress?.('done', 1);
+  return result;
+}
@@ -0,0 +1,152 @@
+/**
+ * Ordinamento, ricerca e filtri delle tracce della libreria
+ *
+ * I valori delle colonne arrivano da fonti diverse: l'analisi (BPM, tonalità, loudness, durata)
+ * ha la precedenza sui tag del file, e il titolo ripiega sul nome del file.
+ */
+
+import { parseFileName } from './audioTags';
+import { getHarmonicMatch } from './musicalKey';
+
+// Tolleranza predefinita del filtro sul tempo (±6%)
+export const TEMPO_TOLERANCE = 0.06;
+
+// Loudness integrata (LUFS) corrispondente al livello di energia minimo e massimo
+const ENERGY_MIN_LUFS = -20;
+const ENERGY_MAX_LUFS = -5;
+const ENERGY_LEVELS = 10;
+
+/**
+ * Titolo della traccia (dai tag o dal nome del file)
+ */
+export function getTrackTitle(track) {
+  return track.tags?.title || parseFileName(track.name).title;
+}
+
+/**
+ * Artista della traccia (dai tag o dal nome del file "Artista - Titolo")
+ */
+export function getTrackArtist(track) {
+  return track.tags ? track.tags.artist || '' : parseFileName(track.name).artist || '';
+}
+
+/**
+ * BPM della traccia: rilevato dall'analisi o, in mancanza, dichiarato nei tag
+ * @returns {number|null}
+ */
+export function getTrackBPM(track) {
+  return track.bpm || track.tags?.bpm || null;
+}
+
+/**
+ * Livello di energia da 1 a 10, stimato dalla loudness integrata
+ * (da ENERGY_MIN_LUFS = 1 a ENERGY_MAX_LUFS = 10)
+ * @returns {number|null} - null se la traccia non è stata analizzata
+ */
+export function getEnergyLevel(track) {
+  const lufs = track.loudness?.integrated;
+  if (typeof lufs !== 'number' || !isFinite(lufs)) return null;
+  const position = (lufs - ENERGY_MIN_LUFS) / (ENERGY_MAX_LUFS - ENERGY_MIN_LUFS);
+  return Math.max(1, Math.min(ENERGY_LEVELS, 1 + Math.round(position * (ENERGY_LEVELS - 1))));
+}
+
+/**
+ * Valore di ordinamento di una colonna
+ * @param {Object} track - Traccia della libreria
+ * @param {string} column - Chiave della colonna
+ */
+export function getSortValue(track, column) {
+  switch (column) {
+    case 'title':
+      return getTrackTitle(track).toLowerCase();
+    case 'artist':
+      return getTrackArtist(track).toLowerCase();
+    case 'bpm':
+      return getTrackBPM(track);
+    case 'key':
+      // Ordine della ruota Camelot: 1A, 1B, 2A, ...
+      return track.key ? parseInt(track.key.camelot, 10) * 2 + (track.key.camelot.endsWith('B') ? 1 : 0) : null;
+    case 'duration':
+      return track.duration || null;
+    case 'energy':
+      return getEnergyLevel(track);
+    case 'rating':
+      return track.rating || 0;
+    case 'addedAt':
+      return new Date(track.addedAt).getTime() || 0;
+    case 'source':
+      return track.isRemote ? 1 : 0;
+    case 'position':
+      // Posizione nella playlist mostrata (vedi TrackBrowser)
+      return track.position ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Ordina le tracce per una colonna (i valori mancanti vanno sempre in fondo)
+ * @param {Array<Object>} tracks - Tracce da ordinare
+ * @param {{column: string, direction: 'asc'|'desc'}} sort - Colonna e verso
+ * @returns {Array<Object>} - Nuovo array ordinato
+ */
+export function sortTracks(tracks, { column, direction }) {
+  const sign = direction === 'desc' ? -1 : 1;
+  const entries = tracks.map(track => ({ track, value: getSortValue(track, column) }));
+
+  entries.sort((a, b) => {
+    const missingA = a.value === null || a.value === '';
+    const missingB = b.value === null || b.value === '';
+    if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+    if (typeof a.value === 'string') return sign * a.value.localeCompare(b.value, 'it');
+    return sign * (a.value - b.value);
+  });
+
+  return entries.map(entry => entry.track);
+}
+
+/**
+ * Testo in cui cercare (calcolato una volta per traccia)
+ * @returns {string} - Campi della traccia in minuscolo
+ */
+export function getSearchText(track) {
+  return [
+    getTrackTitle(track),
+    getTrackArtist(track),
+    track.name,
+    track.tags?.album,
+    track.tags?.genre,
+    track.tags?.year,
+    track.tags?.comment,
+    track.key ? `${track.key.camelot} ${track.key.name}` : track.tags?.key,
+    getTrackBPM(track) && Math.round(getTrackBPM(track))
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Verifica se un testo di ricerca contiene tutte le parole della query
+ * @param {string} searchText - Testo della traccia (vedi getSearchText)
+ * @param {string} query - Query dell'utente
+ */
+export function matchesSearch(searchText, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.every(word => searchText.includes(word));
+}
+
+/**
+ * Verifica se un tempo è entro la tolleranza di un tempo di riferimento
+ * @param {number|null} bpm - Tempo della traccia
+ * @param {number} targetBPM - Tempo di riferimento (es. tempo effettivo di un deck)
+ * @param {number} tolerance - Tolleranza relativa (0.06 = ±6%)
+ */
+export function isTempoCompatible(bpm, targetBPM, tolerance = TEMPO_TOLERANCE) {
+  if (!bpm || !targetBPM) return false;
+  return Math.abs(bpm / targetBPM - 1) <= tolerance;
+}
+
+/**
+ * Verifica se la tonalità di una traccia è compatibile (ruota Camelot) con un'altra
+ */
+export function isKeyCompatible(key, targetKey) {
+  return getHarmonicMatch(key, targetKey) !== null;
+}
@@ -0,0 +1,39 @@
+/**
+ * Identità delle tracce
+ * 
+ * L'identità di una traccia dipende dal contenuto del file (hash SHA-256),
+ * non dal deck in cui viene caricata né dal nome del file:
+ * lo stesso file caricato su qualsiasi deck ritrova i propri dati (hot cue, analisi...).
+ */
+
+/**
+ * Converte un ArrayBuffer in stringa esadecimale
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Calcola l'identità di una traccia dal contenuto del file
+ * 
+ * Nota: va chiamata PRIMA di decodeAudioData, che trasferisce (svuota) l'ArrayBuffer
+ * 
+ * @param {ArrayBuffer} arrayBuffer - Contenuto del file
+ * @param {File} file - Il file (usato come fallback se crypto.subtle non è disponibile)
+ * @returns {Promise<string>} - Identificatore della traccia
+ */
+export async function computeTrackId(arrayBuffer, file) {
+  try {
+    if (window.crypto && window.crypto.subtle) {
+      const digest = await window.crypto.subtle.digest('SHA-256', arrayBuffer);
+      return `sha256_${toHex(digest)}`;
+    }
+  } catch (error) {
+    console.warn('⚠️ Impossibile calcolare l\'hash della traccia:', error);
+  }
+  
+  // Fallback (contesti non sicuri): nome + dimensione del file
+  return `file_${file.name}_${file.size}`;
+}
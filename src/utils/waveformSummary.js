@@ -0,0 +1,56 @@
+/**
+ * Riassunti del waveform per la visualizzazione
+ * 
+ * Il waveform viene ridotto a un numero fisso di punti (max, min e RMS di ogni tratto),
+ * calcolati una volta per traccia: i componenti WaveformOverview e WaveformDetail
+ * disegnano solo questi punti.
+ */
+
+// Risoluzione dell'overview (intera traccia) e del dettaglio (zoomabile)
+export const OVERVIEW_POINTS = 1500;
+export const DETAIL_POINTS = 3000;
+
+/**
+ * Riduce un canale a un numero fisso di punti
+ * @param {Float32Array} channelData - Campioni del canale
+ * @param {number} points - Numero di punti
+ * @returns {Array<{max: number, min: number, rms: number}>}
+ */
+export function computeWaveformSummary(channelData, points) {
+  const length = channelData.length;
+  const step = Math.max(1, Math.floor(length / points));
+  const summary = [];
+  
+  for (let i = 0; i < points; i++) {
+    const start = i * step;
+    const end = Math.min(start + step, length);
+    
+    let max = 0;
+    let min = 0;
+    let sumSquares = 0;
+    
+    for (let j = start; j < end; j++) {
+      const value = channelData[j];
+      if (value > max) max = value;
+      if (value < min) min = value;
+      sumSquares += value * value;
+    }
+    
+    summary.push({ max, min, rms: end > start ? Math.sqrt(sumSquares / (end - start)) : 0 });
+  }
+  
+  return summary;
+}
+
+/**
+ * Calcola i riassunti per overview e dettaglio (dal primo canale)
+ * @param {AudioBuffer} buffer - Il buffer audio
+ * @returns {{overview: Array, detail: Array}}
+ */
+export function computeWaveformData(buffer) {
+  const channelData = buffer.getChannelData(0);
+  return {
+    overview: computeWaveformSummary(channelData, OVERVIEW_POINTS),
+    detail: computeWaveformSummary(channelData, DETAIL_POINTS)
+  };
+}